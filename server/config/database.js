@@ -98,6 +98,23 @@ export async function initializeDatabase() {
       achieved_at TEXT DEFAULT (datetime('now'))
     );
 
+    -- Live room snapshots (restored at boot so games survive restarts)
+    CREATE TABLE IF NOT EXISTS room_snapshots (
+      code TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Quickplay skill ratings, keyed 'user:<id>' (accounts, guest accounts
+    -- included) or 'session:<id>' for players with no account
+    CREATE TABLE IF NOT EXISTS player_ratings (
+      rating_key TEXT PRIMARY KEY,
+      user_id TEXT,
+      rating INTEGER NOT NULL,
+      games INTEGER DEFAULT 0,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
     -- Create indexes
     CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
     CREATE INDEX IF NOT EXISTS idx_rooms_code ON rooms(code);
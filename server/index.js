@@ -14,9 +14,11 @@ import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import roomRoutes from './routes/rooms.js';
 import leaderboardRoutes from './routes/leaderboard.js';
+import aiRoutes from './routes/ai.js';
+import gameRoutes from './routes/games.js';
 
 // Import socket handlers
-import { initializeSocketHandlers } from './socket/index.js';
+import { initializeSocketHandlers, restorePersistedRooms } from './socket/index.js';
 
 // Import database initialization
 import { initializeDatabase } from './config/database.js';
@@ -80,6 +82,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
+app.use('/api/ai', aiRoutes);
+app.use('/api/games', gameRoutes);
 
 // Daily Challenge endpoint - scrapes J-Archive
 app.get('/api/daily/challenge', async (req, res) => {
@@ -107,6 +111,9 @@ async function startServer() {
     await initializeDatabase();
     console.log('Database initialized successfully');
 
+    // Bring back live games from before the restart
+    restorePersistedRooms(io);
+
     // Start HTTP server
     httpServer.listen(PORT, '0.0.0.0', () => {
       console.log(`Server running on port ${PORT}`);
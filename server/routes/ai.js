@@ -0,0 +1,128 @@
+import { Router } from 'express';
+import { AppError } from '../middleware/errorHandler.js';
+import { getAIProvider } from '../services/ai/index.js';
+
+const router = Router();
+
+const DEFAULT_POINT_VALUES = [200, 400, 600, 800, 1000];
+
+function requireGenre(genre) {
+  if (typeof genre !== 'string' || !genre.trim()) {
+    throw new AppError('Genre is required', 400, 'INVALID_INPUT');
+  }
+  return genre.trim();
+}
+
+function requireCategories(categories) {
+  if (!Array.isArray(categories) || categories.length === 0 || !categories.every(c => typeof c === 'string')) {
+    throw new AppError('Categories must be a non-empty array of strings', 400, 'INVALID_INPUT');
+  }
+  return categories;
+}
+
+// Generate 6 categories for a genre
+router.post('/categories', async (req, res, next) => {
+  try {
+    const genre = requireGenre(req.body.genre);
+    const categories = await getAIProvider().generateCategories(genre);
+
+    if (!Array.isArray(categories)) {
+      throw new AppError('AI provider returned an invalid response', 502, 'AI_BAD_RESPONSE');
+    }
+
+    res.json({ categories });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace a single category
+router.post('/regenerate-category', async (req, res, next) => {
+  try {
+    const genre = requireGenre(req.body.genre);
+    const existingCategories = requireCategories(req.body.existingCategories);
+    const indexToReplace = parseInt(req.body.indexToReplace, 10);
+
+    if (Number.isNaN(indexToReplace) || indexToReplace < 0 || indexToReplace >= existingCategories.length) {
+      throw new AppError('Invalid category index', 400, 'INVALID_INPUT');
+    }
+
+    const category = await getAIProvider().regenerateCategory(genre, existingCategories, indexToReplace);
+    res.json({ category });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate a full board of questions
+router.post('/questions', async (req, res, next) => {
+  try {
+    const categories = requireCategories(req.body.categories);
+    const pointValues = Array.isArray(req.body.pointValues) && req.body.pointValues.length > 0
+      ? req.body.pointValues.map(Number)
+      : DEFAULT_POINT_VALUES;
+    const round = req.body.round === 2 ? 2 : 1;
+
+    const result = await getAIProvider().generateQuestions(categories, pointValues, round);
+
+    if (!Array.isArray(result?.categories)) {
+      throw new AppError('AI provider returned an invalid response', 502, 'AI_BAD_RESPONSE');
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate a Final Jeopardy clue
+router.post('/final-jeopardy', async (req, res, next) => {
+  try {
+    const genre = requireGenre(req.body.genre);
+    const finalJeopardy = await getAIProvider().generateFinalJeopardy(genre);
+
+    if (!finalJeopardy?.category || !finalJeopardy?.answer || !finalJeopardy?.question) {
+      throw new AppError('AI provider returned an invalid response', 502, 'AI_BAD_RESPONSE');
+    }
+
+    res.json(finalJeopardy);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate multiple choice distractors (correct answer is always first)
+router.post('/mc-options', async (req, res, next) => {
+  try {
+    const { correctAnswer, category = '', clue = '' } = req.body;
+    if (typeof correctAnswer !== 'string' || !correctAnswer.trim()) {
+      throw new AppError('Correct answer is required', 400, 'INVALID_INPUT');
+    }
+
+    const distractors = await getAIProvider().generateMCOptions(correctAnswer, category, clue);
+    if (!Array.isArray(distractors)) {
+      throw new AppError('AI provider returned an invalid response', 502, 'AI_BAD_RESPONSE');
+    }
+
+    res.json({ options: [correctAnswer, ...distractors.slice(0, 3)] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Judge a player's response
+router.post('/validate-answer', async (req, res, next) => {
+  try {
+    const { playerAnswer, correctAnswer, strictness = 'moderate' } = req.body;
+    if (typeof playerAnswer !== 'string' || typeof correctAnswer !== 'string') {
+      throw new AppError('Player answer and correct answer are required', 400, 'INVALID_INPUT');
+    }
+
+    const result = await getAIProvider().validateAnswer(playerAnswer, correctAnswer, strictness);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import { getDatabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { recordSinglePlayerGame } from '../services/gameHistory.js';
+
+const router = Router();
+
+// Far above any reachable Jeopardy score, just rejects garbage
+const MAX_ABS_SCORE = 500000;
+
+// Submit a finished single-player game
+router.post('/single-player', authenticateToken, (req, res, next) => {
+  try {
+    const { score, genre = null, categories = [], questionsCorrect = 0, questionsAttempted = 0 } = req.body;
+
+    if (!Number.isInteger(score) || Math.abs(score) > MAX_ABS_SCORE) {
+      throw new AppError('Score must be an integer', 400, 'INVALID_INPUT');
+    }
+    if (!Number.isInteger(questionsCorrect) || !Number.isInteger(questionsAttempted) ||
+        questionsCorrect < 0 || questionsAttempted < questionsCorrect) {
+      throw new AppError('Invalid answer counts', 400, 'INVALID_INPUT');
+    }
+    if (genre !== null && (typeof genre !== 'string' || genre.length > 100)) {
+      throw new AppError('Invalid genre', 400, 'INVALID_INPUT');
+    }
+    if (!Array.isArray(categories) || categories.length > 12 || !categories.every(c => typeof c === 'string')) {
+      throw new AppError('Invalid categories', 400, 'INVALID_INPUT');
+    }
+
+    const db = getDatabase();
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(req.user.userId);
+    if (!user) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const gameId = recordSinglePlayerGame(user.id, {
+      score,
+      genre,
+      categories,
+      questionsCorrect,
+      questionsAttempted,
+    });
+
+    res.status(201).json({ gameId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
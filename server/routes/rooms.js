@@ -3,6 +3,8 @@ import { v4 as uuidv4 } from 'uuid';
 import { getDatabase } from '../config/database.js';
 import { authenticateToken, optionalAuth } from '../middleware/auth.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { gameManager } from '../socket/index.js';
+import { getAccessDenial, hashRoomPassword, isProtected } from '../services/roomAccess.js';
 
 const router = Router();
 
@@ -16,8 +18,14 @@ function generateRoomCode() {
   return code;
 }
 
-// Create a room
-router.post('/create', authenticateToken, (req, res, next) => {
+// Room settings as stored, with the password hash pulled out
+function parseSettings(json) {
+  const { passwordHash, inviteOnly, ...settings } = JSON.parse(json || '{}');
+  return { settings, access: { passwordHash: passwordHash || null, inviteOnly: !!inviteOnly } };
+}
+
+// Create a room (settings.password makes it password-protected)
+router.post('/create', authenticateToken, async (req, res, next) => {
   try {
     const { type, settings } = req.body;
 
@@ -42,7 +50,10 @@ router.post('/create', authenticateToken, (req, res, next) => {
     }
 
     const roomId = uuidv4();
-    const settingsJson = JSON.stringify(settings || {});
+    // Only the hash is stored
+    const { password, ...roomSettings } = settings || {};
+    if (password) roomSettings.passwordHash = await hashRoomPassword(String(password));
+    const settingsJson = JSON.stringify(roomSettings);
 
     db.prepare(`
       INSERT INTO rooms (id, code, type, creator_id, settings, status)
@@ -60,7 +71,7 @@ router.post('/create', authenticateToken, (req, res, next) => {
       roomId,
       roomCode,
       type,
-      settings: settings || {},
+      settings: parseSettings(settingsJson).settings,
     });
   } catch (error) {
     next(error);
@@ -99,7 +110,7 @@ router.get('/:code', optionalAuth, (req, res, next) => {
       status: room.status,
       creatorId: room.creator_id,
       creatorName: room.creator_name,
-      settings: JSON.parse(room.settings || '{}'),
+      settings: parseSettings(room.settings).settings,
       players: participants.map(p => ({
         id: p.user_id,
         displayName: p.display_name,
@@ -113,27 +124,52 @@ router.get('/:code', optionalAuth, (req, res, next) => {
   }
 });
 
-// Validate room code
+// Validate room code. Protected rooms also check an invite token (?invite=)
+// and a password (X-Room-Password header, kept out of URLs and logs).
 router.get('/:code/validate', (req, res, next) => {
   try {
-    const { code } = req.params;
+    const code = req.params.code.toUpperCase();
+    const credentials = { invite: req.query.invite, password: req.get('x-room-password') };
+
+    // Rooms created over the socket only exist in the game manager
+    const liveRoom = gameManager.rooms.get(code);
+    if (liveRoom) {
+      const denial = getAccessDenial(code, liveRoom.access, credentials);
+      const playerCount = liveRoom.players.size;
+      const { maxPlayers } = liveRoom.settings;
+      const isFull = playerCount >= maxPlayers;
+      return res.json({
+        valid: true,
+        type: liveRoom.type,
+        status: liveRoom.status,
+        playerCount,
+        maxPlayers,
+        isProtected: isProtected(liveRoom.access),
+        requiresPassword: !!liveRoom.access?.passwordHash,
+        canJoin: !denial && !isFull,
+        reason: denial ? denial.reason : isFull ? 'Room is full' : null,
+        accessError: denial?.code || null,
+      });
+    }
+
     const db = getDatabase();
 
     const room = db.prepare(`
       SELECT id, type, status, settings FROM rooms WHERE code = ?
-    `).get(code.toUpperCase());
+    `).get(code);
 
     if (!room) {
       return res.json({ valid: false, reason: 'Room not found', canJoin: false });
     }
 
-    const settings = JSON.parse(room.settings || '{}');
+    const { settings, access } = parseSettings(room.settings);
     const participantCount = db.prepare(`
       SELECT COUNT(*) as count FROM room_participants WHERE room_id = ?
     `).get(room.id).count;
 
     const maxPlayers = settings.maxPlayers || 6;
-    const canJoin = room.status === 'waiting' && participantCount < maxPlayers;
+    const denial = getAccessDenial(code, access, credentials);
+    const canJoin = room.status === 'waiting' && participantCount < maxPlayers && !denial;
 
     res.json({
       valid: true,
@@ -141,8 +177,13 @@ router.get('/:code/validate', (req, res, next) => {
       status: room.status,
       playerCount: participantCount,
       maxPlayers,
+      isProtected: isProtected(access),
+      requiresPassword: !!access.passwordHash,
       canJoin,
-      reason: canJoin ? null : room.status !== 'waiting' ? 'Game in progress' : 'Room is full',
+      reason: canJoin
+        ? null
+        : room.status !== 'waiting' ? 'Game in progress' : participantCount >= maxPlayers ? 'Room is full' : denial.reason,
+      accessError: denial?.code || null,
     });
   } catch (error) {
     next(error);
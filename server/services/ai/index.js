@@ -0,0 +1,34 @@
+import { AppError } from '../../middleware/errorHandler.js';
+import { createGeminiProvider } from './providers/gemini.js';
+import { createOpenAIProvider } from './providers/openai.js';
+import { createLocalProvider } from './providers/local.js';
+import { createFixtureProvider } from './providers/fixture.js';
+
+// Every provider implements the same task methods:
+//   generateCategories(genre) -> string[]
+//   regenerateCategory(genre, existingCategories, indexToReplace) -> string
+//   generateQuestions(categories, pointValues, round) -> { categories: [{ name, questions }] }
+//   generateFinalJeopardy(genre) -> { category, answer, question }
+//   generateMCOptions(correctAnswer, category, clue) -> string[] (incorrect options)
+//   validateAnswer(playerAnswer, correctAnswer, strictness) -> { isCorrect, confidence, reason }
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  fixture: createFixtureProvider,
+};
+
+let provider = null;
+
+// Provider is chosen with AI_PROVIDER (defaults to gemini) and created on first use
+export function getAIProvider() {
+  if (!provider) {
+    const name = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+    const createProvider = PROVIDERS[name];
+    if (!createProvider) {
+      throw new AppError(`Unknown AI provider: ${name}`, 503, 'AI_NOT_CONFIGURED');
+    }
+    provider = createProvider();
+  }
+  return provider;
+}
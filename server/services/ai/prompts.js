@@ -0,0 +1,140 @@
+import { AppError } from '../../middleware/errorHandler.js';
+
+// Prompt builders shared by every text-completion provider
+
+function generateSeed() {
+  return Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+}
+
+export function categoriesPrompt(genre) {
+  return `You are a Jeopardy game assistant. Generate 6 unique, diverse, and interesting Jeopardy categories related to the genre: ${genre}.
+
+Variation seed: ${generateSeed()}
+Use this seed to ensure variety — explore unexpected, lesser-known, or creative angles within this genre. Avoid overly common or obvious categories.
+
+Return ONLY a valid JSON array of 6 strings, with no additional text, markdown, or explanation. Example format:
+["CATEGORY 1", "CATEGORY 2", "CATEGORY 3", "CATEGORY 4", "CATEGORY 5", "CATEGORY 6"]`;
+}
+
+export function regenerateCategoryPrompt(genre, existingCategories, indexToReplace) {
+  const otherCategories = existingCategories
+    .filter((_, i) => i !== indexToReplace)
+    .join(', ');
+
+  return `You are a Jeopardy game assistant. Generate 1 unique and interesting Jeopardy category related to the genre: ${genre}.
+
+The category must be DIFFERENT from these existing categories: ${otherCategories}
+
+Variation seed: ${generateSeed()}
+Be creative and explore lesser-known or unexpected angles within this genre.
+
+Return ONLY a valid JSON object with no additional text:
+{"category": "CATEGORY_NAME"}`;
+}
+
+export function questionsPrompt(categories, pointValues, round = 1) {
+  const difficultyNote = round === 2
+    ? 'This is Double Jeopardy - make all questions significantly harder and more detailed than a regular round.'
+    : `Scale difficulty appropriately with point values - $${pointValues[0]} questions should be easy, $${pointValues[pointValues.length - 1]} questions should be challenging.`;
+
+  const exampleRows = pointValues
+    .map(points => `        {"points": ${points}, "answer": "THE_CLUE_TEXT", "question": "What is...?"}`)
+    .join(',\n');
+
+  return `You are a Jeopardy game assistant. Generate Jeopardy-style questions and answers for these categories: ${categories.join(', ')}.
+
+Variation seed: ${generateSeed()}
+
+For each category, create questions for point values: ${pointValues.join(', ')}.
+
+${difficultyNote}
+
+IMPORTANT: In Jeopardy, the "answer" is shown to the player (as a clue), and they respond with a question.
+Example: If the answer/clue is "This planet is known as the Red Planet", the correct question is "What is Mars?".
+
+Return ONLY a valid JSON object with this exact structure (no markdown, no extra text):
+{
+  "categories": [
+    {
+      "name": "CATEGORY_NAME",
+      "questions": [
+${exampleRows}
+      ]
+    }
+  ]
+}
+
+Generate for all ${categories.length} categories with progressively harder questions.`;
+}
+
+export function finalJeopardyPrompt(genre) {
+  return `You are a Jeopardy game assistant. Generate a Final Jeopardy question related to the genre: ${genre}.
+
+Variation seed: ${generateSeed()}
+
+Final Jeopardy questions should be:
+- Challenging but fair
+- Have a definitive correct answer
+- Be appropriate for the stakes of Final Jeopardy
+
+Return ONLY a valid JSON object with this exact structure (no markdown, no extra text):
+{
+  "category": "CATEGORY_NAME",
+  "answer": "THE_CLUE_TEXT",
+  "question": "What is...?"
+}`;
+}
+
+export function mcOptionsPrompt(correctAnswer, category, clue) {
+  return `You are a Jeopardy game assistant. Generate 3 plausible but incorrect multiple choice options for a question.
+
+Category: ${category}
+Clue: ${clue}
+Correct Answer: ${correctAnswer}
+
+Requirements:
+- Generate exactly 3 INCORRECT options that are plausible distractors
+- Options should be similar in format/length to the correct answer
+- Options should be related to the category but clearly wrong
+- Make them challenging but not tricky - they should be believable
+
+Return ONLY a valid JSON object with this exact structure (no markdown, no extra text):
+{
+  "options": ["incorrect option 1", "incorrect option 2", "incorrect option 3"]
+}`;
+}
+
+const STRICTNESS_GUIDELINES = {
+  lenient: 'Accept partial answers, common misspellings, and close approximations.',
+  moderate: 'Accept reasonable variations and minor misspellings, but the core answer must be correct.',
+  strict: 'Require precise, accurate responses with correct spelling of key terms.',
+};
+
+export function validateAnswerPrompt(playerAnswer, correctAnswer, strictness = 'moderate') {
+  return `You are a Jeopardy answer judge. Determine if the player's response is acceptable.
+
+Correct Answer: "${correctAnswer}"
+Player Response: "${playerAnswer}"
+
+Rules:
+- In Jeopardy, players must phrase their answer as a question (What is, Who is, etc.) - be lenient on this format requirement
+- ${STRICTNESS_GUIDELINES[strictness] || STRICTNESS_GUIDELINES.moderate}
+
+Respond with ONLY a valid JSON object:
+{"isCorrect": true/false, "confidence": 0.0-1.0, "reason": "brief explanation"}`;
+}
+
+// Extract JSON from a model response (handles markdown code blocks)
+export function parseJSONResponse(text) {
+  let jsonStr = (text || '').trim();
+  if (jsonStr.includes('```')) {
+    const match = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (match) jsonStr = match[1].trim();
+  }
+
+  try {
+    return JSON.parse(jsonStr);
+  } catch {
+    throw new AppError('AI provider returned an invalid response', 502, 'AI_BAD_RESPONSE');
+  }
+}
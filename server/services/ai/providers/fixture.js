@@ -0,0 +1,57 @@
+// Deterministic offline provider - same input, same board. No network, no keys.
+// Used for tests, local development and demos.
+
+const CATEGORY_THEMES = ['BASICS', 'HISTORY', 'PEOPLE', 'PLACES', 'TRIVIA', 'WORDPLAY', 'NUMBERS', 'FIRSTS'];
+
+const normalize = (s) => String(s || '').toLowerCase()
+  .replace(/^(what|who|where|when|why|how)\s+(is|are|was|were)\s+/i, '')
+  .replace(/[^a-z0-9]/g, '')
+  .trim();
+
+const label = (genre) => String(genre || 'General').trim().toUpperCase();
+
+export function createFixtureProvider() {
+  return {
+    name: 'fixture',
+
+    async generateCategories(genre) {
+      return CATEGORY_THEMES.slice(0, 6).map(theme => `${label(genre)} ${theme}`);
+    },
+
+    async regenerateCategory(genre, existingCategories = []) {
+      const taken = new Set(existingCategories.map(c => String(c).toUpperCase()));
+      const theme = CATEGORY_THEMES.find(t => !taken.has(`${label(genre)} ${t}`));
+      return theme ? `${label(genre)} ${theme}` : `${label(genre)} BONUS ${existingCategories.length + 1}`;
+    },
+
+    async generateQuestions(categories, pointValues) {
+      return {
+        categories: categories.map(name => ({
+          name,
+          questions: pointValues.map(points => ({
+            points,
+            answer: `This $${points} clue is about ${name}`,
+            question: `What is ${name} ${points}?`,
+          })),
+        })),
+      };
+    },
+
+    async generateFinalJeopardy(genre) {
+      return {
+        category: label(genre),
+        answer: `This is the subject of today's Final Jeopardy, ${genre}`,
+        question: `What is ${genre}?`,
+      };
+    },
+
+    async generateMCOptions(correctAnswer) {
+      return [1, 2, 3].map(n => `Not ${correctAnswer} (${n})`);
+    },
+
+    async validateAnswer(playerAnswer, correctAnswer) {
+      const isCorrect = normalize(playerAnswer) !== '' && normalize(playerAnswer) === normalize(correctAnswer);
+      return { isCorrect, confidence: isCorrect ? 1.0 : 0.0, reason: 'Fixture exact match' };
+    },
+  };
+}
@@ -0,0 +1,23 @@
+import { AppError } from '../../../middleware/errorHandler.js';
+import { createTextProvider, postJSON } from '../textProvider.js';
+
+const GEMINI_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Google Gemini via the REST generateContent endpoint
+export function createGeminiProvider() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  const model = process.env.GEMINI_MODEL || 'gemini-3-flash-preview';
+
+  if (!apiKey) {
+    throw new AppError('GEMINI_API_KEY is not set on the server', 503, 'AI_NOT_CONFIGURED');
+  }
+
+  return createTextProvider('gemini', async (prompt) => {
+    const data = await postJSON(
+      `${GEMINI_BASE}/${model}:generateContent`,
+      { contents: [{ role: 'user', parts: [{ text: prompt }] }] },
+      { 'x-goog-api-key': apiKey }
+    );
+    return data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+  });
+}
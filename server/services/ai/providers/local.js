@@ -0,0 +1,12 @@
+import { createTextProvider, postJSON } from '../textProvider.js';
+
+// Local model server speaking the Ollama generate API
+export function createLocalProvider() {
+  const baseUrl = (process.env.LOCAL_AI_URL || 'http://localhost:11434').replace(/\/$/, '');
+  const model = process.env.LOCAL_AI_MODEL || 'llama3.1';
+
+  return createTextProvider('local', async (prompt) => {
+    const data = await postJSON(`${baseUrl}/api/generate`, { model, prompt, stream: false });
+    return data.response || '';
+  });
+}
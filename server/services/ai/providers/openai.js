@@ -0,0 +1,22 @@
+import { AppError } from '../../../middleware/errorHandler.js';
+import { createTextProvider, postJSON } from '../textProvider.js';
+
+// Any OpenAI-compatible chat completions endpoint (OpenAI, OpenRouter, vLLM, ...)
+export function createOpenAIProvider() {
+  const apiKey = process.env.OPENAI_API_KEY;
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+  if (!apiKey && !process.env.OPENAI_BASE_URL) {
+    throw new AppError('OPENAI_API_KEY is not set on the server', 503, 'AI_NOT_CONFIGURED');
+  }
+
+  return createTextProvider('openai', async (prompt) => {
+    const data = await postJSON(
+      `${baseUrl}/chat/completions`,
+      { model, messages: [{ role: 'user', content: prompt }] },
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    );
+    return data.choices?.[0]?.message?.content || '';
+  });
+}
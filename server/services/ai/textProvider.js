@@ -0,0 +1,64 @@
+import { AppError } from '../../middleware/errorHandler.js';
+import {
+  categoriesPrompt,
+  regenerateCategoryPrompt,
+  questionsPrompt,
+  finalJeopardyPrompt,
+  mcOptionsPrompt,
+  validateAnswerPrompt,
+  parseJSONResponse,
+} from './prompts.js';
+
+// Build a full AI provider from a single `complete(prompt) -> text` function.
+// Gemini, OpenAI-compatible and local model servers all go through here.
+export function createTextProvider(name, complete) {
+  return {
+    name,
+
+    async generateCategories(genre) {
+      return parseJSONResponse(await complete(categoriesPrompt(genre)));
+    },
+
+    async regenerateCategory(genre, existingCategories, indexToReplace) {
+      const text = await complete(regenerateCategoryPrompt(genre, existingCategories, indexToReplace));
+      return parseJSONResponse(text).category;
+    },
+
+    async generateQuestions(categories, pointValues, round) {
+      return parseJSONResponse(await complete(questionsPrompt(categories, pointValues, round)));
+    },
+
+    async generateFinalJeopardy(genre) {
+      return parseJSONResponse(await complete(finalJeopardyPrompt(genre)));
+    },
+
+    async generateMCOptions(correctAnswer, category, clue) {
+      const parsed = parseJSONResponse(await complete(mcOptionsPrompt(correctAnswer, category, clue)));
+      return parsed.options;
+    },
+
+    async validateAnswer(playerAnswer, correctAnswer, strictness) {
+      return parseJSONResponse(await complete(validateAnswerPrompt(playerAnswer, correctAnswer, strictness)));
+    },
+  };
+}
+
+// POST JSON to a model endpoint, surfacing upstream failures as 502s
+export async function postJSON(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new AppError(
+      `AI provider request failed (${response.status})${detail ? `: ${detail.slice(0, 200)}` : ''}`,
+      502,
+      'AI_PROVIDER_ERROR'
+    );
+  }
+
+  return response.json();
+}
@@ -0,0 +1,80 @@
+import { getAIProvider } from './ai/index.js';
+
+// Final Jeopardy content, in priority order:
+//   1. the host's imported / hand-written clue
+//   2. an AI clue generated for the room's genre
+//   3. the curated pool below
+// Everything here uses the server's internal shape: { category, clue, answer }
+
+const AI_TIMEOUT_MS = 15000;
+const MAX_FIELD_LENGTH = 500;
+
+const CURATED_POOL = [
+  { category: 'WORLD HISTORY', clue: 'This ancient wonder was completed around 280 BC on the island of Rhodes.', answer: 'The Colossus of Rhodes' },
+  { category: 'SCIENCE', clue: 'This element, with atomic number 79, has been prized by humans for millennia.', answer: 'Gold' },
+  { category: 'LITERATURE', clue: 'This 1851 novel begins with the words "Call me Ishmael."', answer: 'Moby Dick' },
+  { category: 'GEOGRAPHY', clue: 'This is the only country that borders both the Atlantic and Indian Oceans.', answer: 'South Africa' },
+  { category: 'MUSIC', clue: 'This composer wrote his Ninth Symphony while completely deaf.', answer: 'Beethoven' },
+  { category: 'U.S. PRESIDENTS', clue: 'He was the only president to serve two non-consecutive terms in the 19th century.', answer: 'Grover Cleveland' },
+  { category: 'ART', clue: 'This Dutch painter sold only one painting in his lifetime, "The Red Vineyard".', answer: 'Vincent van Gogh' },
+  { category: 'SPACE', clue: 'In 1977 this spacecraft was launched carrying a golden record; it entered interstellar space in 2012.', answer: 'Voyager 1' },
+  { category: 'WORDS', clue: 'This word comes from the Greek for "not cut" and was coined for matter thought to be indivisible.', answer: 'Atom' },
+  { category: 'SPORTS', clue: 'This city hosted the first modern Olympic Games in 1896.', answer: 'Athens' },
+  { category: 'INVENTIONS', clue: 'Patented in 1876, its inventor\'s first words over it were reportedly "Mr. Watson, come here."', answer: 'The telephone' },
+  { category: 'FILM', clue: 'This 1939 film was the first to win the Academy Award for Best Picture in color.', answer: 'Gone with the Wind' },
+];
+
+function cleanField(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed && trimmed.length <= MAX_FIELD_LENGTH ? trimmed : null;
+}
+
+// Convert the board/import shape ({ category, answer: clue, question: response })
+// to the internal shape. Returns null unless all three fields are present.
+export function fromBoardFormat(finalJeopardy) {
+  const category = cleanField(finalJeopardy?.category);
+  const clue = cleanField(finalJeopardy?.answer);
+  const answer = cleanField(finalJeopardy?.question);
+  if (!category || !clue || !answer) return null;
+  return { category: category.toUpperCase(), clue, answer };
+}
+
+async function generateForGenre(genre) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Final Jeopardy generation timed out')), AI_TIMEOUT_MS);
+  });
+
+  try {
+    const generated = await Promise.race([getAIProvider().generateFinalJeopardy(genre), timeout]);
+    return fromBoardFormat(generated);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Prefer a pool category that isn't already on the board
+function pickFromPool(boardCategories = []) {
+  const used = new Set(boardCategories.map(c => String(c).toUpperCase()));
+  const fresh = CURATED_POOL.filter(fj => !used.has(fj.category));
+  const pool = fresh.length > 0 ? fresh : CURATED_POOL;
+  return { ...pool[Math.floor(Math.random() * pool.length)] };
+}
+
+export async function resolveFinalJeopardy(gameState = {}) {
+  if (gameState.customFinalJeopardy) {
+    return { ...gameState.customFinalJeopardy, source: 'custom' };
+  }
+
+  if (gameState.genre) {
+    try {
+      const generated = await generateForGenre(gameState.genre);
+      if (generated) return { ...generated, source: 'ai' };
+    } catch (error) {
+      console.error('Final Jeopardy generation failed, using curated pool:', error.message);
+    }
+  }
+
+  return { ...pickFromPool(gameState.categories), source: 'pool' };
+}
@@ -0,0 +1,141 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../config/database.js';
+
+// Writes finished games into game_history, highscores and user_stats
+
+// SQLite datetime('now') format, so stored timestamps sort consistently
+function toSqliteDate(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function userExists(db, userId) {
+  return !!userId && !!db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+}
+
+function updateUserStats(db, userId, { score, won, correctAnswers, incorrectAnswers }) {
+  db.prepare('INSERT OR IGNORE INTO user_stats (user_id) VALUES (?)').run(userId);
+  db.prepare(`
+    UPDATE user_stats SET
+      games_played = games_played + 1,
+      games_won = games_won + ?,
+      total_score = total_score + ?,
+      highest_score = MAX(highest_score, ?),
+      correct_answers = correct_answers + ?,
+      incorrect_answers = incorrect_answers + ?,
+      updated_at = datetime('now')
+    WHERE user_id = ?
+  `).run(won ? 1 : 0, score, score, correctAnswers, incorrectAnswers, userId);
+
+  db.prepare("UPDATE users SET last_active_at = datetime('now') WHERE id = ?").run(userId);
+}
+
+function insertHighscore(db, userId, score, genre, gameId) {
+  db.prepare(`
+    INSERT INTO highscores (id, user_id, score, genre, game_id)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(uuidv4(), userId, score, genre, gameId);
+}
+
+// Socket rooms live in memory; mirror them into the rooms table so history
+// rows can reference them. Returns null if the code is taken by another room.
+function ensureRoomRecord(db, summary) {
+  const existing = db.prepare('SELECT id FROM rooms WHERE id = ?').get(summary.roomId);
+  if (existing) {
+    db.prepare("UPDATE rooms SET status = 'completed', ended_at = datetime('now') WHERE id = ?").run(summary.roomId);
+    return summary.roomId;
+  }
+
+  const codeTaken = db.prepare('SELECT id FROM rooms WHERE code = ?').get(summary.roomCode);
+  if (codeTaken) return null;
+
+  db.prepare(`
+    INSERT INTO rooms (id, code, type, creator_id, settings, status, started_at, ended_at)
+    VALUES (?, ?, ?, ?, ?, 'completed', ?, datetime('now'))
+  `).run(
+    summary.roomId,
+    summary.roomCode,
+    summary.type,
+    userExists(db, summary.hostUserId) ? summary.hostUserId : null,
+    JSON.stringify(summary.settings || {}),
+    toSqliteDate(summary.createdAt || Date.now())
+  );
+  return summary.roomId;
+}
+
+// Record a finished multiplayer / quickplay / host game (from GameStateManager.completeGame)
+export function recordMultiplayerGame(summary) {
+  const db = getDatabase();
+  const gameId = uuidv4();
+
+  db.transaction(() => {
+    const roomId = ensureRoomRecord(db, summary);
+    const winnerUserId = userExists(db, summary.winner?.userId) ? summary.winner.userId : null;
+
+    db.prepare(`
+      INSERT INTO game_history (id, room_id, genre, categories, final_scores, winner_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      gameId,
+      roomId,
+      summary.genre,
+      JSON.stringify(summary.board),
+      JSON.stringify(summary.players.map(p => ({
+        playerId: p.playerId,
+        userId: p.userId,
+        displayName: p.displayName,
+        teamName: p.teamName || undefined,
+        score: p.score,
+      }))),
+      winnerUserId
+    );
+
+    summary.players.forEach((player, index) => {
+      if (!userExists(db, player.userId)) return;
+
+      // In team play every member of the winning team wins
+      const won = summary.winner?.playerId === player.playerId ||
+        (!!player.teamId && summary.winner?.teamId === player.teamId);
+      updateUserStats(db, player.userId, { ...player, won });
+      insertHighscore(db, player.userId, player.score, summary.genre, gameId);
+
+      if (roomId) {
+        db.prepare(`
+          INSERT OR REPLACE INTO room_participants (room_id, user_id, role, final_score, placement)
+          VALUES (?, ?, 'player', ?, ?)
+        `).run(roomId, player.userId, player.score, index + 1);
+      }
+    });
+  })();
+
+  return gameId;
+}
+
+// Record a single-player game submitted by an authenticated user
+export function recordSinglePlayerGame(userId, { score, genre, categories, questionsCorrect, questionsAttempted }) {
+  const db = getDatabase();
+  const gameId = uuidv4();
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO game_history (id, room_id, genre, categories, final_scores, winner_id)
+      VALUES (?, NULL, ?, ?, ?, ?)
+    `).run(
+      gameId,
+      genre,
+      JSON.stringify(categories || []),
+      JSON.stringify([{ userId, score }]),
+      userId
+    );
+
+    // Single player always "wins", matching the local stats
+    updateUserStats(db, userId, {
+      score,
+      won: true,
+      correctAnswers: questionsCorrect,
+      incorrectAnswers: Math.max(0, questionsAttempted - questionsCorrect),
+    });
+    insertHighscore(db, userId, score, genre, gameId);
+  })();
+
+  return gameId;
+}
@@ -0,0 +1,59 @@
+import { getDatabase } from '../config/database.js';
+
+// Elo-style quickplay ratings. A multiplayer game is scored as a head-to-head
+// result between every pair of human players, decided by final score; bots
+// fill seats but neither give nor take rating.
+
+export const DEFAULT_RATING = 1500;
+// Split across opponents so a bigger match doesn't swing ratings harder
+const K_FACTOR = 32;
+
+export function getRatingKey({ userId, sessionId }) {
+  return userId ? `user:${userId}` : `session:${sessionId}`;
+}
+
+export function getRating(key) {
+  const row = getDatabase()
+    .prepare('SELECT rating, games FROM player_ratings WHERE rating_key = ?')
+    .get(key);
+  return row ? { rating: row.rating, games: row.games } : { rating: DEFAULT_RATING, games: 0 };
+}
+
+// players: [{ key, rating, score }] -> [{ key, rating, delta }]
+export function calculateRatingChanges(players) {
+  const k = K_FACTOR / Math.max(1, players.length - 1);
+  return players.map((player) => {
+    const change = players.reduce((sum, opponent) => {
+      if (opponent === player) return sum;
+      const expected = 1 / (1 + 10 ** ((opponent.rating - player.rating) / 400));
+      const actual = player.score > opponent.score ? 1 : player.score === opponent.score ? 0.5 : 0;
+      return sum + k * (actual - expected);
+    }, 0);
+    const delta = Math.round(change);
+    return { key: player.key, rating: player.rating + delta, delta };
+  });
+}
+
+// Rate a finished quickplay game. players: [{ key, userId, score }], humans only.
+// Returns the rating changes, or [] if there was nobody to play against.
+export function recordRatedGame(players) {
+  if (players.length < 2) return [];
+
+  const db = getDatabase();
+  const rated = players.map(p => ({ ...p, rating: getRating(p.key).rating }));
+  const changes = calculateRatingChanges(rated);
+
+  const upsert = db.prepare(`
+    INSERT INTO player_ratings (rating_key, user_id, rating, games, updated_at)
+    VALUES (?, ?, ?, 1, datetime('now'))
+    ON CONFLICT(rating_key) DO UPDATE SET
+      rating = excluded.rating,
+      games = games + 1,
+      updated_at = excluded.updated_at
+  `);
+  db.transaction(() => {
+    changes.forEach((change, i) => upsert.run(change.key, rated[i].userId || null, change.rating));
+  })();
+
+  return changes;
+}
@@ -0,0 +1,62 @@
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+
+// Room passwords and invite links, shared by the socket join flow and the
+// REST validate route so both turn away the same people. A room's access is
+// { passwordHash, inviteOnly }; a valid invite gets past either.
+
+const DEFAULT_INVITE_MINUTES = 24 * 60;
+const MAX_INVITE_MINUTES = 7 * 24 * 60;
+export const MAX_ROOM_PASSWORD_LENGTH = 64;
+
+// Kept apart from the login secret so an invite can never pass as an auth token
+function getInviteSecret() {
+  return `${process.env.JWT_SECRET || 'your-secret-key-change-in-production'}:room-invite`;
+}
+
+export function hashRoomPassword(password) {
+  return bcrypt.hash(password, 10);
+}
+
+export function createInviteToken(roomCode, minutes = DEFAULT_INVITE_MINUTES) {
+  const ttl = Math.min(Math.max(1, Math.floor(Number(minutes)) || DEFAULT_INVITE_MINUTES), MAX_INVITE_MINUTES);
+  return {
+    token: jwt.sign({ roomCode }, getInviteSecret(), { expiresIn: ttl * 60 }),
+    expiresAt: Date.now() + ttl * 60 * 1000,
+  };
+}
+
+// 'valid' | 'expired' | 'invalid'
+function checkInviteToken(token, roomCode) {
+  try {
+    return jwt.verify(token, getInviteSecret()).roomCode === roomCode ? 'valid' : 'invalid';
+  } catch (error) {
+    return error.name === 'TokenExpiredError' ? 'expired' : 'invalid';
+  }
+}
+
+export function isProtected(access) {
+  return !!(access?.passwordHash || access?.inviteOnly);
+}
+
+// Why these credentials don't get someone into the room, or null if they do.
+// Returns { code, reason, requiresPassword }.
+export function getAccessDenial(roomCode, access, { password, invite } = {}) {
+  if (!isProtected(access)) return null;
+
+  const inviteStatus = invite ? checkInviteToken(invite, roomCode) : null;
+  if (inviteStatus === 'valid') return null;
+  // Sync compare: joinRoom is synchronous, and room joins are rare enough
+  if (password && access.passwordHash && bcrypt.compareSync(String(password), access.passwordHash)) return null;
+
+  const requiresPassword = !!access.passwordHash;
+  if (inviteStatus === 'expired') {
+    return { code: 'INVITE_EXPIRED', reason: 'This invite link has expired', requiresPassword };
+  }
+  if (requiresPassword) {
+    return password
+      ? { code: 'PASSWORD_INVALID', reason: 'Wrong room password', requiresPassword }
+      : { code: 'PASSWORD_REQUIRED', reason: 'This room needs a password', requiresPassword };
+  }
+  return { code: 'INVITE_REQUIRED', reason: 'This room is invite only', requiresPassword };
+}
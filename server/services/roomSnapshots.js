@@ -0,0 +1,58 @@
+import { getDatabase } from '../config/database.js';
+
+// Snapshots of live GameStateManager rooms. Sets and Maps are tagged so they
+// round-trip through JSON; timer handles are dropped and re-armed on boot
+// from the deadlines stored in the game state.
+
+function encode(key, value) {
+  if (value instanceof Map) return { __type: 'Map', entries: Array.from(value.entries()) };
+  if (value instanceof Set) return { __type: 'Set', values: Array.from(value) };
+  return value;
+}
+
+function decode(key, value) {
+  if (value?.__type === 'Map') return new Map(value.entries);
+  if (value?.__type === 'Set') return new Set(value.values);
+  return value;
+}
+
+const TRANSIENT_KEYS = ['buzzTimeout', 'answerTimeout', 'phaseTimeout', 'finalJeopardyPending'];
+
+export function serializeRoom(room) {
+  const state = { ...room };
+  TRANSIENT_KEYS.forEach(key => delete state[key]);
+  return JSON.stringify(state, encode);
+}
+
+export function deserializeRoom(json) {
+  return JSON.parse(json, decode);
+}
+
+export function saveRoomSnapshot(room) {
+  getDatabase().prepare(`
+    INSERT INTO room_snapshots (code, state, updated_at)
+    VALUES (?, ?, datetime('now'))
+    ON CONFLICT(code) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+  `).run(room.code, serializeRoom(room));
+}
+
+export function deleteRoomSnapshot(roomCode) {
+  getDatabase().prepare('DELETE FROM room_snapshots WHERE code = ?').run(roomCode);
+}
+
+// Load every snapshot touched within maxAgeHours, discarding older ones
+export function loadRoomSnapshots(maxAgeHours = 24) {
+  const db = getDatabase();
+  db.prepare(`DELETE FROM room_snapshots WHERE updated_at < datetime('now', ?)`).run(`-${maxAgeHours} hours`);
+
+  const rooms = [];
+  for (const row of db.prepare('SELECT code, state FROM room_snapshots').all()) {
+    try {
+      rooms.push(deserializeRoom(row.state));
+    } catch (error) {
+      console.error(`Discarding unreadable snapshot for room ${row.code}:`, error);
+      deleteRoomSnapshot(row.code);
+    }
+  }
+  return rooms;
+}
@@ -0,0 +1,119 @@
+import { clampWager } from './wagerRules.js';
+
+// Computer contestants. A skill profile describes how a bot plays:
+//   buzz       - reaction time after the buzzer unlocks (normal distribution, ms)
+//   accuracy   - chance of knowing a clue; categories matching a keyword use
+//                their own rate, and each row down the board costs `rowPenalty`
+//   guessRate  - chance of buzzing in on a clue it doesn't know
+//   wagering   - 'cautious' | 'balanced' | 'aggressive'
+// Decisions live here; the socket layer plays them through the same paths as people.
+
+export const BOT_PROFILES = {
+  easy: {
+    label: 'Easy',
+    buzz: { meanMs: 1800, spreadMs: 600, minMs: 700 },
+    accuracy: { default: 0.45, rowPenalty: 0.08, categories: { pop: 0.6, movie: 0.6, film: 0.6, food: 0.55 } },
+    guessRate: 0.05,
+    wagering: 'cautious',
+  },
+  medium: {
+    label: 'Medium',
+    buzz: { meanMs: 1100, spreadMs: 400, minMs: 400 },
+    accuracy: { default: 0.65, rowPenalty: 0.06, categories: { history: 0.75, geography: 0.75, sport: 0.55 } },
+    guessRate: 0.1,
+    wagering: 'balanced',
+  },
+  hard: {
+    label: 'Hard',
+    buzz: { meanMs: 550, spreadMs: 200, minMs: 200 },
+    accuracy: { default: 0.85, rowPenalty: 0.04, categories: { science: 0.92, literature: 0.9, history: 0.9, sport: 0.7 } },
+    guessRate: 0.15,
+    wagering: 'aggressive',
+  },
+};
+
+export const DEFAULT_BOT_SKILL = 'medium';
+
+// Final Jeopardy is played at the difficulty of a bottom-row clue
+export const FJ_DIFFICULTY_ROW = 4;
+
+const BOT_NAMES = ['Ada', 'Babbage', 'Turing', 'Hopper', 'Lovelace', 'Watson', 'Deep Blue', 'Hal', 'Marvin', 'Robby'];
+
+export function isBotSkill(skill) {
+  return Object.prototype.hasOwnProperty.call(BOT_PROFILES, skill);
+}
+
+export function getBotProfile(skill) {
+  return BOT_PROFILES[isBotSkill(skill) ? skill : DEFAULT_BOT_SKILL];
+}
+
+// Quickplay bots play at about the level of the (Elo-rated) humans at the table
+export function getBotSkillForRating(rating) {
+  if (rating < 1350) return 'easy';
+  if (rating >= 1650) return 'hard';
+  return DEFAULT_BOT_SKILL;
+}
+
+// First unused name, numbered once the list runs out
+export function pickBotName(takenNames) {
+  const taken = new Set(takenNames);
+  for (let n = 1; ; n++) {
+    const name = BOT_NAMES.find(candidate => !taken.has(n === 1 ? candidate : `${candidate} ${n}`));
+    if (name) return n === 1 ? name : `${name} ${n}`;
+  }
+}
+
+// Milliseconds from the buzzer unlocking to the bot's press
+export function sampleBuzzDelay(profile) {
+  const { meanMs, spreadMs, minMs } = profile.buzz;
+  // Box-Muller transform
+  const u = 1 - Math.random();
+  const v = Math.random();
+  const normal = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  return Math.max(minMs, Math.round(meanMs + normal * spreadMs));
+}
+
+export function getClueAccuracy(profile, category, pointIndex = 0) {
+  const { default: base, rowPenalty, categories } = profile.accuracy;
+  const name = (category || '').toLowerCase();
+  const keyword = Object.keys(categories).find(key => name.includes(key));
+  const accuracy = (keyword ? categories[keyword] : base) - rowPenalty * pointIndex;
+  return Math.min(Math.max(accuracy, 0.05), 0.98);
+}
+
+export function rollRecall(profile, category, pointIndex) {
+  return Math.random() < getClueAccuracy(profile, category, pointIndex);
+}
+
+// Go for the strongest category first, top of the column down
+export function chooseClue(profile, questions) {
+  let best = null;
+  (questions || []).forEach((column, categoryIndex) => {
+    const pointIndex = (column || []).findIndex(cell => cell && !cell.revealed);
+    if (pointIndex === -1) return;
+    const accuracy = getClueAccuracy(profile, column[pointIndex].category, 0) + Math.random() * 0.1;
+    if (!best || accuracy > best.accuracy) best = { categoryIndex, pointIndex, accuracy };
+  });
+  return best && { categoryIndex: best.categoryIndex, pointIndex: best.pointIndex };
+}
+
+const DAILY_DOUBLE_STAKE = { cautious: 0.2, balanced: 0.5, aggressive: 1 };
+
+export function chooseDailyDoubleWager(profile, range) {
+  const stake = DAILY_DOUBLE_STAKE[profile.wagering] ?? DAILY_DOUBLE_STAKE.balanced;
+  return clampWager(range.max * stake, range);
+}
+
+// Final Jeopardy: aggressive bots bet it all. Any other leader bets to stay
+// ahead of the runner-up doubling up; behind, a cautious bot bets a quarter and
+// a balanced one bets enough to pass the leader
+export function chooseFinalJeopardyWager(profile, score, range, rivalScores) {
+  const best = Math.max(0, ...rivalScores);
+  if (profile.wagering === 'aggressive') return clampWager(range.max, range);
+  if (score > best) {
+    const safe = score - best * 2 - 1;
+    return clampWager(safe >= 0 ? safe : best * 2 - score + 1, range);
+  }
+  if (profile.wagering === 'cautious') return clampWager(score * 0.25, range);
+  return clampWager(best - score + 1, range);
+}
@@ -0,0 +1,46 @@
+// Staff roles in a host-mode room and the host actions each role may take.
+
+// The host can do everything; staff get the actions listed here
+export const STAFF_ROLES = ['coHost', 'judge'];
+
+export const ROLE_LABELS = {
+  host: 'Host',
+  coHost: 'Co-host',
+  judge: 'Judge',
+};
+
+const ROLE_ACTIONS = {
+  // Runs the board alongside the host, and takes over if the host drops
+  coHost: [
+    'game:select-question',
+    'host:skip-question',
+    'host:open-buzzer',
+    'host:close-buzzer',
+    'host:open-answer-window',
+    'host:close-answer-window',
+    'host:judge-answer',
+    'host:reveal-answers',
+    'host:override-score',
+    'host:undo-scores',
+    'host:kick-player',
+    'host:approve-join',
+    'host:pause',
+    'host:resume',
+  ],
+  // Judges typed answers from another device
+  judge: [
+    'host:judge-answer',
+    'host:reveal-answers',
+    'host:undo-scores',
+  ],
+};
+
+export function isStaffRole(role) {
+  return STAFF_ROLES.includes(role);
+}
+
+// role: 'host' | 'coHost' | 'judge' | null, action: a host:* event (or game:select-question)
+export function canPerform(role, action) {
+  if (role === 'host') return true;
+  return !!ROLE_ACTIONS[role]?.includes(action);
+}
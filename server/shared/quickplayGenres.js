@@ -0,0 +1,28 @@
+// Genre preferences for the quickplay queue. A preference of null means "anything".
+
+export const QUICKPLAY_GENRES = [
+  'Science',
+  'Movies',
+  'History',
+  'Sports',
+  'Music',
+  'Geography',
+  'Literature',
+  'Technology',
+];
+
+const MAX_GENRE_LENGTH = 50;
+
+export function normalizeGenrePreference(genre) {
+  if (typeof genre !== 'string') return null;
+  return genre.trim().slice(0, MAX_GENRE_LENGTH) || null;
+}
+
+export function isSameGenre(a, b) {
+  return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+// Same genre, or at least one side will play anything
+export function areGenresCompatible(a, b) {
+  return !a || !b || isSameGenre(a, b);
+}
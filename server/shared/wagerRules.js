@@ -0,0 +1,37 @@
+// Wager limits for Daily Doubles and Final Jeopardy, and the checks a wager must pass.
+
+export const MIN_DAILY_DOUBLE_WAGER = 5;
+
+// Highest clue value on a board ([categoryIndex][pointIndex] of { points })
+export function getTopClueValue(questions) {
+  const values = (questions || []).flat().map(q => q?.points || 0);
+  return values.length > 0 ? Math.max(...values) : 0;
+}
+
+// Daily Double: $5 up to the greater of your score or the round's top clue value
+export function getDailyDoubleWagerRange(score, topClueValue) {
+  return {
+    min: MIN_DAILY_DOUBLE_WAGER,
+    max: Math.max(score || 0, topClueValue || 0, MIN_DAILY_DOUBLE_WAGER),
+  };
+}
+
+// Final Jeopardy: 0 up to your current score
+export function getFinalJeopardyWagerRange(score) {
+  return { min: 0, max: Math.max(score || 0, 0) };
+}
+
+// Returns an error message, or null if the wager is inside the range
+export function validateWager(wager, { min, max }) {
+  if (!Number.isInteger(wager)) {
+    return 'Wager must be a whole dollar amount';
+  }
+  if (wager < min || wager > max) {
+    return `Wager must be between $${min.toLocaleString()} and $${max.toLocaleString()}`;
+  }
+  return null;
+}
+
+export function clampWager(wager, { min, max }) {
+  return Math.max(min, Math.min(max, Math.floor(wager) || 0));
+}
@@ -1,11 +1,71 @@
 import { v4 as uuidv4 } from 'uuid';
+import { saveRoomSnapshot, deleteRoomSnapshot, loadRoomSnapshots } from '../services/roomSnapshots.js';
+import { fromBoardFormat } from '../services/finalJeopardy.js';
+import { getDailyDoubleWagerRange, getFinalJeopardyWagerRange, getTopClueValue, validateWager } from '../shared/wagerRules.js';
+import { DEFAULT_BOT_SKILL, isBotSkill, pickBotName, getBotSkillForRating } from '../shared/bots.js';
+import { canPerform, isStaffRole } from '../shared/hostRoles.js';
+import { normalizeGenrePreference, isSameGenre, areGenresCompatible } from '../shared/quickplayGenres.js';
+import { createInviteToken, getAccessDenial } from '../services/roomAccess.js';
+import { getRating, getRatingKey, DEFAULT_RATING } from '../services/ratings.js';
+
+// Game-level phases and the moves allowed between them. Question-level state
+// (playing, questionActive, dailyDouble, roundEnd, ...) stays in gameState.phase.
+const GAME_PHASE_TRANSITIONS = {
+  lobby: ['setup', 'round1'],
+  setup: ['round1'],
+  round1: ['round2', 'finalJeopardy', 'finished'],
+  round2: ['finalJeopardy', 'finished'],
+  finalJeopardy: ['finished'],
+  finished: [],
+};
+
+// Early buzz lockout: pressing before the buzzer unlocks costs a short penalty
+const DEFAULT_BUZZ_LOCKOUT_MS = 250;
+const MAX_BUZZ_LOCKOUT_MS = 2000;
+// Rough clue reading pace (matches the clients' text-to-speech rate)
+const CLUE_READING_MS_PER_WORD = 300;
+const MAX_CLUE_READING_MS = 10000;
+
+// Buzz arbitration: a client's own reaction time is trusted up to its measured
+// round trip (capped), plus a little slack for clock sync error
+const MAX_BUZZ_COMPENSATION_MS = 500;
+const BUZZ_CLOCK_TOLERANCE_MS = 50;
+
+const DEFAULT_QUICKPLAY_MATCH_SIZE = 3;
+const MIN_QUICKPLAY_MATCH_SIZE = 2;
+const MAX_QUICKPLAY_MATCH_SIZE = 6;
+// How long a quickplay player waits before bots take the empty seats
+export const QUICKPLAY_BOT_FILL_MS = 20000;
+// Quickplay opponents must be within this many rating points of each other,
+// and the band widens the longer someone waits
+const RATING_BAND_BASE = 100;
+const RATING_BAND_GROWTH_PER_SEC = 25;
+// After this long in the queue, players will take opponents who asked for a different genre
+const QUICKPLAY_GENRE_FLEX_MS = 10000;
+// Queue waits remembered for estimating how long the next match takes
+const RECENT_QUEUE_WAITS = 20;
+
+// Words that don't count toward a partial answer match
+const ANSWER_FILLER_WORDS = new Set(['a', 'an', 'the', 'of', 'and']);
+
+function getSignificantWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 1 && !ANSWER_FILLER_WORDS.has(word));
+}
+
+// How long a disconnected host has to come back before someone else takes over
+export const HOST_MIGRATION_GRACE_MS = 30000;
 
 export class GameStateManager {
-  constructor() {
+  constructor({ quickplayMatchSize = DEFAULT_QUICKPLAY_MATCH_SIZE } = {}) {
     this.rooms = new Map(); // roomCode -> GameRoom
     this.playerRooms = new Map(); // socketId -> roomCode (legacy, kept for cleanup)
     this.sessionRooms = new Map(); // sessionId -> roomCode (for reconnection)
-    this.matchmakingQueue = []; // Array of { socket, displayName, joinedAt }
+    this.matchmakingQueue = []; // Array of { socket, displayName, signature, genre, rating, joinedAt }
+    this.recentQueueWaits = []; // ms waited by recently matched players
+    this.quickplayMatchSize = Math.min(
+      Math.max(Math.floor(quickplayMatchSize) || DEFAULT_QUICKPLAY_MATCH_SIZE, MIN_QUICKPLAY_MATCH_SIZE),
+      MAX_QUICKPLAY_MATCH_SIZE
+    );
   }
 
   // Room Management
@@ -16,8 +76,15 @@ export class GameStateManager {
       code: roomCode,
       type,
       hostId: creatorSocket.sessionId,
+      roles: new Map(), // Host mode staff: playerId -> 'coHost' | 'judge'
       status: 'waiting',
+      gamePhase: 'lobby',
       players: new Map(),
+      spectators: new Map(),
+      teams: new Map(),
+      bans: new Map(), // sessionId -> { id, userId, displayName, bannedAt }
+      pendingJoins: new Map(), // sessionId -> join request awaiting approval
+      access: { passwordHash: null, inviteOnly: false }, // never sent to clients
       settings: {
         maxPlayers: type === 'host' ? 30 : 6,
         questionTimeLimit: 30000,
@@ -31,13 +98,23 @@ export class GameStateManager {
     return room;
   }
 
-  joinRoom(socket, roomCode, displayName, signature = null) {
+  // With requireApproval on, newcomers knock instead: they're parked in
+  // room.pendingJoins and get { pending: true } until staff let them in.
+  // credentials ({ password, invite }) get into protected rooms.
+  joinRoom(socket, roomCode, displayName, signature = null, { approved = false, ...credentials } = {}) {
     const room = this.rooms.get(roomCode.toUpperCase());
 
     if (!room) {
       throw new Error('Room not found');
     }
 
+    if (this.isBanned(room, socket)) {
+      throw new Error('You have been removed from this room');
+    }
+
+    // Knocking players showed their credentials before they were let in
+    if (!approved) this.checkRoomAccess(room, socket, credentials);
+
     // Block joins during Final Jeopardy
     if (room.status === 'in_progress' && room.gameState?.phase === 'finalJeopardy') {
       throw new Error('Game is in Final Jeopardy, cannot join');
@@ -48,21 +125,43 @@ export class GameStateManager {
     }
 
     const playerId = socket.sessionId;
+    if (this.isSpectator(room, playerId)) {
+      throw new Error('Already watching this room');
+    }
+
+    // Bots (no socket) are added by the host, so they never knock
+    const mustKnock = room.settings.requireApproval && !approved && socket.id
+      && playerId !== room.hostId && !room.players.has(playerId);
+    if (mustKnock) {
+      room.pendingJoins.set(playerId, {
+        id: playerId,
+        socketId: socket.id,
+        userId: socket.userId || null,
+        displayName,
+        signature,
+        requestedAt: Date.now(),
+      });
+      return { pending: true, roomCode: room.code };
+    }
+
     const isLateJoin = room.status === 'in_progress';
     const player = {
       id: playerId,
       socketId: socket.id,
+      userId: socket.userId || null,
       displayName,
       signature,
       score: 0,
       isReady: isLateJoin ? true : false,
       isConnected: true,
+      connectedAt: Date.now(),
       isHost: playerId === room.hostId,
+      role: null,
       waitingToJoin: isLateJoin && !!room.gameState?.currentQuestion,
     };
 
     room.players.set(playerId, player);
-    this.playerRooms.set(socket.id, roomCode);
+    if (socket.id) this.playerRooms.set(socket.id, roomCode);
     this.sessionRooms.set(socket.sessionId, roomCode);
 
     const result = {
@@ -70,34 +169,127 @@ export class GameStateManager {
       roomCode: room.code,
       type: room.type,
       players: Array.from(room.players.values()),
+      teams: this.getTeamsView(room),
       settings: room.settings,
       isHost: player.isHost,
       isLateJoin,
     };
 
-    // Late joiners need the full game state to render the board
+    // Late joiners need the game state to render the board
+    if (isLateJoin) {
+      result.gameState = this.getGameStateView(room.code, playerId);
+    }
+
+    return result;
+  }
+
+  // Spectators watch the board, scores and reveals but never play. They live
+  // outside room.players so they don't count toward maxPlayers or any tally.
+  spectateRoom(socket, roomCode, displayName, credentials = {}) {
+    const room = this.rooms.get(roomCode.toUpperCase());
+
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    if (this.isBanned(room, socket)) {
+      throw new Error('You have been removed from this room');
+    }
+    this.checkRoomAccess(room, socket, credentials);
+
+    const spectatorId = socket.sessionId;
+    if (room.players.has(spectatorId)) {
+      throw new Error('Already playing in this room');
+    }
+
+    room.spectators.set(spectatorId, {
+      id: spectatorId,
+      socketId: socket.id,
+      userId: socket.userId || null,
+      displayName,
+      isConnected: true,
+    });
+    this.playerRooms.set(socket.id, room.code);
+    this.sessionRooms.set(spectatorId, room.code);
+
+    const isLateJoin = room.status === 'in_progress';
+    const result = {
+      roomId: room.id,
+      roomCode: room.code,
+      type: room.type,
+      players: Array.from(room.players.values()),
+      teams: this.getTeamsView(room),
+      spectatorCount: room.spectators.size,
+      settings: room.settings,
+      isHost: false,
+      isSpectator: true,
+      isLateJoin,
+    };
+
     if (isLateJoin) {
-      result.gameState = room.gameState;
+      result.gameState = this.getGameStateView(room.code, spectatorId);
     }
 
     return result;
   }
 
+  isSpectator(room, id) {
+    return !!room?.spectators?.has(id);
+  }
+
   leaveRoom(socket, roomCode) {
     const room = this.rooms.get(roomCode);
     if (!room) return;
 
     const playerId = socket.sessionId;
+    if (this.isSpectator(room, playerId)) {
+      room.spectators.delete(playerId);
+      this.playerRooms.delete(socket.id);
+      this.sessionRooms.delete(playerId);
+      return;
+    }
+
     room.players.delete(playerId);
     this.playerRooms.delete(socket.id);
     this.sessionRooms.delete(socket.sessionId);
+    room.roles.delete(playerId);
 
-    // If room is empty, delete it
-    if (room.players.size === 0) {
+    // If no people are left (bots don't keep a room alive), delete it
+    if (!Array.from(room.players.values()).some(p => !p.isBot)) {
       this.rooms.delete(roomCode);
     }
   }
 
+  // Bots join through joinRoom like anyone else, with a socket-less identity
+  addBot(roomCode, skill = DEFAULT_BOT_SKILL) {
+    const room = this.rooms.get(roomCode);
+    const botId = `bot-${uuidv4()}`;
+    const name = pickBotName(Array.from(room?.players.values() || []).map(p => p.displayName));
+    this.joinRoom({ id: null, sessionId: botId, userId: null }, roomCode, name);
+
+    const bot = this.rooms.get(roomCode).players.get(botId);
+    bot.isBot = true;
+    bot.botSkill = skill;
+    bot.isReady = true;
+    return bot;
+  }
+
+  // Host adds a computer contestant to their lobby
+  hostAddBot(roomCode, hostId, skill) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (room.hostId !== hostId) return { success: false, error: 'Only the host can add bots' };
+    if (room.type === 'host') return { success: false, error: 'Bots can\'t play in host mode' };
+    if (room.status !== 'waiting') return { success: false, error: 'Bots can only be added in the lobby' };
+    if (!isBotSkill(skill)) return { success: false, error: 'Unknown bot skill' };
+
+    try {
+      return { success: true, bot: this.addBot(room.code, skill) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   setPlayerReady(socket, roomCode, ready) {
     const room = this.rooms.get(roomCode);
     if (!room) return;
@@ -130,43 +322,71 @@ export class GameStateManager {
 
   // Game Logic - Multiplayer Setup
 
-  setCategories(roomCode, categories) {
+  setGenre(roomCode, genre) {
     const room = this.rooms.get(roomCode);
     if (room) {
       room.gameState = room.gameState || {};
-      room.gameState.categories = categories;
+      room.gameState.genre = genre;
     }
   }
 
-  setQuestions(roomCode, questions, categories, firstPickerId) {
+  setCategories(roomCode, categories) {
     const room = this.rooms.get(roomCode);
     if (room) {
-      room.status = 'in_progress';
       room.gameState = room.gameState || {};
-      room.gameState.questions = questions;
       room.gameState.categories = categories;
-      room.gameState.currentPickerId = firstPickerId;
-      room.gameState.phase = 'playing';
-      room.gameState.buzzes = {};
-      room.gameState.buzzedPlayerId = null;
-      room.gameState.currentQuestion = null;
-      room.gameState.playersWhoBuzzed = new Set();
-      room.gameState.currentRound = 1;
+    }
+  }
 
-      // Place Daily Doubles if setting enabled
-      if (room.settings.enableDailyDouble) {
-        room.gameState.dailyDoubles = this.placeDailyDoubles(questions.length, 1);
-      } else {
-        room.gameState.dailyDoubles = [];
-      }
+  setQuestions(roomCode, questions, categories, firstPickerId, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (!this.canControlGame(room, playerId)) return { success: false, error: 'Only the host can start the game' };
+    if (!this.isValidBoard(questions)) return { success: false, error: 'Invalid question board' };
+    if (room.settings.teamMode && this.getContestants(room).some(p => !this.getTeam(room, p.id))) {
+      return { success: false, error: 'Every player needs a team' };
+    }
 
-      // Daily Double state
-      room.gameState.isDailyDouble = false;
-      room.gameState.dailyDoubleWager = 0;
+    const transition = this.setGamePhase(room, 'round1');
+    if (!transition.success) return transition;
 
-      // Suggestion state
-      room.gameState.suggestions = {};
+    // The presenter picks in host mode; otherwise the pick must go to a player in the room
+    if (room.type === 'host') {
+      firstPickerId = room.hostId;
+    } else if (!room.players.has(firstPickerId)) {
+      const contestants = this.getContestants(room);
+      firstPickerId = contestants[Math.floor(Math.random() * contestants.length)]?.id || null;
+    }
+
+    room.status = 'in_progress';
+    room.gameState = room.gameState || {};
+    room.gameState.questions = questions;
+    room.gameState.categories = categories;
+    room.gameState.currentPickerId = firstPickerId;
+    room.gameState.phase = 'playing';
+    room.gameState.buzzes = {};
+    room.gameState.buzzedPlayerId = null;
+    room.gameState.currentQuestion = null;
+    room.gameState.playersWhoBuzzed = new Set();
+    room.gameState.currentRound = 1;
+    room.gameState.playedBoards = [];
+    room.gameState.scoreLedger = [];
+
+    // Place Daily Doubles if setting enabled
+    if (room.settings.enableDailyDouble) {
+      room.gameState.dailyDoubles = this.placeDailyDoubles(questions.length, 1);
+    } else {
+      room.gameState.dailyDoubles = [];
     }
+
+    // Daily Double state
+    room.gameState.isDailyDouble = false;
+    room.gameState.dailyDoubleWager = 0;
+
+    // Suggestion state
+    room.gameState.suggestions = {};
+
+    return { success: true, firstPickerId };
   }
 
   placeDailyDoubles(categoryCount, round) {
@@ -208,16 +428,19 @@ export class GameStateManager {
     if (!room || !room.gameState) return null;
 
     const playerId = socket.sessionId;
-    // Allow selection if they are the current picker
-    if (room.gameState.currentPickerId !== playerId) {
+    if (this.isPaused(room)) return null;
+    // Allow selection if they are the current picker (or on the picker's team)
+    if (!this.isSameSide(room, room.gameState.currentPickerId, playerId)) {
       return null; // Not their turn
     }
 
     const question = room.gameState.questions[categoryIndex]?.[pointIndex];
     if (!question || question.revealed) return null;
 
+    // Whoever actually picked plays a Daily Double for their team
+    room.gameState.currentPickerId = playerId;
     question.revealed = true;
-    room.gameState.currentQuestion = { ...question, categoryIndex, pointIndex };
+    room.gameState.currentQuestion = { ...question, categoryIndex, pointIndex, responseRevealed: false };
     room.gameState.buzzes = {};
     room.gameState.playersWhoBuzzed = new Set();
 
@@ -248,7 +471,8 @@ export class GameStateManager {
     };
   }
 
-  startBuzzWindow(roomCode) {
+  // The buzzer unlocks readingTime ms from now; reaction times count from then
+  startBuzzWindow(roomCode, readingTime = 0) {
     const room = this.rooms.get(roomCode);
     if (room && room.gameState) {
       room.gameState.buzzes = {};
@@ -258,16 +482,36 @@ export class GameStateManager {
       // players can't buzz again. Only initialize if not already set.
       room.gameState.playersWhoBuzzed = room.gameState.playersWhoBuzzed || new Set();
       room.gameState.skippedPlayers = new Set();
-      room.gameState.buzzWindowStartTime = Date.now();
+      room.gameState.buzzWindowStartTime = Date.now() + readingTime;
     }
   }
 
+  // Lockout penalty in ms, or 0 when early buzz lockout is off
+  getBuzzLockoutMs(room) {
+    if (!room?.settings?.earlyBuzzLockout) return 0;
+    const lockoutMs = Number(room.settings.buzzLockoutMs) || DEFAULT_BUZZ_LOCKOUT_MS;
+    return Math.min(Math.max(lockoutMs, 0), MAX_BUZZ_LOCKOUT_MS);
+  }
+
+  // How long the clue is read before the buzzer unlocks (lockout mode only).
+  // In host mode the host reads it and opens the buzzer by hand.
+  getClueReadingTime(room) {
+    const clue = room?.gameState?.currentQuestion?.answer;
+    if (!this.getBuzzLockoutMs(room) || room.type === 'host' || !clue) return 0;
+    const words = clue.trim().split(/\s+/).length;
+    return Math.min(words * CLUE_READING_MS_PER_WORD, MAX_CLUE_READING_MS);
+  }
+
   clearBuzzTimeout(roomCode) {
     const room = this.rooms.get(roomCode);
     if (room?.buzzTimeout) {
       clearTimeout(room.buzzTimeout);
       room.buzzTimeout = null;
     }
+    if (room?.gameState) {
+      room.gameState.buzzDeadline = null;
+      this.clearTimerRecord(room, 'buzz');
+    }
   }
 
   clearAnswerTimeout(roomCode) {
@@ -276,6 +520,29 @@ export class GameStateManager {
       clearTimeout(room.answerTimeout);
       room.answerTimeout = null;
     }
+    if (room?.gameState) {
+      room.gameState.answerDeadline = null;
+      this.clearTimerRecord(room, 'answer');
+    }
+  }
+
+  // Daily Double wager / Final Jeopardy countdown
+  clearPhaseTimeout(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (room?.phaseTimeout) {
+      clearTimeout(room.phaseTimeout);
+      room.phaseTimeout = null;
+    }
+    if (room?.gameState?.timer && room.gameState.timer.phase !== 'buzz' && room.gameState.timer.phase !== 'answer') {
+      room.gameState.timer = null;
+    }
+  }
+
+  // Forget the broadcast countdown once its phase is over
+  clearTimerRecord(room, phase) {
+    if (room.gameState.timer?.phase === phase) {
+      room.gameState.timer = null;
+    }
   }
 
   startAnswerWindow(roomCode) {
@@ -285,23 +552,67 @@ export class GameStateManager {
     }
   }
 
-  recordBuzz(roomCode, playerId, reactionTime) {
+  // Returns { lockedOut, lockoutMs } - a locked out buzz is not recorded.
+  // reactionTime is measured by the client from when the clue reached it;
+  // pressedAt is the press on the synced (server) clock and rtt the
+  // server-measured round trip to that client.
+  recordBuzz(roomCode, playerId, reactionTime, { pressedAt, rtt } = {}) {
     const room = this.rooms.get(roomCode);
-    if (!room || !room.gameState) return;
+    if (!room || !room.gameState || this.isPaused(room)) return null;
+
+    const lockoutMs = this.getBuzzLockoutMs(room);
+    if (lockoutMs) {
+      const now = Date.now();
+      const lockouts = room.gameState.buzzLockouts = room.gameState.buzzLockouts || {};
+
+      // Still serving a penalty - the press is ignored
+      if (lockouts[playerId] > now) {
+        return { lockedOut: true, lockoutMs: lockouts[playerId] - now };
+      }
+
+      // Buzzing before the buzzer unlocks (or while it's closed) earns a penalty
+      if (!room.gameState.buzzWindowOpen || now < room.gameState.buzzWindowStartTime) {
+        lockouts[playerId] = now + lockoutMs;
+        return { lockedOut: true, lockoutMs };
+      }
+    }
+
+    // In host mode the buzzer is only live while the host has it open
+    if (room.type === 'host' && !room.gameState.buzzWindowOpen) return null;
 
     // Mark that a buzz was received (guards against stale timeout callbacks)
     room.gameState.buzzReceived = true;
 
-    // Calculate reaction time server-side (more accurate, cheat-proof)
     const serverReactionTime = room.gameState.buzzWindowStartTime
-      ? Date.now() - room.gameState.buzzWindowStartTime
+      ? this.getCompensatedReactionTime(room.gameState.buzzWindowStartTime, reactionTime, pressedAt, rtt)
       : reactionTime;
 
-    // Only record if they haven't already buzzed for this question
+    // Only record if they (or a teammate) haven't already buzzed for this question.
+    // A buzz locks out the whole team.
     if (!room.gameState.playersWhoBuzzed.has(playerId)) {
       room.gameState.buzzes[playerId] = serverReactionTime;
-      room.gameState.playersWhoBuzzed.add(playerId);
+      this.getSideMemberIds(room, playerId).forEach(id => room.gameState.playersWhoBuzzed.add(id));
+      if (room.type === 'host') this.queueBuzz(room, playerId, serverReactionTime);
     }
+    return { lockedOut: false };
+  }
+
+  // Latency compensation: a laggy player shouldn't lose just because their
+  // buzz took longer to arrive. The claimed reaction time is accepted when the
+  // synced press time agrees with when the buzz arrived, and is clamped so it's
+  // never slower than the server saw nor faster by more than the round trip.
+  getCompensatedReactionTime(unlockedAt, reactionTime, pressedAt, rtt) {
+    const now = Date.now();
+    const elapsed = Math.max(0, now - unlockedAt);
+    const maxCompensation = Math.min(rtt || 0, MAX_BUZZ_COMPENSATION_MS) + BUZZ_CLOCK_TOLERANCE_MS;
+
+    const claimed = Number(reactionTime);
+    const inTransit = now - Number(pressedAt);
+    const plausible = Number.isFinite(claimed) && Number.isFinite(inTransit)
+      && inTransit >= -BUZZ_CLOCK_TOLERANCE_MS && inTransit <= maxCompensation;
+    if (!plausible) return elapsed;
+
+    return Math.round(Math.min(Math.max(claimed, elapsed - maxCompensation, 0), elapsed));
   }
 
   determineBuzzerWinner(roomCode) {
@@ -311,6 +622,15 @@ export class GameStateManager {
     const buzzes = room.gameState.buzzes;
     if (!buzzes || Object.keys(buzzes).length === 0) return null;
 
+    // In host mode the fastest in the queue gets the floor, and the buzzer
+    // stays open so later buzzes join the queue
+    if (room.type === 'host') {
+      const first = room.gameState.buzzQueue?.[0];
+      if (!first) return null;
+      room.gameState.buzzedPlayerId = first.playerId;
+      return { playerId: first.playerId, reactionTime: first.reactionTime };
+    }
+
     // Find fastest reaction time (lowest ms)
     const sorted = Object.entries(buzzes).sort((a, b) => a[1] - b[1]);
     const winner = sorted[0];
@@ -324,9 +644,11 @@ export class GameStateManager {
     };
   }
 
-  handleAnswer(roomCode, playerId, correct, points) {
+  // Grade the buzzer winner's response against the board. A null response
+  // means the answer window expired without one.
+  handleAnswer(roomCode, playerId, response) {
     const room = this.rooms.get(roomCode);
-    if (!room || !room.gameState) return null;
+    if (!room || !room.gameState || this.isPaused(room)) return null;
 
     // Verify this player buzzed
     if (room.gameState.buzzedPlayerId !== playerId) {
@@ -338,9 +660,14 @@ export class GameStateManager {
 
     // Capture correct answer before potentially clearing state
     const correctAnswer = room.gameState.currentQuestion?.question;
+    // Point value comes from the server's board, never from the client
+    const points = room.gameState.currentQuestion?.points || 0;
+    const { isCorrect: correct } = this.gradeResponse(response, correctAnswer);
+
+    this.tallyAnswer(player, correct);
 
     if (correct) {
-      player.score = (player.score || 0) + points;
+      this.recordScore(room, playerId, points, { type: 'answer', correct });
       // Correct answer - they get to pick next
       room.gameState.currentPickerId = playerId;
       room.gameState.currentQuestion = null;
@@ -351,13 +678,14 @@ export class GameStateManager {
       return {
         playerId,
         correct: true,
+        response,
         newScore: player.score,
         nextPickerId: playerId,
         canBuzzAgain: false,
         correctAnswer,
       };
     } else {
-      player.score = (player.score || 0) - points;
+      this.recordScore(room, playerId, -points, { type: 'answer', correct });
 
       // Check if others can still buzz
       const totalPlayers = room.players.size;
@@ -379,6 +707,7 @@ export class GameStateManager {
       return {
         playerId,
         correct: false,
+        response,
         newScore: player.score,
         nextPickerId: room.gameState.currentPickerId,
         canBuzzAgain,
@@ -398,6 +727,9 @@ export class GameStateManager {
     room.gameState.buzzWindowOpen = false;
     room.gameState.playersWhoBuzzed = new Set();
     room.gameState.continuedPlayers = new Set(); // Reset for this question
+    if (room.gameState.currentQuestion) {
+      room.gameState.currentQuestion.responseRevealed = true;
+    }
 
     // Keep the same picker (they get to pick again since no one answered)
     return {
@@ -411,6 +743,8 @@ export class GameStateManager {
     const room = this.rooms.get(roomCode);
     if (!room || !room.gameState) return false;
 
+    if (!room.players.has(playerId)) return false;
+
     room.gameState.continuedPlayers = room.gameState.continuedPlayers || new Set();
     room.gameState.continuedPlayers.add(playerId);
 
@@ -443,25 +777,61 @@ export class GameStateManager {
 
   handleDailyDoubleWager(roomCode, playerId, wager) {
     const room = this.rooms.get(roomCode);
-    if (!room || !room.gameState) return null;
+    if (!room || !room.gameState) return { success: false, error: 'Room not found' };
+    if (this.isPaused(room)) return { success: false, error: 'The game is paused' };
 
-    // Verify this is the picker and we're in Daily Double phase
-    if (room.gameState.currentPickerId !== playerId) return null;
-    if (!room.gameState.isDailyDouble) return null;
+    // Verify this is the picker and we're waiting on the Daily Double wager
+    if (room.gameState.currentPickerId !== playerId) {
+      return { success: false, error: 'Only the player who found the Daily Double can wager' };
+    }
+    if (!room.gameState.isDailyDouble || room.gameState.phase !== 'dailyDouble') {
+      return { success: false, error: 'No Daily Double wager is pending' };
+    }
+
+    const score = room.players.get(playerId)?.score || 0;
+    const range = getDailyDoubleWagerRange(score, getTopClueValue(room.gameState.questions));
+    const error = validateWager(wager, range);
+    if (error) return { success: false, error };
 
     room.gameState.dailyDoubleWager = wager;
     room.gameState.phase = 'dailyDoubleQuestion';
 
     return {
+      success: true,
       playerId,
       wager,
       question: room.gameState.currentQuestion,
     };
   }
 
+  // The picker ran out of time to wager - they wager the minimum
+  autoDailyDoubleWager(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room?.gameState) return { success: false, error: 'Room not found' };
+
+    const pickerId = room.gameState.currentPickerId;
+    const score = room.players.get(pickerId)?.score || 0;
+    const range = getDailyDoubleWagerRange(score, getTopClueValue(room.gameState.questions));
+    return this.handleDailyDoubleWager(roomCode, pickerId, range.min);
+  }
+
+  // Daily Double player asks to see the correct response before self-judging
+  revealDailyDoubleResponse(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room?.gameState?.isDailyDouble) return null;
+    if (room.gameState.currentPickerId !== playerId) return null;
+    if (room.gameState.phase !== 'dailyDoubleQuestion') return null;
+
+    const question = room.gameState.currentQuestion;
+    if (!question) return null;
+
+    question.responseRevealed = true;
+    return { correctAnswer: question.question };
+  }
+
   handleDailyDoubleAnswer(roomCode, playerId, correct) {
     const room = this.rooms.get(roomCode);
-    if (!room || !room.gameState) return null;
+    if (!room || !room.gameState || this.isPaused(room)) return null;
 
     // Verify this is the picker
     if (room.gameState.currentPickerId !== playerId) return null;
@@ -470,12 +840,10 @@ export class GameStateManager {
     if (!player) return null;
 
     const wager = room.gameState.dailyDoubleWager || 0;
+    const correctAnswer = room.gameState.currentQuestion?.question;
+    this.tallyAnswer(player, correct);
 
-    if (correct) {
-      player.score = (player.score || 0) + wager;
-    } else {
-      player.score = (player.score || 0) - wager;
-    }
+    this.recordScore(room, playerId, correct ? wager : -wager, { type: 'dailyDouble', correct });
 
     // Reset Daily Double state
     room.gameState.isDailyDouble = false;
@@ -490,14 +858,30 @@ export class GameStateManager {
       wager,
       newScore: player.score,
       nextPickerId: playerId,
+      correctAnswer,
     };
   }
 
-  startRound2(roomCode, questions, categories, firstPickerId) {
+  startRound2(roomCode, questions, categories, playerId) {
     const room = this.rooms.get(roomCode);
-    if (!room) return;
+    if (!room?.gameState) return { success: false, error: 'Room not found' };
+    if (!this.canControlGame(room, playerId)) return { success: false, error: 'Only the host can start Double Jeopardy' };
+    if (!this.isRoundOver(room) || this.getNextGamePhase(room) !== 'round2') {
+      return { success: false, error: 'Double Jeopardy can only start after round 1 is cleared' };
+    }
+    if (!this.isValidBoard(questions)) return { success: false, error: 'Invalid question board' };
 
-    room.gameState = room.gameState || {};
+    const transition = this.setGamePhase(room, 'round2');
+    if (!transition.success) return transition;
+
+    // Lowest scorer picks first in Double Jeopardy (the presenter always picks in host mode)
+    const firstPickerId = room.type === 'host' ? room.hostId : this.getLowestScorerId(room);
+
+    // Keep the finished round's board for the game history
+    if (room.gameState.questions) {
+      room.gameState.playedBoards = room.gameState.playedBoards || [];
+      room.gameState.playedBoards.push(this.getBoardRecord(room.gameState));
+    }
     room.gameState.questions = questions;
     room.gameState.categories = categories;
     room.gameState.currentPickerId = firstPickerId;
@@ -517,75 +901,108 @@ export class GameStateManager {
 
     room.gameState.isDailyDouble = false;
     room.gameState.dailyDoubleWager = 0;
+    room.gameState.suggestions = {};
+
+    return { success: true, firstPickerId };
   }
 
   // Final Jeopardy methods
-  startFinalJeopardy(roomCode) {
+  // Content comes from resolveFinalJeopardy (host clue, then AI, then curated pool)
+  startFinalJeopardy(roomCode, content) {
     const room = this.rooms.get(roomCode);
-    if (!room) return null;
-
-    // Generate a simple Final Jeopardy question (in production, use AI)
-    // For now, use placeholder data - the frontend will generate the actual question
-    const fjCategories = [
-      { category: 'WORLD HISTORY', clue: 'This ancient wonder was completed around 280 BC on the island of Rhodes.', answer: 'The Colossus of Rhodes' },
-      { category: 'SCIENCE', clue: 'This element, with atomic number 79, has been prized by humans for millennia.', answer: 'Gold' },
-      { category: 'LITERATURE', clue: 'This 1851 novel begins with the words "Call me Ishmael."', answer: 'Moby Dick' },
-      { category: 'GEOGRAPHY', clue: 'This is the only country that borders both the Atlantic and Indian Oceans.', answer: 'South Africa' },
-      { category: 'MUSIC', clue: 'This composer wrote his Ninth Symphony while completely deaf.', answer: 'Beethoven' },
-    ];
+    if (!room || !content || this.canStartFinalJeopardy(room)) return null;
+    if (!this.setGamePhase(room, 'finalJeopardy').success) return null;
 
-    const randomFJ = fjCategories[Math.floor(Math.random() * fjCategories.length)];
-
-    room.gameState = room.gameState || {};
     room.gameState.phase = 'finalJeopardy';
     room.gameState.finalJeopardy = {
-      category: randomFJ.category,
-      clue: randomFJ.clue,
-      answer: randomFJ.answer,
+      category: content.category,
+      clue: content.clue,
+      answer: content.answer,
+      source: content.source,
+      // Keyed by player, or by team in team play (one wager and response per team)
       wagers: new Map(),
       answers: new Map(),
+      answeredBy: new Map(),
       eligiblePlayers: new Set(),
+      clueRevealed: false,
+      responseRevealed: false,
     };
 
-    // Only players with score >= 0 can participate
+    // Only players (or teams) with score >= 0 can participate
     for (const [playerId, player] of room.players) {
       if ((player.score || 0) >= 0) {
-        room.gameState.finalJeopardy.eligiblePlayers.add(playerId);
+        room.gameState.finalJeopardy.eligiblePlayers.add(this.getSideId(room, playerId));
       }
     }
 
     return {
-      category: randomFJ.category,
-      clue: randomFJ.clue,
-      answer: randomFJ.answer,
+      category: content.category,
+      clue: content.clue,
+      answer: content.answer,
     };
   }
 
   submitFJWager(roomCode, playerId, wager) {
     const room = this.rooms.get(roomCode);
-    if (!room || !room.gameState?.finalJeopardy) return false;
+    if (!room || !room.gameState?.finalJeopardy) return { success: false, error: 'Final Jeopardy has not started' };
+    if (this.isPaused(room)) return { success: false, error: 'The game is paused' };
 
     const fj = room.gameState.finalJeopardy;
+    const sideId = this.getSideId(room, playerId);
 
-    // Only eligible players can wager
-    if (!fj.eligiblePlayers.has(playerId)) return false;
+    // Only eligible players can wager, once, before the clue is shown
+    if (!fj.eligiblePlayers.has(sideId)) return { success: false, error: 'Not eligible for Final Jeopardy' };
+    if (fj.clueRevealed || fj.wagers.has(sideId)) return { success: false, error: 'Wager already locked in' };
 
-    fj.wagers.set(playerId, wager);
+    const score = room.players.get(playerId)?.score || 0;
+    const error = validateWager(wager, getFinalJeopardyWagerRange(score));
+    if (error) return { success: false, error };
+
+    fj.wagers.set(sideId, wager);
 
     // Check if all eligible players have wagered
-    return fj.wagers.size >= fj.eligiblePlayers.size;
+    const allIn = fj.wagers.size >= fj.eligiblePlayers.size;
+    if (allIn) fj.clueRevealed = true;
+    return { success: true, allIn };
+  }
+
+  // Wager time is up: anyone who hasn't wagered wagers nothing. Returns
+  // true if this closed wagering (the clue should now be shown).
+  closeFJWagers(roomCode) {
+    const fj = this.rooms.get(roomCode)?.gameState?.finalJeopardy;
+    if (!fj || fj.clueRevealed) return false;
+
+    for (const sideId of fj.eligiblePlayers) {
+      if (!fj.wagers.has(sideId)) fj.wagers.set(sideId, 0);
+    }
+    fj.clueRevealed = true;
+    return true;
+  }
+
+  // Response time is up: anyone who hasn't answered answers blank. Returns
+  // true if this closed answering (results should now be revealed).
+  closeFJAnswers(roomCode) {
+    const fj = this.rooms.get(roomCode)?.gameState?.finalJeopardy;
+    if (!fj || !fj.clueRevealed || fj.responseRevealed) return false;
+
+    for (const sideId of fj.eligiblePlayers) {
+      if (!fj.answers.has(sideId)) fj.answers.set(sideId, '');
+    }
+    return true;
   }
 
   submitFJAnswer(roomCode, playerId, answer) {
     const room = this.rooms.get(roomCode);
-    if (!room || !room.gameState?.finalJeopardy) return false;
+    if (!room || !room.gameState?.finalJeopardy || this.isPaused(room)) return false;
 
     const fj = room.gameState.finalJeopardy;
+    const sideId = this.getSideId(room, playerId);
 
-    // Only eligible players can answer
-    if (!fj.eligiblePlayers.has(playerId)) return false;
+    // Only eligible players can answer, once per team
+    if (!fj.eligiblePlayers.has(sideId) || fj.answers.has(sideId)) return false;
 
-    fj.answers.set(playerId, answer);
+    fj.answers.set(sideId, answer);
+    fj.answeredBy.set(sideId, playerId);
 
     // Check if all eligible players have answered
     return fj.answers.size >= fj.eligiblePlayers.size;
@@ -597,13 +1014,17 @@ export class GameStateManager {
 
     const fj = room.gameState.finalJeopardy;
     const results = [];
+    fj.responseRevealed = true;
 
-    for (const playerId of fj.eligiblePlayers) {
+    for (const sideId of fj.eligiblePlayers) {
+      const team = room.teams.get(sideId);
+      // A team's result is credited to whoever answered for it
+      const playerId = team ? (fj.answeredBy.get(sideId) || this.getTeamMemberIds(room, sideId)[0]) : sideId;
       const player = room.players.get(playerId);
       if (!player) continue;
 
-      const wager = fj.wagers.get(playerId) || 0;
-      const answer = fj.answers.get(playerId) || '';
+      const wager = fj.wagers.get(sideId) || 0;
+      const answer = fj.answers.get(sideId) || '';
 
       // Simple answer validation (normalize and compare)
       const normalize = (s) => s.toLowerCase()
@@ -613,16 +1034,14 @@ export class GameStateManager {
 
       const correct = normalize(answer) === normalize(fj.answer);
 
-      // Calculate final score
-      const previousScore = player.score || 0;
-      const finalScore = correct ? previousScore + wager : previousScore - wager;
-
-      // Update player score
-      player.score = finalScore;
+      // Update player (or team) score
+      const finalScore = this.recordScore(room, playerId, correct ? wager : -wager, { type: 'finalJeopardy', correct });
+      this.tallyAnswer(player, correct);
 
       results.push({
         playerId,
-        playerName: player.displayName || player.name,
+        playerName: team ? team.name : player.displayName || player.name,
+        teamId: team?.id,
         wager,
         answer,
         correct,
@@ -693,12 +1112,12 @@ export class GameStateManager {
     // Simple answer validation (in production, use AI validation)
     const isCorrect = this.validateAnswer(answer, question.question);
 
-    const player = room.players.get(playerId);
+    const newScore = this.recordScore(room, playerId, isCorrect ? question.points : -question.points, {
+      type: 'answer',
+      correct: isCorrect,
+    });
     if (isCorrect) {
-      player.score += question.points;
       room.gameState.currentTurnPlayerId = playerId;
-    } else {
-      player.score -= question.points;
     }
 
     room.gameState.currentQuestion = null;
@@ -709,7 +1128,7 @@ export class GameStateManager {
       playerId,
       isCorrect,
       correctAnswer: question.question,
-      newScore: player.score,
+      newScore,
       nextTurnPlayerId: room.gameState.currentTurnPlayerId,
     };
   }
@@ -724,8 +1143,8 @@ export class GameStateManager {
     return normalize(playerAnswer) === normalize(correctAnswer);
   }
 
-  // Matchmaking
-  joinMatchmakingQueue(socket, displayName, signature = null) {
+  // Matchmaking. genre is the player's preferred topic, or null for anything.
+  joinMatchmakingQueue(socket, displayName, signature = null, genre = null) {
     // Remove if already in queue
     this.leaveMatchmakingQueue(socket);
 
@@ -733,6 +1152,8 @@ export class GameStateManager {
       socket,
       displayName,
       signature,
+      genre: normalizeGenrePreference(genre),
+      rating: this.lookupRating(socket),
       joinedAt: Date.now(),
     });
   }
@@ -743,60 +1164,159 @@ export class GameStateManager {
     );
   }
 
-  tryCreateMatch() {
-    if (this.matchmakingQueue.length < 3) {
-      return null;
+  // Quickplay rating for an account, or the browser session of a player without one
+  lookupRating(socket) {
+    try {
+      return getRating(getRatingKey(socket)).rating;
+    } catch (error) {
+      console.error('Failed to load quickplay rating:', error);
+      return DEFAULT_RATING;
     }
+  }
 
-    // Take first 3 players
-    const matchedPlayers = this.matchmakingQueue.splice(0, 3);
+  getRatingBand(entry, now) {
+    return RATING_BAND_BASE + Math.floor((now - entry.joinedAt) / 1000) * RATING_BAND_GROWTH_PER_SEC;
+  }
 
-    // Create room
-    const roomCode = this.generateRoomCode();
-    const room = {
-      id: uuidv4(),
-      code: roomCode,
-      type: 'quickplay',
-      hostId: null,
-      status: 'waiting',
-      players: new Map(),
-      settings: {
-        maxPlayers: 3,
-        questionTimeLimit: 30000,
-      },
-      gameState: null,
-      createdAt: Date.now(),
+  // Both players have to fall inside each other's band, and want the same
+  // genre unless one takes anything or both have waited long enough
+  canMatch(a, b, now) {
+    const gap = Math.abs(a.rating - b.rating);
+    if (gap > this.getRatingBand(a, now) || gap > this.getRatingBand(b, now)) return false;
+    return areGenresCompatible(a.genre, b.genre)
+      || Math.min(now - a.joinedAt, now - b.joinedAt) >= QUICKPLAY_GENRE_FLEX_MS;
+  }
+
+  // The anchor plus the queued players who fit everyone's band: the same
+  // genre first, then "anything", then the rest; closest rating within each
+  findMatchGroup(anchor, now) {
+    const genreRank = (entry) => {
+      if (isSameGenre(entry.genre, anchor.genre)) return 0;
+      return areGenresCompatible(entry.genre, anchor.genre) ? 1 : 2;
     };
+    const group = [anchor];
+    const candidates = this.matchmakingQueue
+      .filter(entry => entry !== anchor)
+      .sort((a, b) => (genreRank(a) - genreRank(b))
+        || (Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating)));
+
+    for (const candidate of candidates) {
+      if (group.length >= this.quickplayMatchSize) break;
+      if (group.every(member => this.canMatch(member, candidate, now))) {
+        group.push(candidate);
+      }
+    }
+    return group;
+  }
+
+  // Longest-waiting players get first pick. A match needs quickplayMatchSize
+  // players within rating range of each other; once someone has waited
+  // QUICKPLAY_BOT_FILL_MS, they play with whoever fits and bots in the empty
+  // seats. Makes at most one match per call.
+  tryCreateMatch(now = Date.now()) {
+    for (const anchor of this.matchmakingQueue) {
+      const group = this.findMatchGroup(anchor, now);
+      const waitedOut = now - anchor.joinedAt >= QUICKPLAY_BOT_FILL_MS;
+      if (group.length >= this.quickplayMatchSize || waitedOut) {
+        return this.createQuickplayRoom(group, now);
+      }
+    }
+    return null;
+  }
+
+  // The anchor's genre, or else the one most of the group asked for
+  pickMatchGenre(group) {
+    if (group[0].genre) return group[0].genre;
+    const counts = new Map();
+    group.filter(entry => entry.genre).forEach(({ genre }) => {
+      const key = genre.toLowerCase();
+      counts.set(key, { genre: counts.get(key)?.genre || genre, count: (counts.get(key)?.count || 0) + 1 });
+    });
+    const [top] = Array.from(counts.values()).sort((a, b) => b.count - a.count);
+    return top?.genre || null;
+  }
+
+  // The longest-waiting player (the anchor) hosts, and the room opens
+  // straight into setup on the group's genre
+  createQuickplayRoom(group, now) {
+    this.matchmakingQueue = this.matchmakingQueue.filter(entry => !group.includes(entry));
+    group.forEach(entry => this.recentQueueWaits.push(now - entry.joinedAt));
+    this.recentQueueWaits = this.recentQueueWaits.slice(-RECENT_QUEUE_WAITS);
+
+    const room = this.createRoom('quickplay', group[0].socket, { maxPlayers: this.quickplayMatchSize });
+    const roomCode = room.code;
+    const genre = this.pickMatchGenre(group);
 
     // Add players to room
-    matchedPlayers.forEach(({ socket, displayName, signature }) => {
+    group.forEach(({ socket, displayName, signature }) => {
       const playerId = socket.sessionId;
       room.players.set(playerId, {
         id: playerId,
         socketId: socket.id,
+        userId: socket.userId || null,
         displayName,
         signature,
         score: 0,
         isReady: false,
         isConnected: true,
-        isHost: false,
+        connectedAt: now,
+        isHost: playerId === room.hostId,
       });
       this.playerRooms.set(socket.id, roomCode);
       this.sessionRooms.set(socket.sessionId, roomCode);
     });
 
-    this.rooms.set(roomCode, room);
+    this.setGamePhase(room, 'setup');
+    if (genre) this.setGenre(roomCode, genre);
+
+    // Bots play at roughly the table's level
+    const averageRating = group.reduce((sum, entry) => sum + entry.rating, 0) / group.length;
+    const botSkill = getBotSkillForRating(averageRating);
+    while (room.players.size < this.quickplayMatchSize) {
+      this.addBot(roomCode, botSkill);
+    }
 
     return {
       roomCode,
-      players: matchedPlayers.map(p => ({
-        socketId: p.socket.id,
+      hostId: room.hostId,
+      genre,
+      players: Array.from(room.players.values()).map(p => ({
+        playerId: p.id,
+        socketId: p.socketId,
         displayName: p.displayName,
         signature: p.signature,
+        isBot: !!p.isBot,
       })),
     };
   }
 
+  // Where each queued player stands, for quickplay:queue-status.
+  // The wait estimate is how long recent matches took (or the bot fill
+  // deadline, whichever comes first), in seconds.
+  getQueueStatuses(now = Date.now()) {
+    const recent = this.recentQueueWaits;
+    const typicalWait = recent.length
+      ? Math.min(recent.reduce((sum, wait) => sum + wait, 0) / recent.length, QUICKPLAY_BOT_FILL_MS)
+      : QUICKPLAY_BOT_FILL_MS;
+
+    return this.matchmakingQueue.map((entry, index) => {
+      const waited = now - entry.joinedAt;
+      // Past the typical wait, only the bot fill deadline is certain
+      const remaining = (waited < typicalWait ? typicalWait : QUICKPLAY_BOT_FILL_MS) - waited;
+      return {
+        socket: entry.socket,
+        status: {
+          position: index + 1,
+          queueSize: this.matchmakingQueue.length,
+          estimatedWait: Math.max(0, Math.ceil(remaining / 1000)),
+          rating: entry.rating,
+          genre: entry.genre,
+          matchSize: this.quickplayMatchSize,
+        },
+      };
+    });
+  }
+
   // Disconnection
   handleDisconnect(socket) {
     // Remove from matchmaking queue
@@ -808,7 +1328,7 @@ export class GameStateManager {
       const room = this.rooms.get(roomCode);
       if (room) {
         const playerId = socket.sessionId;
-        const player = room.players.get(playerId);
+        const player = room.players.get(playerId) || room.spectators.get(playerId);
         if (player) {
           player.isConnected = false;
           // Keep sessionRooms mapping so player can reconnect
@@ -828,6 +1348,28 @@ export class GameStateManager {
       return { success: false, error: 'Room not found' };
     }
 
+    const spectator = room.spectators.get(sessionId);
+    if (spectator) {
+      spectator.isConnected = true;
+      spectator.socketId = socket.id;
+      this.playerRooms.set(socket.id, roomCode);
+      this.sessionRooms.set(sessionId, roomCode);
+
+      return {
+        success: true,
+        roomCode,
+        type: room.type,
+        players: Array.from(room.players.values()),
+        teams: this.getTeamsView(room),
+        spectatorCount: room.spectators.size,
+        settings: room.settings,
+        gameState: this.getGameStateView(roomCode, sessionId),
+        isHost: false,
+        isSpectator: true,
+        displayName: spectator.displayName,
+      };
+    }
+
     const player = room.players.get(sessionId);
     if (!player) {
       return { success: false, error: 'Player not found in room' };
@@ -835,7 +1377,9 @@ export class GameStateManager {
 
     // Restore player connection
     player.isConnected = true;
+    player.connectedAt = Date.now();
     player.socketId = socket.id;
+    if (socket.userId) player.userId = socket.userId;
 
     // Update mappings
     this.playerRooms.set(socket.id, roomCode);
@@ -846,55 +1390,802 @@ export class GameStateManager {
       roomCode,
       type: room.type,  // Include room type for host mode detection
       players: Array.from(room.players.values()),
+      teams: this.getTeamsView(room),
       settings: room.settings,
-      gameState: room.gameState,
+      gameState: this.getGameStateView(roomCode, sessionId),
+      gamePhase: room.gamePhase,
       isHost: player.isHost,
       displayName: player.displayName,
+      joinRequests: this.getJoinRequestsView(room),
+      bans: this.getBansView(room),
     };
   }
 
-  // Utilities
-  generateRoomCode() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    let code;
-    do {
-      code = '';
-      for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-    } while (this.rooms.has(code));
-    return code;
-  }
+  // =====================
+  // HOST MIGRATION
+  // =====================
 
-  getRandomPlayer(room) {
-    const players = Array.from(room.players.keys());
-    return players[Math.floor(Math.random() * players.length)];
+  isHostAway(room) {
+    return !!room.hostId && !room.players.get(room.hostId)?.isConnected;
   }
 
-  cleanupStaleRooms() {
-    const now = Date.now();
-    const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+  // The longest-connected person takes over. Host-mode rooms only ever hand
+  // control to their co-host.
+  getHostSuccessor(room) {
+    const candidates = Array.from(room.players.values())
+      .filter(p => p.isConnected && !p.isBot && p.id !== room.hostId);
+    if (room.type === 'host') {
+      return candidates.find(p => room.roles.get(p.id) === 'coHost') || null;
+    }
+    return candidates.reduce(
+      (oldest, p) => (!oldest || (p.connectedAt || 0) < (oldest.connectedAt || 0) ? p : oldest),
+      null
+    );
+  }
 
-    for (const [code, room] of this.rooms) {
-      if (now - room.createdAt > maxAge && room.status !== 'in_progress') {
-        this.rooms.delete(code);
+  // Hand the room to newHostId. In host mode the presenter and co-host swap,
+  // so the old host can be given control back when they return.
+  setHost(room, newHostId) {
+    const previousHostId = room.hostId;
+    room.hostId = newHostId;
+    room.roles.delete(newHostId);
+
+    if (room.type === 'host') {
+      if (room.players.has(previousHostId)) room.roles.set(previousHostId, 'coHost');
+      // The presenter always picks in host mode
+      if (room.gameState?.currentPickerId === previousHostId) {
+        room.gameState.currentPickerId = newHostId;
       }
     }
+    this.syncRoleFlags(room);
+
+    return { hostId: newHostId, previousHostId, roles: this.getRolesView(room) };
   }
 
-  // =====================
-  // HOST MODE METHODS
-  // =====================
+  syncRoleFlags(room) {
+    for (const player of room.players.values()) {
+      player.isHost = player.id === room.hostId;
+      player.role = room.roles.get(player.id) || null;
+    }
+  }
 
-  // Set custom questions from host
-  setHostQuestions(roomCode, questions, categories, hostId) {
-    const room = this.rooms.get(roomCode);
+  getRolesView(room) {
+    return Object.fromEntries(room.roles);
+  }
+
+  // 'host', a staff role ('coHost' | 'judge'), or null for contestants
+  getRole(room, playerId) {
+    if (!room) return null;
+    if (room.hostId && room.hostId === playerId) return 'host';
+    return room.roles?.get(playerId) || null;
+  }
+
+  // Whether playerId may do action (a host:* event, see shared/hostRoles.js)
+  hasPermission(room, playerId, action) {
+    return canPerform(this.getRole(room, playerId), action);
+  }
+
+  // Host-mode staff run the game rather than play it
+  isStaff(room, playerId) {
+    return room?.type === 'host' && this.getRole(room, playerId) !== null;
+  }
+
+  // Called once the host has been gone for the grace period (or left for good).
+  // Returns the change, or null if the host is back or nobody can take over.
+  migrateHost(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room || !this.isHostAway(room)) return null;
+
+    const successor = this.getHostSuccessor(room);
+    return successor ? this.setHost(room, successor.id) : null;
+  }
+
+  transferHost(roomCode, hostId, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (room.hostId !== hostId) return { success: false, error: 'Only the host can transfer the room' };
+
+    const player = room.players.get(playerId);
+    if (!player || player.isBot || playerId === hostId) {
+      return { success: false, error: 'Player not found' };
+    }
+    if (!player.isConnected) return { success: false, error: 'That player is disconnected' };
+    if (room.type === 'host' && room.roles.get(playerId) !== 'coHost') {
+      return { success: false, error: 'Host mode rooms can only be handed to the co-host' };
+    }
+
+    return { success: true, change: this.setHost(room, playerId) };
+  }
+
+  // Host mode: give a player a staff role, or take it away with null. Staff
+  // don't play; there's one co-host, who takes over if the host drops.
+  setRole(roomCode, hostId, playerId, role) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (room.type !== 'host') return { success: false, error: 'Only host mode rooms have staff roles' };
+    if (room.hostId !== hostId) return { success: false, error: 'Only the host can assign roles' };
+    if (role !== null && !isStaffRole(role)) return { success: false, error: 'Invalid role' };
+
+    const player = room.players.get(playerId);
+    if (!player || player.isBot || playerId === hostId) {
+      return { success: false, error: 'Player not found' };
+    }
+
+    if (role === 'coHost') {
+      for (const [id, existing] of room.roles) {
+        if (existing === 'coHost') room.roles.delete(id);
+      }
+    }
+    if (role) {
+      room.roles.set(playerId, role);
+    } else {
+      room.roles.delete(playerId);
+    }
+    this.syncRoleFlags(room);
+    return { success: true, roles: this.getRolesView(room) };
+  }
+
+  // =====================
+  // ADMISSION (BANS, JOIN APPROVAL, PASSWORDS)
+  // =====================
+
+  // A ban follows the session and, for signed-in players, the account too,
+  // so clearing cookies isn't enough to get back in
+  isBanned(room, socket) {
+    if (!room.bans?.size) return false;
+    if (room.bans.has(socket.sessionId)) return true;
+    return !!socket.userId && Array.from(room.bans.values()).some(ban => ban.userId === socket.userId);
+  }
+
+  banIdentity(room, identity) {
+    room.bans.set(identity.id, {
+      id: identity.id,
+      userId: identity.userId || null,
+      displayName: identity.displayName,
+      bannedAt: Date.now(),
+    });
+  }
+
+  getBansView(room) {
+    return Array.from(room.bans?.values() || []).map(({ id, displayName, bannedAt }) => ({ id, displayName, bannedAt }));
+  }
+
+  getJoinRequestsView(room) {
+    return Array.from(room.pendingJoins?.values() || []).map(({ id, displayName, signature, requestedAt }) => ({
+      id, displayName, signature, requestedAt,
+    }));
+  }
+
+  // Anyone who can kick can lift a ban
+  unbanPlayer(roomCode, actorId, banId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (!this.hasPermission(room, actorId, 'host:kick-player')) {
+      return { success: false, error: 'You are not allowed to lift bans' };
+    }
+    if (!room.bans.delete(banId)) return { success: false, error: 'That player is not banned' };
+
+    return { success: true, bans: this.getBansView(room) };
+  }
+
+  // Let a knocking player in, or turn them away (optionally banning them too).
+  // The request is consumed either way; a failed join comes back with it.
+  resolveJoinRequest(roomCode, actorId, playerId, { approve, ban = false }) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (!this.hasPermission(room, actorId, 'host:approve-join')) {
+      return { success: false, error: 'You are not allowed to admit players' };
+    }
+
+    const request = room.pendingJoins.get(playerId);
+    if (!request) return { success: false, error: 'That player is no longer waiting' };
+    room.pendingJoins.delete(playerId);
+
+    if (!approve) {
+      if (ban) this.banIdentity(room, request);
+      return { success: true, request, banned: ban };
+    }
+
+    try {
+      const identity = { id: request.socketId, sessionId: request.id, userId: request.userId };
+      const joined = this.joinRoom(identity, room.code, request.displayName, request.signature, { approved: true });
+      return { success: true, request, joined };
+    } catch (error) {
+      return { success: false, error: error.message, request };
+    }
+  }
+
+  // A knocking player gave up or dropped. Returns the codes of rooms whose
+  // waiting list changed.
+  withdrawJoinRequests(sessionId) {
+    const changed = [];
+    for (const room of this.rooms.values()) {
+      if (room.pendingJoins?.delete(sessionId)) changed.push(room.code);
+    }
+    return changed;
+  }
+
+  // Password and invite-only rooms. The host, anyone already seated and bots
+  // (no socket) walk in; everyone else needs the password or a live invite.
+  // Throws an Error carrying { code, requiresPassword } for the join form.
+  checkRoomAccess(room, socket, credentials) {
+    if (!socket.id || socket.sessionId === room.hostId || room.players.has(socket.sessionId)) return;
+
+    const denial = getAccessDenial(room.code, room.access, credentials);
+    if (denial) {
+      throw Object.assign(new Error(denial.reason), { code: denial.code, requiresPassword: denial.requiresPassword });
+    }
+  }
+
+  getAccessView(room) {
+    return { hasPassword: !!room.access?.passwordHash, inviteOnly: !!room.access?.inviteOnly };
+  }
+
+  getRoomAccess(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    return { success: true, access: this.getAccessView(room) };
+  }
+
+  // passwordHash: a bcrypt hash, null to clear it, or undefined to leave it alone
+  setRoomAccess(roomCode, hostId, { passwordHash, inviteOnly }) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (room.hostId !== hostId) return { success: false, error: 'Only the host can change who can join' };
+
+    if (passwordHash !== undefined) room.access.passwordHash = passwordHash;
+    if (inviteOnly !== undefined) room.access.inviteOnly = !!inviteOnly;
+    return { success: true, access: this.getAccessView(room) };
+  }
+
+  createInvite(roomCode, hostId, minutes) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (room.hostId !== hostId) return { success: false, error: 'Only the host can create invite links' };
+
+    return { success: true, ...createInviteToken(room.code, minutes) };
+  }
+
+  // =====================
+  // LOBBY BROWSER
+  // =====================
+
+  // Public rooms someone could still walk into: not quickplay or invite-only,
+  // not over, and with at least one person actually there
+  getPublicRooms() {
+    const listed = [];
+    for (const room of this.rooms.values()) {
+      if (!room.settings.isPublic || room.type === 'quickplay' || room.access?.inviteOnly) continue;
+      if (room.status === 'completed' || room.gameState?.phase === 'finalJeopardy') continue;
+      if (!Array.from(room.players.values()).some(p => p.isConnected && !p.isBot)) continue;
+
+      const contestants = this.getContestants(room);
+      listed.push({
+        code: room.code,
+        type: room.type,
+        hostName: room.players.get(room.hostId)?.displayName || null,
+        genre: room.gameState?.genre || null,
+        playerCount: contestants.length,
+        maxPlayers: room.settings.maxPlayers,
+        status: room.status,
+        answerMode: room.type === 'host' ? room.settings.answerMode || 'verbal' : 'buzzer',
+        teamMode: !!room.settings.teamMode,
+        hasPassword: !!room.access?.passwordHash,
+        requireApproval: !!room.settings.requireApproval,
+        createdAt: room.createdAt,
+      });
+    }
+    return listed.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Utilities
+  generateRoomCode() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < 6; i++) {
+        code += chars.charAt(Math.floor(Math.random() * chars.length));
+      }
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  getRandomPlayer(room) {
+    const players = Array.from(room.players.keys());
+    return players[Math.floor(Math.random() * players.length)];
+  }
+
+  cleanupStaleRooms() {
+    const now = Date.now();
+    const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+
+    for (const [code, room] of this.rooms) {
+      if (now - room.createdAt > maxAge && room.status !== 'in_progress') {
+        this.rooms.delete(code);
+        this.saveRoom(code);
+      }
+    }
+  }
+
+  // =====================
+  // PERSISTENCE
+  // =====================
+
+  // Snapshot a room to SQLite (or drop its snapshot if the room is gone)
+  saveRoom(roomCode) {
+    const room = this.rooms.get(roomCode);
+    try {
+      if (room) {
+        saveRoomSnapshot(room);
+      } else {
+        deleteRoomSnapshot(roomCode);
+      }
+    } catch (error) {
+      console.error(`Failed to snapshot room ${roomCode}:`, error);
+    }
+  }
+
+  // Rehydrate rooms saved before a restart. Everyone starts disconnected
+  // until their client sends room:reconnect. Returns the restored rooms.
+  restoreRooms() {
+    const restored = [];
+    for (const room of loadRoomSnapshots()) {
+      room.spectators = room.spectators || new Map();
+      room.teams = room.teams || new Map();
+      room.roles = room.roles || new Map();
+      room.bans = room.bans || new Map();
+      room.access = room.access || { passwordHash: null, inviteOnly: false };
+      // Knocking sockets are gone; those players have to ask again
+      room.pendingJoins = new Map();
+      for (const player of [...room.players.values(), ...room.spectators.values()]) {
+        // Bots never drop; everyone else has to reconnect
+        player.isConnected = !!player.isBot;
+        player.socketId = null;
+        this.sessionRooms.set(player.id, room.code);
+      }
+      room.buzzTimeout = null;
+      room.answerTimeout = null;
+      this.rooms.set(room.code, room);
+      restored.push(room);
+    }
+    return restored;
+  }
+
+  // =====================
+  // ROUND STATE MACHINE
+  // =====================
+
+  // Move a room to another game phase; anything not in GAME_PHASE_TRANSITIONS is rejected
+  setGamePhase(room, nextPhase) {
+    const currentPhase = room.gamePhase || 'lobby';
+    if (!GAME_PHASE_TRANSITIONS[currentPhase]?.includes(nextPhase)) {
+      return { success: false, error: `Cannot move from ${currentPhase} to ${nextPhase}` };
+    }
+    room.gamePhase = nextPhase;
+    return { success: true };
+  }
+
+  // Rooms without a host let any player drive the game
+  canControlGame(room, playerId) {
+    return room.hostId ? room.hostId === playerId : room.players.has(playerId);
+  }
+
+  // The presenter and staff of a host-mode room aren't contestants
+  getContestants(room) {
+    return Array.from(room.players.values())
+      .filter(p => !this.isStaff(room, p.id));
+  }
+
+  isValidBoard(questions) {
+    return Array.isArray(questions) && questions.length > 0 &&
+      questions.every(column => Array.isArray(column) && column.length > 0);
+  }
+
+  // Every clue has been opened and no Daily Double is still being played.
+  // Host-mode clues can stay "current" after grading, so that isn't required to be clear.
+  isBoardCleared(gameState) {
+    const cells = (gameState?.questions || []).flat();
+    const inDailyDouble = gameState?.phase === 'dailyDouble' || gameState?.phase === 'dailyDoubleQuestion';
+    return cells.length > 0 && cells.every(q => q?.revealed) && !inDailyDouble;
+  }
+
+  // A round is over once endRound has accepted the cleared board
+  isRoundOver(room) {
+    return (room.gamePhase === 'round1' || room.gamePhase === 'round2') && room.gameState?.phase === 'roundEnd';
+  }
+
+  // What follows the current round, from the room's settings
+  getNextGamePhase(room) {
+    if (room.gamePhase === 'round1' && room.settings.enableDoubleJeopardy) return 'round2';
+    if (room.gamePhase === 'round1' || room.gamePhase === 'round2') {
+      return room.settings.enableFinalJeopardy ? 'finalJeopardy' : 'finished';
+    }
+    return null;
+  }
+
+  // Ties for last are broken at random
+  getLowestScorerId(room) {
+    const contestants = this.getContestants(room).filter(p => !p.waitingToJoin);
+    if (contestants.length === 0) return null;
+
+    const lowestScore = Math.min(...contestants.map(p => p.score || 0));
+    const tied = contestants.filter(p => (p.score || 0) === lowestScore);
+    return tied[Math.floor(Math.random() * tied.length)].id;
+  }
+
+  startSetup(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (!this.canControlGame(room, playerId)) return { success: false, error: 'Only the host can start setup' };
+    return this.setGamePhase(room, 'setup');
+  }
+
+  // The board is cleared: close the round and report what comes next
+  endRound(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room?.gameState) return { success: false, error: 'Room not found' };
+    if (!this.canControlGame(room, playerId)) return { success: false, error: 'Only the host can end the round' };
+    if (room.gamePhase !== 'round1' && room.gamePhase !== 'round2') {
+      return { success: false, error: 'No round in progress' };
+    }
+    if (this.isRoundOver(room)) return { success: false, error: 'Round already ended' };
+    if (!this.isBoardCleared(room.gameState)) return { success: false, error: 'The board is not cleared yet' };
+
+    room.gameState.phase = 'roundEnd';
+    room.gameState.currentQuestion = null;
+    room.gameState.buzzedPlayerId = null;
+    return {
+      success: true,
+      round: room.gameState.currentRound,
+      nextPhase: this.getNextGamePhase(room),
+    };
+  }
+
+  // Returns an error message, or null if Final Jeopardy may start now
+  canStartFinalJeopardy(room) {
+    if (room.gameState?.finalJeopardy) return 'Final Jeopardy already started';
+    if (!this.isRoundOver(room) || this.getNextGamePhase(room) !== 'finalJeopardy') {
+      return 'Final Jeopardy can only start after the last round is cleared';
+    }
+    return null;
+  }
+
+  // Finish after Final Jeopardy results, or after the last round when there's no Final
+  endGame(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room?.players.has(playerId)) return { success: false, error: 'Not in this room' };
+    if (room.gamePhase === 'finished') return { success: true };
+
+    const finalDone = room.gamePhase === 'finalJeopardy' && room.gameState?.finalJeopardy?.responseRevealed;
+    const lastRoundDone = this.isRoundOver(room) && this.getNextGamePhase(room) === 'finished';
+    if (!finalDone && !lastRoundDone) return { success: false, error: 'The game is not over yet' };
+
+    return this.setGamePhase(room, 'finished');
+  }
+
+  // =====================
+  // TEAMS
+  // =====================
+  // In team play the team's score is authoritative and mirrored onto each
+  // member's player.score, so score reads elsewhere stay per player. A "side"
+  // is whoever scores together: a team, or a player without one.
+
+  getTeam(room, playerId) {
+    if (!room?.settings.teamMode) return null;
+    const teamId = room.players.get(playerId)?.teamId;
+    return (teamId && room.teams.get(teamId)) || null;
+  }
+
+  getSideId(room, playerId) {
+    return this.getTeam(room, playerId)?.id || playerId;
+  }
+
+  isSameSide(room, playerA, playerB) {
+    return !!playerA && this.getSideId(room, playerA) === this.getSideId(room, playerB);
+  }
+
+  getTeamMemberIds(room, teamId) {
+    return Array.from(room.players.values())
+      .filter(p => p.teamId === teamId)
+      .map(p => p.id);
+  }
+
+  getSideMemberIds(room, playerId) {
+    const team = this.getTeam(room, playerId);
+    return team ? this.getTeamMemberIds(room, team.id) : [playerId];
+  }
+
+  // Apply a score change to a player's side. Returns the side's new score.
+  addScore(room, playerId, delta) {
+    const team = this.getTeam(room, playerId);
+    if (team) return this.setTeamScore(room, team, (team.score || 0) + delta);
+
+    const player = room.players.get(playerId);
+    player.score = (player.score || 0) + delta;
+    return player.score;
+  }
+
+  setTeamScore(room, team, score) {
+    team.score = score;
+    for (const memberId of this.getTeamMemberIds(room, team.id)) {
+      room.players.get(memberId).score = score;
+    }
+    return score;
+  }
+
+  // =====================
+  // SCORE LEDGER
+  // =====================
+
+  // Apply a score change and record it in the room's ledger. targetId is a
+  // player, or a team for host overrides. type is one of 'answer', 'judgment',
+  // 'autoGrade', 'dailyDouble', 'finalJeopardy' or 'override'.
+  recordScore(room, targetId, delta, { type, correct = null, actorId = null, reason = null }) {
+    const team = room.teams.get(targetId) || this.getTeam(room, targetId);
+    const player = room.players.get(targetId);
+    const score = room.teams.has(targetId)
+      ? this.setTeamScore(room, team, (team.score || 0) + delta)
+      : this.addScore(room, targetId, delta);
+
+    const gameState = room.gameState;
+    const clue = gameState.currentQuestion;
+    gameState.scoreLedger = gameState.scoreLedger || [];
+    gameState.scoreLedger.push({
+      id: uuidv4(),
+      type,
+      playerId: player ? targetId : null,
+      teamId: team?.id || null,
+      name: player?.displayName || team?.name || 'Unknown',
+      delta,
+      score,
+      correct,
+      round: gameState.currentRound || 1,
+      clue: clue ? { category: clue.category, points: clue.points } : null,
+      actorId,
+      reason,
+      // Who had control of the board before this entry, so undo can give it back
+      pickerId: gameState.currentPickerId || null,
+      at: Date.now(),
+      undone: false,
+    });
+    return score;
+  }
+
+  // Reverse the newest `count` entries still in effect. Undone entries stay in
+  // the ledger, marked, so the timeline shows what happened.
+  undoScoreEntries(roomCode, actorId, count = 1) {
+    const room = this.rooms.get(roomCode);
+    if (!room?.gameState) return { success: false, error: 'No game in progress' };
+    if (!this.hasPermission(room, actorId, 'host:undo-scores')) {
+      return { success: false, error: 'You are not allowed to undo scores' };
+    }
+
+    const n = Math.floor(Number(count));
+    if (!Number.isFinite(n) || n < 1) return { success: false, error: 'Invalid number of entries' };
+
+    const entries = (room.gameState.scoreLedger || []).filter(e => !e.undone).slice(-n).reverse();
+    if (entries.length === 0) return { success: false, error: 'Nothing to undo' };
+
+    const now = Date.now();
+    for (const entry of entries) {
+      const team = entry.teamId && room.teams.get(entry.teamId);
+      const player = entry.playerId && room.players.get(entry.playerId);
+      if (team) {
+        this.setTeamScore(room, team, (team.score || 0) - entry.delta);
+      } else if (player) {
+        player.score = (player.score || 0) - entry.delta;
+      }
+      if (player && entry.correct !== null) this.untallyAnswer(player, entry.correct);
+
+      entry.undone = true;
+      entry.undoneBy = actorId;
+      entry.undoneAt = now;
+    }
+
+    // Control of the board goes back to whoever had it before the oldest
+    // undone entry, unless that was in an earlier round
+    const oldest = entries[entries.length - 1];
+    if (oldest.pickerId && oldest.round === (room.gameState.currentRound || 1)) {
+      room.gameState.currentPickerId = oldest.pickerId;
+    }
+
+    return {
+      success: true,
+      undoneIds: entries.map(e => e.id),
+      scores: this.getScoresView(room),
+      currentPickerId: room.gameState.currentPickerId || null,
+    };
+  }
+
+  getScoresView(room) {
+    return {
+      players: Array.from(room.players.values()).map(p => ({ playerId: p.id, score: p.score || 0 })),
+      teams: Array.from(room.teams.values()).map(t => ({ teamId: t.id, score: t.score || 0 })),
+    };
+  }
+
+  // Anyone in the room (players and spectators) may read the ledger
+  getScoreLedger(roomCode, viewerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room || !(room.players.has(viewerId) || this.isSpectator(room, viewerId))) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const nameOf = (id) => (id ? room.players.get(id)?.displayName || null : null);
+    const ledger = (room.gameState?.scoreLedger || []).map(({ actorId, undoneBy, pickerId, ...entry }) => ({
+      ...entry,
+      actorName: nameOf(actorId),
+      undoneByName: nameOf(undoneBy),
+    }));
+    return { success: true, ledger };
+  }
+
+  // Host-mode typed/MC answers: one submission per side
+  hasSideSubmitted(room, submissions, playerId) {
+    return this.getSideMemberIds(room, playerId).some(id => submissions.has(id));
+  }
+
+  getAnsweringSideCount(room) {
+    const sides = Array.from(room.players.values())
+      .filter(p => !p.isHost && !p.role && p.isConnected)
+      .map(p => this.getSideId(room, p.id));
+    return new Set(sides).size;
+  }
+
+  getTeamsView(room) {
+    return Array.from(room.teams.values()).map(team => ({
+      ...team,
+      memberIds: this.getTeamMemberIds(room, team.id),
+    }));
+  }
+
+  // Host creates a named team in the lobby
+  createTeam(roomCode, hostId, name) {
+    const room = this.rooms.get(roomCode);
+    if (!room || room.hostId !== hostId) return { success: false, error: 'Only the host can create teams' };
+    if (room.status !== 'waiting') return { success: false, error: 'Teams can only be changed in the lobby' };
+
+    const teamName = typeof name === 'string' ? name.trim().slice(0, 30) : '';
+    if (!teamName) return { success: false, error: 'Team name is required' };
+    const taken = Array.from(room.teams.values())
+      .some(team => team.name.toLowerCase() === teamName.toLowerCase());
+    if (taken) return { success: false, error: 'A team with that name already exists' };
+
+    const team = { id: uuidv4(), name: teamName, score: 0 };
+    room.teams.set(team.id, team);
+    return { success: true, team };
+  }
+
+  removeTeam(roomCode, hostId, teamId) {
+    const room = this.rooms.get(roomCode);
+    if (!room || room.hostId !== hostId) return { success: false, error: 'Only the host can remove teams' };
+    if (room.status !== 'waiting') return { success: false, error: 'Teams can only be changed in the lobby' };
+    if (!room.teams.delete(teamId)) return { success: false, error: 'Team not found' };
+
+    for (const player of room.players.values()) {
+      if (player.teamId === teamId) player.teamId = null;
+    }
+    return { success: true };
+  }
+
+  // Players join (or leave, with a null teamId) a team themselves; the host can
+  // assign anyone. Once the game starts only players without a team may join one.
+  setPlayerTeam(roomCode, actorId, playerId, teamId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+
+    const player = room.players.get(playerId);
+    if (!player) return { success: false, error: 'Player not found' };
+    if (actorId !== playerId && actorId !== room.hostId) {
+      return { success: false, error: 'Only the host can assign other players' };
+    }
+    if (room.type === 'host' && playerId === room.hostId) {
+      return { success: false, error: 'The host does not play on a team' };
+    }
+    if (teamId !== null && !room.teams.has(teamId)) return { success: false, error: 'Team not found' };
+    if (room.status !== 'waiting' && (player.teamId || !teamId)) {
+      return { success: false, error: 'Teams are locked once the game starts' };
+    }
+
+    player.teamId = teamId;
+    // Late joiners take on their team's score
+    if (teamId && room.status !== 'waiting') player.score = room.teams.get(teamId).score || 0;
+    return { success: true };
+  }
+
+  // =====================
+  // GAME COMPLETION
+  // =====================
+
+  // Per-player answer counts feed user_stats when the game is recorded
+  tallyAnswer(player, correct) {
+    if (correct) {
+      player.correctAnswers = (player.correctAnswers || 0) + 1;
+    } else {
+      player.incorrectAnswers = (player.incorrectAnswers || 0) + 1;
+    }
+  }
+
+  untallyAnswer(player, correct) {
+    if (correct) {
+      player.correctAnswers = Math.max(0, (player.correctAnswers || 0) - 1);
+    } else {
+      player.incorrectAnswers = Math.max(0, (player.incorrectAnswers || 0) - 1);
+    }
+  }
+
+  getBoardRecord(gameState) {
+    return {
+      round: gameState.currentRound || 1,
+      categories: (gameState.questions || []).map((column, i) => ({
+        name: gameState.categories?.[i] || column[0]?.category || '',
+        clues: column.map(q => ({ points: q.points, answer: q.answer, question: q.question })),
+      })),
+    };
+  }
+
+  // Summarize a finished game for the history tables (see endGame).
+  // Returns null if the game was already recorded (game:end after FJ results).
+  completeGame(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room?.gameState || room.gamePhase !== 'finished' || room.historyRecorded) return null;
+
+    room.historyRecorded = true;
+    room.status = 'completed';
+
+    const gameState = room.gameState;
+    const boards = [...(gameState.playedBoards || [])];
+    if (gameState.questions) boards.push(this.getBoardRecord(gameState));
+
+    const contestants = this.getContestants(room)
+      .map(p => ({
+        playerId: p.id,
+        userId: p.userId || null,
+        isBot: !!p.isBot,
+        displayName: p.displayName,
+        teamId: this.getTeam(room, p.id)?.id || null,
+        teamName: this.getTeam(room, p.id)?.name || null,
+        score: p.score || 0,
+        correctAnswers: p.correctAnswers || 0,
+        incorrectAnswers: p.incorrectAnswers || 0,
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const fj = gameState.finalJeopardy;
+
+    return {
+      roomId: room.id,
+      roomCode: room.code,
+      type: room.type,
+      settings: room.settings,
+      hostUserId: room.players.get(room.hostId)?.userId || null,
+      createdAt: room.createdAt,
+      genre: gameState.genre || null,
+      board: {
+        rounds: boards,
+        finalJeopardy: fj ? { category: fj.category, answer: fj.clue, question: fj.answer } : null,
+      },
+      players: contestants,
+      winner: contestants[0] || null,
+    };
+  }
+
+  // =====================
+  // HOST MODE METHODS
+  // =====================
+
+  // Set custom questions from host
+  setHostQuestions(roomCode, questions, categories, hostId, finalJeopardy = null) {
+    const room = this.rooms.get(roomCode);
     if (!room || room.hostId !== hostId) return null;
 
     room.gameState = room.gameState || {};
     room.gameState.questions = questions;
     room.gameState.categories = categories;
     room.gameState.customQuestions = true;
+    // Imported or hand-written Final Jeopardy takes priority over generated content
+    room.gameState.customFinalJeopardy = fromBoardFormat(finalJeopardy);
 
     // Initialize host mode tracking
     room.gameState.typedAnswers = new Map();
@@ -911,9 +2202,10 @@ export class GameStateManager {
     if (!room || !room.gameState) return null;
 
     const playerId = socket.sessionId;
+    if (this.isPaused(room)) return null;
 
-    // Only host can select in host mode
-    if (room.type === 'host' && playerId !== room.hostId) {
+    // Only the host (or co-host) can select in host mode
+    if (room.type === 'host' && !this.hasPermission(room, playerId, 'game:select-question')) {
       return null;
     }
 
@@ -921,7 +2213,14 @@ export class GameStateManager {
     if (!question || question.revealed) return null;
 
     question.revealed = true;
-    room.gameState.currentQuestion = { ...question, categoryIndex, pointIndex };
+    room.gameState.currentQuestion = {
+      ...question,
+      categoryIndex,
+      pointIndex,
+      responseRevealed: false,
+      // Display order for MC options so the correct one isn't always first
+      optionOrder: Array.isArray(question.options) ? this.shuffleIndices(question.options.length) : null,
+    };
 
     // Clear previous answer tracking
     room.gameState.typedAnswers = new Map();
@@ -929,6 +2228,8 @@ export class GameStateManager {
     room.gameState.autoGradeResults = new Map();
     room.gameState.buzzes = {};
     room.gameState.playersWhoBuzzed = new Set();
+    room.gameState.buzzQueue = [];
+    room.gameState.buzzedPlayerId = null;
 
     // Check if this is a Daily Double
     const isDailyDouble = room.gameState.dailyDoubles?.some(
@@ -951,7 +2252,7 @@ export class GameStateManager {
         points: question.points,
         answer: question.answer,
         question: question.question,
-        options: question.options,
+        options: this.getOrderedOptions(room.gameState.currentQuestion),
       },
       isDailyDouble,
       pickerId: playerId,
@@ -961,10 +2262,13 @@ export class GameStateManager {
   // Record typed answer from player
   submitTypedAnswer(roomCode, playerId, answer) {
     const room = this.rooms.get(roomCode);
-    if (!room?.gameState) return null;
+    if (!room?.gameState || !room.players.has(playerId)) return null;
+    if (this.isPaused(room)) return { success: false, error: 'The game is paused' };
+    // Staff run the game, they don't answer
+    if (this.isStaff(room, playerId)) return null;
 
-    // Prevent duplicate submissions
-    if (room.gameState.typedAnswers.has(playerId)) {
+    // Prevent duplicate submissions (a teammate answering counts for the team)
+    if (this.hasSideSubmitted(room, room.gameState.typedAnswers, playerId)) {
       return { success: false, error: 'Already submitted' };
     }
 
@@ -973,10 +2277,8 @@ export class GameStateManager {
       submittedAt: Date.now(),
     });
 
-    // Check if all non-host players have answered
-    const nonHostPlayers = Array.from(room.players.values())
-      .filter(p => !p.isHost && p.isConnected);
-    const allAnswered = room.gameState.typedAnswers.size >= nonHostPlayers.length;
+    // Check if all non-host players (or teams) have answered
+    const allAnswered = room.gameState.typedAnswers.size >= this.getAnsweringSideCount(room);
 
     return { success: true, allAnswered };
   }
@@ -984,18 +2286,18 @@ export class GameStateManager {
   // Record MC selection from player
   submitMCSelection(roomCode, playerId, optionIndex) {
     const room = this.rooms.get(roomCode);
-    if (!room?.gameState) return null;
+    if (!room?.gameState || !room.players.has(playerId)) return null;
+    if (this.isPaused(room)) return { success: false, error: 'The game is paused' };
+    if (this.isStaff(room, playerId)) return null;
 
-    if (room.gameState.mcSelections.has(playerId)) {
+    if (this.hasSideSubmitted(room, room.gameState.mcSelections, playerId)) {
       return { success: false, error: 'Already selected' };
     }
 
     room.gameState.mcSelections.set(playerId, optionIndex);
 
-    // Check if all non-host players have selected
-    const nonHostPlayers = Array.from(room.players.values())
-      .filter(p => !p.isHost && p.isConnected);
-    const allSelected = room.gameState.mcSelections.size >= nonHostPlayers.length;
+    // Check if all non-host players (or teams) have selected
+    const allSelected = room.gameState.mcSelections.size >= this.getAnsweringSideCount(room);
 
     return { success: true, allSelected };
   }
@@ -1006,23 +2308,28 @@ export class GameStateManager {
     if (!room?.gameState) return [];
 
     const question = room.gameState.currentQuestion;
-    const correctIndex = 0; // First option is always correct
+    const correctIndex = this.getCorrectOptionIndex(question);
     const points = question?.points || 0;
     const results = [];
 
+    if (question) {
+      question.responseRevealed = true;
+    }
+
     for (const [playerId, selectedIndex] of room.gameState.mcSelections) {
       const correct = selectedIndex === correctIndex;
       const player = room.players.get(playerId);
 
       if (player) {
-        player.score = (player.score || 0) + (correct ? points : 0);
+        const newScore = this.recordScore(room, playerId, correct ? points : 0, { type: 'autoGrade', correct });
+        this.tallyAnswer(player, correct);
         results.push({
           playerId,
           playerName: player.displayName || player.name,
           selectedIndex,
           correct,
           points: correct ? points : 0,
-          newScore: player.score,
+          newScore,
         });
       }
     }
@@ -1055,6 +2362,15 @@ export class GameStateManager {
     return results;
   }
 
+  // Grade a player's typed or spoken response. Blank responses never match,
+  // since an empty string is "contained" in every correct answer.
+  gradeResponse(response, correctAnswer) {
+    if (typeof response !== 'string' || !response.trim() || !correctAnswer) {
+      return { isCorrect: false, confidence: 0, reason: 'No response' };
+    }
+    return this.fuzzyMatchAnswer(response, correctAnswer);
+  }
+
   // Fuzzy match answer against correct answer
   fuzzyMatchAnswer(playerAnswer, correctAnswer) {
     const normalize = (s) => s.toLowerCase()
@@ -1070,10 +2386,19 @@ export class GameStateManager {
       return { isCorrect: true, confidence: 1.0, reason: 'Exact match' };
     }
 
-    // Contains match
-    if (normalizedPlayer.includes(normalizedCorrect) ||
-        normalizedCorrect.includes(normalizedPlayer)) {
-      return { isCorrect: true, confidence: 0.8, reason: 'Partial match' };
+    // Whole-word partial match: the full answer inside a longer response, or
+    // only words from the answer that cover most of it ("Atlantic Ocean" for
+    // "the Atlantic Ocean", but not "ocean" or a lone letter)
+    const playerWords = getSignificantWords(normalizedPlayer);
+    const correctWords = getSignificantWords(normalizedCorrect);
+    if (playerWords.length > 0 && correctWords.length > 0) {
+      const answerWords = new Set(correctWords);
+      const covered = correctWords.filter(word => playerWords.includes(word)).length;
+      const saidWholeAnswer = ` ${normalizedPlayer} `.includes(` ${normalizedCorrect} `);
+      const onlyAnswerWords = playerWords.every(word => answerWords.has(word));
+      if (saidWholeAnswer || (onlyAnswerWords && covered / correctWords.length > 0.5)) {
+        return { isCorrect: true, confidence: 0.8, reason: 'Partial match' };
+      }
     }
 
     // Levenshtein distance for typos
@@ -1116,78 +2441,216 @@ export class GameStateManager {
     return matrix[b.length][a.length];
   }
 
+  // =====================
+  // PAUSE
+  // =====================
+  // Pausing freezes every countdown: what was left of each one is kept in
+  // gameState.paused (so it survives a restart) and the timeouts are cleared.
+  // Players can't pick, buzz or answer until the game resumes.
+
+  isPaused(room) {
+    return !!room?.gameState?.paused;
+  }
+
+  pauseGame(roomCode, actorId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (!this.hasPermission(room, actorId, 'host:pause')) {
+      return { success: false, error: 'Only the host can pause the game' };
+    }
+    if (room.status !== 'in_progress' || !room.gameState) return { success: false, error: 'No game in progress' };
+    if (this.isPaused(room)) return { success: false, error: 'The game is already paused' };
+
+    const gameState = room.gameState;
+    const now = Date.now();
+    const remainingUntil = (deadline) => (deadline ? Math.max(0, deadline - now) : null);
+    const { timer } = gameState;
+
+    gameState.paused = {
+      at: now,
+      by: actorId,
+      buzzRemaining: remainingUntil(gameState.buzzDeadline),
+      answerRemaining: remainingUntil(gameState.answerDeadline),
+      // Daily Double wager and Final Jeopardy countdowns
+      phaseTimer: timer && timer.phase !== 'buzz' && timer.phase !== 'answer'
+        ? { phase: timer.phase, duration: timer.duration, remaining: remainingUntil(timer.deadline) }
+        : null,
+    };
+
+    this.clearBuzzTimeout(roomCode);
+    this.clearAnswerTimeout(roomCode);
+    this.clearPhaseTimeout(roomCode);
+    gameState.timer = null;
+
+    return { success: true, paused: this.getPauseView(room) };
+  }
+
+  // Returns what was left of each countdown so the caller can re-arm them
+  resumeGame(roomCode, actorId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, error: 'Room not found' };
+    if (!this.hasPermission(room, actorId, 'host:resume')) {
+      return { success: false, error: 'Only the host can resume the game' };
+    }
+    if (!this.isPaused(room)) return { success: false, error: 'The game is not paused' };
+
+    const gameState = room.gameState;
+    const { at, buzzRemaining, answerRemaining, phaseTimer } = gameState.paused;
+    const pausedMs = Date.now() - at;
+    gameState.paused = null;
+
+    // Reaction times count from the buzzer unlocking, not including the pause
+    if (gameState.buzzWindowOpen && gameState.buzzWindowStartTime) {
+      gameState.buzzWindowStartTime += pausedMs;
+    }
+
+    return { success: true, pausedMs, buzzRemaining, answerRemaining, phaseTimer };
+  }
+
+  getPauseView(room) {
+    const paused = room?.gameState?.paused;
+    if (!paused) return null;
+    return {
+      at: paused.at,
+      by: paused.by,
+      byName: room.players.get(paused.by)?.displayName || 'The host',
+    };
+  }
+
+  // =====================
+  // BUZZ QUEUE (host mode)
+  // =====================
+  // Everyone who buzzes on a clue lines up by reaction time. The head of the
+  // queue has the floor (buzzedPlayerId); a wrong answer passes it down the line.
+
+  // A new buzz never jumps ahead of whoever already has the floor
+  queueBuzz(room, playerId, reactionTime) {
+    const queue = room.gameState.buzzQueue = room.gameState.buzzQueue || [];
+    const floorTaken = queue.length > 0 && queue[0].playerId === room.gameState.buzzedPlayerId;
+    let index = queue.findIndex((entry, i) => (i > 0 || !floorTaken) && entry.reactionTime > reactionTime);
+    if (index === -1) index = queue.length;
+    queue.splice(index, 0, { playerId, reactionTime });
+  }
+
+  getBuzzQueueView(room) {
+    return (room?.gameState?.buzzQueue || []).map(entry => ({
+      ...entry,
+      playerName: room.players.get(entry.playerId)?.displayName || 'Unknown',
+    }));
+  }
+
+  // Judge the player with the floor wrong and hand it to the next in line.
+  // next is null when the queue has run out.
+  passToNextBuzzer(roomCode, actorId) {
+    const room = this.rooms.get(roomCode);
+    if (!room?.gameState?.currentQuestion) return { success: false, error: 'No clue in play' };
+    if (!this.hasPermission(room, actorId, 'host:judge-answer')) {
+      return { success: false, error: 'You are not allowed to judge answers' };
+    }
+
+    return this.passFloor(room, actorId);
+  }
+
+  // The player with the floor ran out of time: wrong, and the next in line
+  // gets it, just as if the host had passed it on
+  expireFloor(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room?.gameState?.currentQuestion || this.isPaused(room)) return null;
+    if (room.gameState.buzzedPlayerId !== playerId) return null;
+    return this.passFloor(room, null);
+  }
+
+  passFloor(room, actorId) {
+    const gameState = room.gameState;
+    const playerId = gameState.buzzedPlayerId;
+    const player = room.players.get(playerId);
+    if (!player) return { success: false, error: 'Nobody has the floor' };
+
+    const points = gameState.currentQuestion.points || 0;
+    const newScore = this.recordScore(room, playerId, -points, { type: 'judgment', correct: false, actorId });
+    this.tallyAnswer(player, false);
+
+    gameState.buzzQueue = (gameState.buzzQueue || []).filter(entry => entry.playerId !== playerId);
+    const next = gameState.buzzQueue[0] || null;
+    gameState.buzzedPlayerId = next?.playerId || null;
+
+    return {
+      success: true,
+      judged: { playerId, playerName: player.displayName, correct: false, points: -points, newScore },
+      next: next && { ...next, playerName: room.players.get(next.playerId)?.displayName || 'Unknown' },
+      queue: this.getBuzzQueueView(room),
+    };
+  }
+
   // Host judges an answer
-  hostJudgeAnswer(roomCode, hostId, playerId, correct, points) {
+  hostJudgeAnswer(roomCode, actorId, playerId, correct, points) {
     const room = this.rooms.get(roomCode);
-    if (!room || room.hostId !== hostId) return null;
+    if (!room || !this.hasPermission(room, actorId, 'host:judge-answer')) return null;
 
     const player = room.players.get(playerId);
     if (!player) return null;
 
     const pointsToApply = correct ? points : -points;
-    player.score = (player.score || 0) + pointsToApply;
+    const newScore = this.recordScore(room, playerId, pointsToApply, { type: 'judgment', correct, actorId });
+    this.tallyAnswer(player, correct);
 
     // Clear current question state after judging (so reconnect returns to board)
     room.gameState.currentQuestion = null;
     room.gameState.buzzedPlayerId = null;
+    room.gameState.buzzQueue = [];
 
     return {
       playerId,
       playerName: player.displayName || player.name,
       correct,
       points: pointsToApply,
-      newScore: player.score,
+      newScore,
       // Host always picks next in host mode
-      nextPickerId: hostId,
+      nextPickerId: room.hostId,
     };
   }
 
-  // Host overrides player score
-  overridePlayerScore(roomCode, hostId, playerId, newScore, reason) {
+  // Host overrides a player's score, or a team's in team play (playerId may be a team id)
+  overridePlayerScore(roomCode, actorId, playerId, newScore, reason) {
     const room = this.rooms.get(roomCode);
-    if (!room || room.hostId !== hostId) return null;
+    if (!room || !this.hasPermission(room, actorId, 'host:override-score')) return null;
 
+    const team = room.teams.get(playerId);
     const player = room.players.get(playerId);
-    if (!player) return null;
+    if (!team && !player) return null;
 
-    const oldScore = player.score || 0;
-    player.score = newScore;
-
-    // Log override
+    const oldScore = (team || player).score || 0;
     room.gameState = room.gameState || {};
-    room.gameState.scoreOverrides = room.gameState.scoreOverrides || [];
-    room.gameState.scoreOverrides.push({
-      playerId,
-      oldScore,
-      newScore,
-      reason,
-      timestamp: Date.now(),
-    });
+    this.recordScore(room, playerId, newScore - oldScore, { type: 'override', actorId, reason });
 
-    return { playerId, oldScore, newScore, reason };
+    return { playerId, teamId: team?.id, oldScore, newScore, reason };
   }
 
   // Host skips current question
-  skipQuestion(roomCode, hostId) {
+  skipQuestion(roomCode, actorId) {
     const room = this.rooms.get(roomCode);
-    if (!room || room.hostId !== hostId) return null;
+    if (!room || !this.hasPermission(room, actorId, 'host:skip-question')) return null;
 
     // Clear current question state
     room.gameState.currentQuestion = null;
     room.gameState.typedAnswers = new Map();
     room.gameState.mcSelections = new Map();
     room.gameState.autoGradeResults = new Map();
+    room.gameState.buzzQueue = [];
+    room.gameState.buzzedPlayerId = null;
     room.gameState.phase = 'playing';
     room.gameState.isDailyDouble = false;
 
     return { success: true };
   }
 
-  // Host kicks a player
-  kickPlayer(roomCode, hostId, playerId) {
+  // Host kicks a player. With ban, they can't come back as a player or spectator.
+  kickPlayer(roomCode, actorId, playerId, { ban = false } = {}) {
     const room = this.rooms.get(roomCode);
-    if (!room || room.hostId !== hostId) return null;
-    if (playerId === hostId) return null; // Can't kick self
+    if (!room || !this.hasPermission(room, actorId, 'host:kick-player')) return null;
+    if (playerId === actorId) return null; // Can't kick self
+    // Only the host can remove the host's staff
+    if (this.getRole(room, playerId) && room.hostId !== actorId) return null;
 
     const player = room.players.get(playerId);
     if (!player) return null;
@@ -1195,11 +2658,15 @@ export class GameStateManager {
     const socketId = player.socketId;
     room.players.delete(playerId);
     this.sessionRooms.delete(playerId);
+    room.roles.delete(playerId);
     if (socketId) {
       this.playerRooms.delete(socketId);
     }
 
-    return { playerId, socketId };
+    const banned = ban && !player.isBot;
+    if (banned) this.banIdentity(room, player);
+
+    return { playerId, socketId, banned };
   }
 
   // Get all typed answers for host view
@@ -1244,7 +2711,7 @@ export class GameStateManager {
   // Handle question suggestion from non-picker
   handleSuggestion(roomCode, playerId, categoryIndex, pointIndex) {
     const room = this.rooms.get(roomCode);
-    if (!room || !room.gameState) return null;
+    if (!room || !room.gameState || !room.players.has(playerId)) return null;
 
     // Don't allow current picker to suggest
     if (room.gameState.currentPickerId === playerId) return null;
@@ -1274,7 +2741,7 @@ export class GameStateManager {
 
   playerSkipped(roomCode, playerId) {
     const room = this.rooms.get(roomCode);
-    if (!room || !room.gameState) return null;
+    if (!room || !room.gameState || !room.players.has(playerId) || this.isPaused(room)) return null;
 
     // Can't skip if already buzzed (they had their chance)
     if (room.gameState.playersWhoBuzzed?.has(playerId)) return null;
@@ -1298,6 +2765,131 @@ export class GameStateManager {
     };
   }
 
+  // =====================
+  // REDACTION (per-recipient views)
+  // =====================
+
+  // Only the presenter and staff of a host-mode room see the full board
+  hasFullView(room, playerId) {
+    return this.isStaff(room, playerId);
+  }
+
+  // Strip a board cell down to what a player may see. Unopened clues show
+  // only their value; resolved clues show the clue and correct response.
+  redactBoardCell(cell) {
+    if (!cell) return cell;
+    if (!cell.revealed) {
+      return { category: cell.category, points: cell.points, revealed: false };
+    }
+    return {
+      category: cell.category,
+      points: cell.points,
+      revealed: true,
+      answer: cell.answer,
+      question: cell.question,
+    };
+  }
+
+  getBoardView(room, playerId, questions = room?.gameState?.questions) {
+    if (!Array.isArray(questions) || this.hasFullView(room, playerId)) return questions;
+    const current = room.gameState?.currentQuestion;
+
+    return questions.map((column, categoryIndex) => column.map((cell, pointIndex) => {
+      if (current && current.categoryIndex === categoryIndex && current.pointIndex === pointIndex) {
+        return { ...this.getQuestionView(room, playerId, current), revealed: true };
+      }
+      return this.redactBoardCell(cell);
+    }));
+  }
+
+  // The opened clue: text is visible, the correct response only once revealed
+  getQuestionView(room, playerId, question = room?.gameState?.currentQuestion) {
+    if (!question) return question;
+
+    const fullView = this.hasFullView(room, playerId);
+    // A Daily Double clue stays hidden until the wager is in
+    const awaitingWager = room.gameState?.phase === 'dailyDouble' && room.gameState.currentQuestion === question;
+
+    const view = {
+      category: question.category,
+      points: question.points,
+      answer: awaitingWager && !fullView ? undefined : question.answer,
+      options: this.getOrderedOptions(question),
+    };
+    if (question.categoryIndex !== undefined) {
+      view.categoryIndex = question.categoryIndex;
+      view.pointIndex = question.pointIndex;
+    }
+    if (question.responseRevealed || fullView) {
+      view.question = question.question;
+    }
+    // Hosts need the key to MC options; players get it with the results
+    if (fullView && view.options) {
+      view.correctIndex = this.getCorrectOptionIndex(question);
+    }
+    return view;
+  }
+
+  getFinalJeopardyView(room, playerId) {
+    const fj = room?.gameState?.finalJeopardy;
+    if (!fj) return null;
+
+    const fullView = this.hasFullView(room, playerId);
+    const view = { category: fj.category };
+    if (fj.clueRevealed || fullView) view.clue = fj.clue;
+    if (fj.responseRevealed || fullView) view.answer = fj.answer;
+    return view;
+  }
+
+  // Snapshot of the game state for one recipient (reconnect / late join)
+  getGameStateView(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room?.gameState) return room?.gameState ?? null;
+
+    // Only what a client needs to redraw the game - never the Daily Double
+    // placements, the ledger, lockouts or anything else kept for the server
+    const gameState = room.gameState;
+    return {
+      phase: gameState.phase,
+      genre: gameState.genre,
+      categories: gameState.categories,
+      questions: this.getBoardView(room, playerId),
+      currentRound: gameState.currentRound,
+      currentPickerId: gameState.currentPickerId,
+      currentQuestion: this.getQuestionView(room, playerId, gameState.currentQuestion),
+      isDailyDouble: gameState.isDailyDouble,
+      buzzWindowOpen: gameState.buzzWindowOpen,
+      buzzWindowStartTime: gameState.buzzWindowStartTime,
+      buzzedPlayerId: gameState.buzzedPlayerId,
+      buzzQueue: gameState.buzzQueue,
+      answerWindowOpen: gameState.answerWindowOpen,
+      timer: gameState.timer,
+      finalJeopardy: gameState.finalJeopardy ? this.getFinalJeopardyView(room, playerId) : undefined,
+      paused: this.getPauseView(room),
+    };
+  }
+
+  // MC options in the room's display order (correct option is stored first)
+  getOrderedOptions(question) {
+    if (!Array.isArray(question?.options)) return undefined;
+    if (!question.optionOrder) return question.options;
+    return question.optionOrder.map(i => question.options[i]);
+  }
+
+  getCorrectOptionIndex(question) {
+    if (!question?.optionOrder) return 0;
+    return question.optionOrder.indexOf(0);
+  }
+
+  shuffleIndices(length) {
+    const order = Array.from({ length }, (_, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+  }
+
   // Clear waitingToJoin flag for late joiners when a question resolves
   activateWaitingPlayers(roomCode) {
     const room = this.rooms.get(roomCode);
@@ -1,11 +1,834 @@
 import { verifyToken } from '../middleware/auth.js';
-import { GameStateManager } from './GameStateManager.js';
-
-const gameManager = new GameStateManager();
+import { GameStateManager, HOST_MIGRATION_GRACE_MS, QUICKPLAY_BOT_FILL_MS } from './GameStateManager.js';
+import { recordMultiplayerGame } from '../services/gameHistory.js';
+import { resolveFinalJeopardy } from '../services/finalJeopardy.js';
+import {
+  getBotProfile,
+  sampleBuzzDelay,
+  rollRecall,
+  chooseClue,
+  chooseDailyDoubleWager,
+  chooseFinalJeopardyWager,
+  FJ_DIFFICULTY_ROW,
+} from '../shared/bots.js';
+import { getDailyDoubleWagerRange, getFinalJeopardyWagerRange, getTopClueValue } from '../shared/wagerRules.js';
+import { hashRoomPassword, MAX_ROOM_PASSWORD_LENGTH } from '../services/roomAccess.js';
+import { recordRatedGame, getRatingKey } from '../services/ratings.js';
+
+export const gameManager = new GameStateManager({
+  quickplayMatchSize: Number(process.env.QUICKPLAY_MATCH_SIZE),
+});
 
 // Debug flag - set DEBUG_GAME=true in .env to enable game debugging
 const DEBUG_GAME = process.env.DEBUG_GAME === 'true';
 
+// Save a finished game to the history tables (once per room)
+function persistFinishedGame(roomCode) {
+  const summary = gameManager.completeGame(roomCode);
+  if (!summary) return;
+
+  try {
+    const gameId = recordMultiplayerGame(summary);
+    if (DEBUG_GAME) {
+      console.log(`[GAME] Recorded game ${gameId} for room ${roomCode}`);
+    }
+  } catch (error) {
+    console.error(`Failed to record game for room ${roomCode}:`, error);
+  }
+
+  if (summary.type === 'quickplay') {
+    try {
+      recordRatedGame(summary.players
+        .filter(p => !p.isBot)
+        .map(p => ({ key: getRatingKey({ userId: p.userId, sessionId: p.playerId }), userId: p.userId, score: p.score })));
+    } catch (error) {
+      console.error(`Failed to update ratings for room ${roomCode}:`, error);
+    }
+  }
+}
+
+// Emit an event to each player (and spectator) in a room with a payload built
+// for them, so board data can be redacted per recipient
+function emitToEachPlayer(io, roomCode, event, buildPayload) {
+  const room = gameManager.rooms.get(roomCode);
+  if (!room) return;
+
+  for (const [playerId, player] of [...room.players, ...room.spectators]) {
+    if (player.socketId) {
+      io.to(player.socketId).emit(event, buildPayload(playerId, room));
+    }
+  }
+}
+
+// Snapshot a room after a change and let its bots react to it
+function roomChanged(io, roomCode) {
+  gameManager.saveRoom(roomCode);
+  updateBots(io, roomCode);
+  scheduleLobbyBroadcast(io);
+}
+
+// Tell matched quickplay players where to go; their sockets join the room now
+// so they hear everything that happens there (bots included)
+function announceMatch(io, match) {
+  roomChanged(io, match.roomCode);
+  match.players.forEach(player => {
+    if (!player.socketId) return;
+    io.in(player.socketId).socketsJoin(match.roomCode);
+    io.to(player.socketId).emit('quickplay:match-found', {
+      roomCode: match.roomCode,
+      hostId: match.hostId,
+      genre: match.genre,
+      players: match.players,
+    });
+  });
+}
+
+// Make every match the quickplay queue allows, then tell whoever is still
+// waiting where they stand
+function runMatchmaking(io) {
+  let match;
+  while ((match = gameManager.tryCreateMatch())) {
+    announceMatch(io, match);
+  }
+  gameManager.getQueueStatuses().forEach(({ socket, status }) => {
+    socket.emit('quickplay:queue-status', status);
+  });
+}
+
+// Send everyone in a room the current teams (team play)
+function emitTeamsUpdated(io, roomCode) {
+  const room = gameManager.rooms.get(roomCode);
+  if (room) io.to(roomCode).emit('room:teams-updated', { teams: gameManager.getTeamsView(room) });
+}
+
+// Send everyone in a room the players knocking to get in (join approval)
+function emitJoinRequests(io, roomCode) {
+  const room = gameManager.rooms.get(roomCode);
+  if (room) io.to(roomCode).emit('room:join-requests', { requests: gameManager.getJoinRequestsView(room) });
+}
+
+// =====================
+// ROUND TRANSITIONS
+// =====================
+
+// Resolve the Final Jeopardy clue and reveal its category to everyone
+async function beginFinalJeopardy(io, roomCode) {
+  const room = gameManager.rooms.get(roomCode);
+  if (!room || room.finalJeopardyPending || gameManager.canStartFinalJeopardy(room)) return;
+
+  console.log(`Starting Final Jeopardy for room ${roomCode}`);
+  // Generating a clue can take a while; don't start twice if the event repeats
+  room.finalJeopardyPending = true;
+  let content;
+  try {
+    content = await resolveFinalJeopardy(room.gameState || {});
+  } finally {
+    room.finalJeopardyPending = false;
+  }
+
+  const fjData = gameManager.startFinalJeopardy(roomCode, content);
+  if (fjData) {
+    console.log(`Final Jeopardy for room ${roomCode} from ${content.source}: ${content.category}`);
+    // The onAny snapshot ran before the clue resolved
+    roomChanged(io, roomCode);
+    // Clue and response stay hidden until wagers are in
+    emitToEachPlayer(io, roomCode, 'game:final-jeopardy-started', (playerId, currentRoom) =>
+      gameManager.getFinalJeopardyView(currentRoom, playerId));
+    // Wagering opens once the category has been shown
+    const duration = getFinalJeopardyTimeLimit(room);
+    armPhaseTimeout(io, roomCode, 'fjWager', Date.now() + FJ_CATEGORY_REVEAL_MS + duration, duration);
+  }
+}
+
+// =====================
+// SERVER TIMERS
+// =====================
+// Deadlines live in the game state so they survive a snapshot/restore;
+// the timer handles themselves are re-armed at boot. Every countdown is also
+// broadcast as an absolute deadline so clients render the server's clock.
+
+const DEFAULT_TIME_LIMIT = 30000;
+// Reveal animations play before the wager countdown starts
+const DAILY_DOUBLE_REVEAL_MS = 4500;
+const FJ_CATEGORY_REVEAL_MS = 3000;
+
+function getQuestionTimeLimit(room) {
+  return room?.settings?.questionTimeLimit || DEFAULT_TIME_LIMIT;
+}
+
+// Record the running countdown and tell the room when it ends
+function announceTimer(io, roomCode, phase, deadline, duration) {
+  const room = gameManager.rooms.get(roomCode);
+  if (!room?.gameState) return;
+  room.gameState.timer = { phase, deadline, duration };
+  io.to(roomCode).emit('game:timer', room.gameState.timer);
+}
+
+// Nobody buzzed before the deadline
+function armBuzzTimeout(io, roomCode, duration) {
+  const room = gameManager.rooms.get(roomCode);
+  if (!room?.gameState) return;
+
+  gameManager.clearBuzzTimeout(roomCode);
+  room.gameState.buzzDeadline = Date.now() + duration;
+  announceTimer(io, roomCode, 'buzz', room.gameState.buzzDeadline, getQuestionTimeLimit(room));
+
+  room.buzzTimeout = setTimeout(() => {
+    room.buzzTimeout = null;
+    // Guard: if a buzz was already received, don't emit timeout
+    const currentRoom = gameManager.rooms.get(roomCode);
+    if (currentRoom?.gameState?.buzzReceived) return;
+
+    const timeoutResult = gameManager.handleBuzzTimeout(roomCode);
+    if (timeoutResult) {
+      io.to(roomCode).emit('game:buzz-timeout-result', timeoutResult);
+    }
+    roomChanged(io, roomCode);
+  }, duration);
+}
+
+// Buzzer winner ran out of time to respond
+function armAnswerTimeout(io, roomCode, playerId, duration) {
+  const room = gameManager.rooms.get(roomCode);
+  if (!room?.gameState) return;
+
+  gameManager.clearAnswerTimeout(roomCode);
+  room.gameState.answerDeadline = Date.now() + duration;
+  announceTimer(io, roomCode, 'answer', room.gameState.answerDeadline, getQuestionTimeLimit(room));
+
+  room.answerTimeout = setTimeout(() => {
+    room.answerTimeout = null;
+
+    // Host mode: the floor passes down the buzz queue
+    if (room.type === 'host') {
+      const passed = gameManager.expireFloor(roomCode, playerId);
+      if (passed?.success) announceFloorPassed(io, roomCode, passed, { timeout: true });
+      roomChanged(io, roomCode);
+      return;
+    }
+
+    // Answer timeout - no response counts as incorrect
+    const timeoutResult = gameManager.handleAnswer(roomCode, playerId, null);
+    if (timeoutResult) {
+      io.to(roomCode).emit('game:answer-result', {
+        ...timeoutResult,
+        timeout: true,
+      });
+      continueAfterAnswer(io, roomCode, timeoutResult);
+    }
+    roomChanged(io, roomCode);
+  }, duration);
+}
+
+// Tell the room the host-mode floor moved down the buzz queue, and start the
+// next player's answer clock
+function announceFloorPassed(io, roomCode, result, extra = {}) {
+  io.to(roomCode).emit('host:passed-to-next', {
+    judged: result.judged,
+    next: result.next,
+    queue: result.queue,
+    ...extra,
+  });
+  if (result.next) {
+    const room = gameManager.rooms.get(roomCode);
+    gameManager.startAnswerWindow(roomCode);
+    armAnswerTimeout(io, roomCode, result.next.playerId, getQuestionTimeLimit(room));
+  }
+}
+
+// Pick the countdowns back up with whatever was left of them when the game paused
+function resumeTimers(io, roomCode, { buzzRemaining, answerRemaining, phaseTimer }) {
+  const room = gameManager.rooms.get(roomCode);
+  const gameState = room?.gameState;
+  if (!gameState) return;
+
+  if (gameState.buzzedPlayerId && answerRemaining !== null) {
+    armAnswerTimeout(io, roomCode, gameState.buzzedPlayerId, answerRemaining);
+  } else if (gameState.buzzWindowOpen && gameState.buzzReceived && !gameState.buzzedPlayerId) {
+    settleBuzzes(io, roomCode);
+  } else if (gameState.buzzWindowOpen && buzzRemaining !== null) {
+    armBuzzTimeout(io, roomCode, buzzRemaining);
+  }
+  if (phaseTimer) {
+    armPhaseTimeout(io, roomCode, phaseTimer.phase, Date.now() + phaseTimer.remaining, phaseTimer.duration);
+  }
+}
+
+// Daily Double wager and Final Jeopardy countdowns share one handle; what
+// happens at the deadline depends on the phase
+function armPhaseTimeout(io, roomCode, phase, deadline, duration) {
+  const room = gameManager.rooms.get(roomCode);
+  if (!room?.gameState) return;
+
+  gameManager.clearPhaseTimeout(roomCode);
+  announceTimer(io, roomCode, phase, deadline, duration);
+
+  room.phaseTimeout = setTimeout(() => {
+    room.phaseTimeout = null;
+    handlePhaseTimeout(io, roomCode, phase);
+    roomChanged(io, roomCode);
+  }, Math.max(0, deadline - Date.now()));
+}
+
+function handlePhaseTimeout(io, roomCode, phase) {
+  if (phase === 'dailyDoubleWager') {
+    // Out of time - the picker wagers the minimum
+    const result = gameManager.autoDailyDoubleWager(roomCode);
+    if (result.success) confirmDailyDoubleWager(io, roomCode, result);
+  } else if (phase === 'fjWager') {
+    // Anyone who hasn't wagered wagers nothing
+    if (gameManager.closeFJWagers(roomCode)) showFinalJeopardyClue(io, roomCode);
+  } else if (phase === 'fjAnswer') {
+    // Anyone who hasn't answered answers blank
+    if (gameManager.closeFJAnswers(roomCode)) revealFinalJeopardy(io, roomCode);
+  }
+}
+
+function armDailyDoubleTimeout(io, roomCode) {
+  const room = gameManager.rooms.get(roomCode);
+  const duration = room?.settings?.dailyDoubleTimeLimit || DEFAULT_TIME_LIMIT;
+  armPhaseTimeout(io, roomCode, 'dailyDoubleWager', Date.now() + DAILY_DOUBLE_REVEAL_MS + duration, duration);
+}
+
+function getFinalJeopardyTimeLimit(room) {
+  return room?.settings?.finalJeopardyTimeLimit || DEFAULT_TIME_LIMIT;
+}
+
+function confirmDailyDoubleWager(io, roomCode, result) {
+  gameManager.clearPhaseTimeout(roomCode);
+  emitToEachPlayer(io, roomCode, 'game:daily-double-wager-confirmed', (recipientId, room) => ({
+    ...result,
+    question: gameManager.getQuestionView(room, recipientId),
+  }));
+}
+
+// All wagers are in - show the clue and start the response countdown
+function showFinalJeopardyClue(io, roomCode) {
+  const room = gameManager.rooms.get(roomCode);
+  io.to(roomCode).emit('game:fj-show-clue', { clue: room?.gameState?.finalJeopardy?.clue });
+  const duration = getFinalJeopardyTimeLimit(room);
+  armPhaseTimeout(io, roomCode, 'fjAnswer', Date.now() + duration, duration);
+}
+
+// All responses are in - reveal the results and finish the game
+function revealFinalJeopardy(io, roomCode) {
+  gameManager.clearPhaseTimeout(roomCode);
+  const results = gameManager.getFJResults(roomCode);
+  const room = gameManager.rooms.get(roomCode);
+  io.to(roomCode).emit('game:fj-reveal', {
+    results,
+    correctAnswer: room?.gameState?.finalJeopardy?.answer,
+  });
+  // Any contestant can close out a finished game
+  if (room && gameManager.endGame(roomCode, gameManager.getContestants(room)[0]?.id).success) {
+    persistFinishedGame(roomCode);
+  }
+}
+
+// After a buzz-in response: reopen buzzing for the others, or resolve the clue
+function continueAfterAnswer(io, roomCode, result) {
+  const room = gameManager.rooms.get(roomCode);
+  if (!room) return;
+
+  if (result.canBuzzAgain) {
+    gameManager.startBuzzWindow(roomCode);
+    armBuzzTimeout(io, roomCode, getQuestionTimeLimit(room));
+  } else {
+    // Activate late joiners when question fully resolves
+    const activated = gameManager.activateWaitingPlayers(roomCode);
+    if (activated.length > 0) {
+      io.to(roomCode).emit('game:late-joiners-ready', { playerIds: activated });
+    }
+  }
+}
+
+// Close the buzz collection window: announce the fastest buzzer and start their answer timer
+function settleBuzzes(io, roomCode) {
+  const room = gameManager.rooms.get(roomCode);
+  // Paused mid-settle - resuming settles instead
+  if (gameManager.isPaused(room)) return;
+  const winner = gameManager.determineBuzzerWinner(roomCode);
+  if (!room || !winner) return;
+
+  const player = room.players.get(winner.playerId);
+  io.to(roomCode).emit('game:buzzer-winner', {
+    playerId: winner.playerId,
+    playerName: player?.displayName || 'Unknown',
+    reactionTime: winner.reactionTime,
+  });
+
+  // Start answer window and server-side answer timeout
+  gameManager.startAnswerWindow(roomCode);
+  armAnswerTimeout(io, roomCode, winner.playerId, getQuestionTimeLimit(room));
+  roomChanged(io, roomCode);
+}
+
+// =====================
+// PLAYER ACTIONS
+// =====================
+// Shared by the socket handlers and the bots, so both play by the same rules.
+// `picker` is the acting socket, or a bot's { sessionId }.
+
+function selectClue(io, picker, roomCode, categoryIndex, pointIndex) {
+  const room = gameManager.rooms.get(roomCode);
+
+  // Use host mode selection if applicable
+  let result;
+  if (room?.type === 'host') {
+    result = gameManager.selectQuestionHostMode(picker, roomCode, categoryIndex, pointIndex);
+  } else {
+    result = gameManager.selectQuestion(picker, roomCode, categoryIndex, pointIndex);
+  }
+  if (!result) return;
+
+  // Clear any suggestions when a question is selected
+  gameManager.clearSuggestions(roomCode);
+  // In early buzz lockout mode the buzzer stays locked while the clue is read
+  const readingTime = result.isDailyDouble ? 0 : gameManager.getClueReadingTime(room);
+  emitToEachPlayer(io, roomCode, 'game:question-selected', (playerId) => ({
+    ...result,
+    question: gameManager.getQuestionView(room, playerId),
+    buzzUnlocksIn: readingTime,
+  }));
+
+  // Skip buzz window for Daily Double (only picker answers)
+  if (result.isDailyDouble) {
+    if (room.type !== 'host') armDailyDoubleTimeout(io, roomCode);
+    return;
+  }
+
+  // With early buzz lockout the host opens the buzzer once they've read the clue
+  if (room.type === 'host' && gameManager.getBuzzLockoutMs(room)) {
+    room.gameState.buzzWindowOpen = false;
+    return;
+  }
+
+  // Start buzz collection window with a server-side buzz timeout
+  gameManager.startBuzzWindow(roomCode, readingTime);
+  armBuzzTimeout(io, roomCode, readingTime + getQuestionTimeLimit(room));
+}
+
+// Returns the recorded buzz ({ lockedOut, lockoutMs }), or null if it was ignored
+function buzzIn(io, roomCode, playerId, reactionTime, timing) {
+  const room = gameManager.rooms.get(roomCode);
+
+  // Only players buzz - never spectators
+  if (!room?.players.has(playerId)) return null;
+
+  // Prevent host and staff from buzzing in host mode
+  if (gameManager.isStaff(room, playerId)) {
+    console.log(`Host ${playerId} tried to buzz - ignoring`);
+    return null;
+  }
+
+  const buzz = gameManager.recordBuzz(roomCode, playerId, reactionTime, timing);
+  if (!buzz || buzz.lockedOut) return buzz;
+
+  // Clear the server-side buzz timeout since someone buzzed
+  gameManager.clearBuzzTimeout(roomCode);
+
+  // Host mode keeps everyone who buzzed in line; the floor is settled once
+  // whenever nobody holds it
+  if (room.type === 'host') {
+    io.to(roomCode).emit('host:buzz-queue', { queue: gameManager.getBuzzQueueView(room) });
+    if (!room.gameState.buzzedPlayerId && room.gameState.buzzQueue.length === 1) {
+      setTimeout(() => settleBuzzes(io, roomCode), 500);
+    }
+    return buzz;
+  }
+
+  // Check if this is the first buzz (announce winner immediately for responsiveness)
+  if (room.gameState.buzzes && Object.keys(room.gameState.buzzes).length === 1) {
+    // First buzzer - announce them as winner after a brief delay
+    setTimeout(() => settleBuzzes(io, roomCode), 500); // Small delay to collect other buzzes
+  }
+  return buzz;
+}
+
+function submitResponse(io, roomCode, playerId, response) {
+  const result = gameManager.handleAnswer(roomCode, playerId, response);
+  if (result) {
+    // Clear the server-side answer timeout since they answered
+    gameManager.clearAnswerTimeout(roomCode);
+
+    io.to(roomCode).emit('game:answer-result', result);
+    continueAfterAnswer(io, roomCode, result);
+  }
+}
+
+// "I don't know" - once everyone has buzzed or passed the clue ends
+function skipClue(io, roomCode, playerId) {
+  const result = gameManager.playerSkipped(roomCode, playerId);
+  if (!result) return;
+
+  io.to(roomCode).emit('game:player-skipped', {
+    playerId,
+    skippedCount: result.skippedCount,
+    totalEligible: result.totalEligible,
+  });
+
+  // If all players either buzzed or skipped, end the question
+  if (result.allSkipped) {
+    gameManager.clearBuzzTimeout(roomCode);
+    const timeoutResult = gameManager.handleBuzzTimeout(roomCode);
+    if (timeoutResult) {
+      io.to(roomCode).emit('game:buzz-timeout-result', timeoutResult);
+    }
+  }
+}
+
+// Continue after a clue nobody got - the board comes back once everyone has
+function continueAfterTimeout(io, roomCode, playerId) {
+  const allContinued = gameManager.playerContinued(roomCode, playerId);
+  if (!allContinued) return;
+
+  // All players have clicked Continue - clear question and return to board
+  gameManager.clearCurrentQuestion(roomCode);
+  const nextPickerId = gameManager.getCurrentPicker(roomCode);
+
+  if (DEBUG_GAME) {
+    console.log(`[GAME] All players continued in room ${roomCode}, next picker: ${nextPickerId}`);
+  }
+
+  io.to(roomCode).emit('game:all-continued', { nextPickerId });
+
+  // Activate late joiners
+  const activated = gameManager.activateWaitingPlayers(roomCode);
+  if (activated.length > 0) {
+    io.to(roomCode).emit('game:late-joiners-ready', { playerIds: activated });
+  }
+}
+
+function placeDailyDoubleWager(io, roomCode, playerId, wager) {
+  const { success, error, ...result } = gameManager.handleDailyDoubleWager(roomCode, playerId, wager);
+  if (!success) return { success: false, error };
+
+  confirmDailyDoubleWager(io, roomCode, result);
+  return { success: true };
+}
+
+function answerDailyDouble(io, roomCode, playerId, correct) {
+  const result = gameManager.handleDailyDoubleAnswer(roomCode, playerId, correct);
+  if (result) {
+    io.to(roomCode).emit('game:daily-double-result', result);
+  }
+}
+
+function placeFinalJeopardyWager(io, roomCode, playerId, wager) {
+  const { success, error, allIn } = gameManager.submitFJWager(roomCode, playerId, wager);
+  if (allIn) {
+    showFinalJeopardyClue(io, roomCode);
+  }
+  return success ? { success: true } : { success: false, error };
+}
+
+function answerFinalJeopardy(io, roomCode, playerId, answer) {
+  const allIn = gameManager.submitFJAnswer(roomCode, playerId, answer);
+  if (allIn) {
+    revealFinalJeopardy(io, roomCode);
+  }
+}
+
+// =====================
+// BOTS
+// =====================
+// After every room change each bot works out its next move and schedules it
+// with a human-ish delay. Moves go through the player actions above; a move is
+// made once, and rescheduled only when the game moves on underneath it.
+
+const BOT_THINK_MS = { min: 1200, max: 3000 };
+// Time to read a clue or result before acting on it
+const BOT_READING_MS = 3000;
+
+const botTurns = new Map(); // roomCode -> Map(botId -> { key, timer })
+const botRecall = new Map(); // botId -> { clueKey, knows } for the clue in play
+
+function botThinkTime(extra = 0) {
+  return extra + BOT_THINK_MS.min + Math.random() * (BOT_THINK_MS.max - BOT_THINK_MS.min);
+}
+
+function getClueKey(gameState) {
+  const clue = gameState.currentQuestion;
+  return clue ? `${gameState.currentRound}:${clue.categoryIndex}:${clue.pointIndex}` : null;
+}
+
+// Whether a bot knows the clue in play - rolled once per clue
+function botKnowsClue(bot, gameState) {
+  const clueKey = getClueKey(gameState);
+  const memory = botRecall.get(bot.id);
+  if (memory?.clueKey === clueKey) return memory.knows;
+
+  const clue = gameState.currentQuestion;
+  const knows = !!clue && rollRecall(getBotProfile(bot.botSkill), clue.category, clue.pointIndex);
+  botRecall.set(bot.id, { clueKey, knows });
+  return knows;
+}
+
+// A bot's next move as { key, delay, act }, or null if it has nothing to do
+function getBotMove(io, room, bot) {
+  const gameState = room.gameState;
+  if (room.status !== 'in_progress' || !gameState || gameState.paused || bot.waitingToJoin) return null;
+
+  const profile = getBotProfile(bot.botSkill);
+  const roomCode = room.code;
+  const clue = gameState.currentQuestion;
+  const clueKey = getClueKey(gameState);
+
+  const fj = gameState.finalJeopardy;
+  if (gameState.phase === 'finalJeopardy' && fj) {
+    const sideId = gameManager.getSideId(room, bot.id);
+    if (!fj.eligiblePlayers.has(sideId) || fj.responseRevealed) return null;
+
+    if (!fj.clueRevealed && !fj.wagers.has(sideId)) {
+      return {
+        key: 'fj-wager',
+        delay: botThinkTime(FJ_CATEGORY_REVEAL_MS),
+        act: () => {
+          const rivalScores = gameManager.getContestants(room)
+            .filter(p => !gameManager.isSameSide(room, p.id, bot.id))
+            .map(p => p.score || 0);
+          const range = getFinalJeopardyWagerRange(bot.score);
+          placeFinalJeopardyWager(io, roomCode, bot.id,
+            chooseFinalJeopardyWager(profile, bot.score || 0, range, rivalScores));
+        },
+      };
+    }
+    if (fj.clueRevealed && !fj.answers.has(sideId)) {
+      return {
+        key: 'fj-answer',
+        delay: botThinkTime(BOT_READING_MS),
+        act: () => {
+          const knows = rollRecall(profile, fj.category, FJ_DIFFICULTY_ROW);
+          answerFinalJeopardy(io, roomCode, bot.id, knows ? fj.answer : '');
+        },
+      };
+    }
+    return null;
+  }
+
+  // Daily Double: wager once the reveal has played, then judge themselves
+  if (gameState.phase === 'dailyDouble' && gameState.currentPickerId === bot.id) {
+    return {
+      key: `dd-wager:${clueKey}`,
+      delay: botThinkTime(DAILY_DOUBLE_REVEAL_MS),
+      act: () => {
+        const range = getDailyDoubleWagerRange(bot.score, getTopClueValue(gameState.questions));
+        placeDailyDoubleWager(io, roomCode, bot.id, chooseDailyDoubleWager(profile, range));
+      },
+    };
+  }
+  if (gameState.phase === 'dailyDoubleQuestion' && gameState.currentPickerId === bot.id) {
+    return {
+      key: `dd-answer:${clueKey}`,
+      delay: botThinkTime(BOT_READING_MS),
+      act: () => answerDailyDouble(io, roomCode, bot.id, botKnowsClue(bot, gameState)),
+    };
+  }
+
+  if (gameState.phase !== 'playing' && gameState.phase !== 'questionActive') return null;
+
+  // Board - pick when it's the bot's turn
+  if (!clue) {
+    if (gameState.currentPickerId !== bot.id) return null;
+    const pick = chooseClue(profile, gameState.questions);
+    if (!pick) return null;
+    const revealedCount = (gameState.questions || []).flat().filter(q => q?.revealed).length;
+    return {
+      key: `pick:${gameState.currentRound}:${revealedCount}`,
+      delay: botThinkTime(BOT_READING_MS),
+      act: () => selectClue(io, { sessionId: bot.id }, roomCode, pick.categoryIndex, pick.pointIndex),
+    };
+  }
+
+  // Won the buzz - respond
+  if (gameState.buzzedPlayerId === bot.id) {
+    return {
+      key: `answer:${clueKey}:${gameState.answerWindowStartTime}`,
+      delay: botThinkTime(),
+      act: () => submitResponse(io, roomCode, bot.id, botKnowsClue(bot, gameState) ? clue.question : ''),
+    };
+  }
+
+  // Buzzer open - buzz in on a clue it knows (or fancies a guess), otherwise pass.
+  // Bots never buzz early, so they wait out any clue reading time.
+  const canBuzz = gameState.buzzWindowOpen && !gameState.buzzedPlayerId
+    && !gameState.playersWhoBuzzed?.has(bot.id) && !gameState.skippedPlayers?.has(bot.id);
+  if (canBuzz) {
+    const unlocksIn = Math.max(0, (gameState.buzzWindowStartTime || 0) - Date.now());
+    const willBuzz = botKnowsClue(bot, gameState) || Math.random() < profile.guessRate;
+    return {
+      key: `buzz:${clueKey}:${gameState.buzzWindowStartTime}`,
+      delay: unlocksIn + sampleBuzzDelay(profile) + (willBuzz ? 0 : BOT_READING_MS),
+      act: willBuzz
+        ? () => buzzIn(io, roomCode, bot.id, Date.now() - gameState.buzzWindowStartTime, { pressedAt: Date.now(), rtt: 0 })
+        : () => skipClue(io, roomCode, bot.id),
+    };
+  }
+
+  // Nobody got it - continue once the response has been read
+  if (clue.responseRevealed && !gameState.buzzWindowOpen && !gameState.continuedPlayers?.has(bot.id)) {
+    return {
+      key: `continue:${clueKey}`,
+      delay: botThinkTime(BOT_READING_MS),
+      act: () => continueAfterTimeout(io, roomCode, bot.id),
+    };
+  }
+
+  return null;
+}
+
+function updateBots(io, roomCode) {
+  const room = gameManager.rooms.get(roomCode);
+  const turns = botTurns.get(roomCode) || new Map();
+
+  // Bots that were removed (or whose room closed) stop playing
+  for (const [botId, turn] of turns) {
+    if (room?.players.has(botId)) continue;
+    clearTimeout(turn.timer);
+    turns.delete(botId);
+    botRecall.delete(botId);
+  }
+
+  for (const bot of room ? room.players.values() : []) {
+    if (!bot.isBot) continue;
+
+    const move = getBotMove(io, room, bot);
+    const turn = turns.get(bot.id);
+    // Already scheduled (or made) this move
+    if (turn && turn.key === move?.key) continue;
+
+    if (turn) clearTimeout(turn.timer);
+    if (!move) {
+      turns.delete(bot.id);
+      continue;
+    }
+
+    const nextTurn = { key: move.key, timer: null };
+    nextTurn.timer = setTimeout(() => {
+      nextTurn.timer = null;
+      move.act();
+      roomChanged(io, roomCode);
+    }, move.delay);
+    turns.set(bot.id, nextTurn);
+  }
+
+  if (turns.size > 0) {
+    botTurns.set(roomCode, turns);
+  } else {
+    botTurns.delete(roomCode);
+  }
+}
+
+// =====================
+// HOST MIGRATION
+// =====================
+
+const hostMigrationTimers = new Map(); // roomCode -> timeout
+
+function announceHostChange(io, roomCode, change) {
+  io.to(roomCode).emit('room:host-changed', change);
+  roomChanged(io, roomCode);
+}
+
+// Give a disconnected host the grace period to come back, then hand the room
+// on. If nobody can take over yet, check again after another grace period.
+function scheduleHostMigration(io, roomCode) {
+  cancelHostMigration(roomCode);
+  hostMigrationTimers.set(roomCode, setTimeout(() => {
+    hostMigrationTimers.delete(roomCode);
+    const room = gameManager.rooms.get(roomCode);
+    if (!room || !gameManager.isHostAway(room)) return;
+
+    const change = gameManager.migrateHost(roomCode);
+    if (change) {
+      console.log(`Room ${roomCode} host moved from ${change.previousHostId} to ${change.hostId}`);
+      announceHostChange(io, roomCode, change);
+    } else {
+      scheduleHostMigration(io, roomCode);
+    }
+  }, HOST_MIGRATION_GRACE_MS));
+}
+
+function cancelHostMigration(roomCode) {
+  clearTimeout(hostMigrationTimers.get(roomCode));
+  hostMigrationTimers.delete(roomCode);
+}
+
+// =====================
+// LOBBY BROWSER
+// =====================
+
+const LOBBY_CHANNEL = 'lobbies';
+const LOBBY_BROADCAST_MS = 1000;
+let lobbyBroadcastTimer = null;
+let lastLobbyList = null;
+
+// Room events come thick and fast mid-game; the lobby list goes out at most
+// once a second, and only when it actually changed
+function scheduleLobbyBroadcast(io) {
+  if (lobbyBroadcastTimer) return;
+  lobbyBroadcastTimer = setTimeout(() => {
+    lobbyBroadcastTimer = null;
+    const rooms = gameManager.getPublicRooms();
+    const listing = JSON.stringify(rooms);
+    if (listing === lastLobbyList) return;
+    lastLobbyList = listing;
+    io.to(LOBBY_CHANNEL).emit('lobbies:updated', { rooms });
+  }, LOBBY_BROADCAST_MS);
+}
+
+// =====================
+// CLOCK SYNC
+// =====================
+
+const LATENCY_PROBE_TIMEOUT_MS = 2000;
+
+// Server-measured round trip to a client. Buzz compensation is bounded by this
+// rather than anything the client reports about itself.
+function measureLatency(socket) {
+  const sentAt = Date.now();
+  socket.timeout(LATENCY_PROBE_TIMEOUT_MS).emit('clock:probe', (err) => {
+    if (err) return;
+    const rtt = Date.now() - sentAt;
+    // Smooth out jitter, but let a slower connection show up quickly
+    socket.data.rtt = socket.data.rtt === undefined ? rtt : Math.round(socket.data.rtt * 0.5 + rtt * 0.5);
+  });
+}
+
+// Rehydrate rooms from SQLite after a restart and re-arm their pending timers
+export function restorePersistedRooms(io) {
+  const rooms = gameManager.restoreRooms();
+  const now = Date.now();
+
+  for (const room of rooms) {
+    // Hosts get the usual grace period to reconnect after a restart
+    if (room.hostId) scheduleHostMigration(io, room.code);
+
+    const gameState = room.gameState;
+    if (!gameState || room.status !== 'in_progress') continue;
+
+    // A paused game stays frozen until the host resumes it
+    if (gameState.paused) continue;
+
+    if (gameState.buzzedPlayerId && gameState.answerDeadline) {
+      armAnswerTimeout(io, room.code, gameState.buzzedPlayerId, Math.max(0, gameState.answerDeadline - now));
+    } else if (gameState.buzzWindowOpen && gameState.buzzReceived && !gameState.buzzedPlayerId) {
+      // Restarted mid buzz collection - settle with the buzzes we have
+      settleBuzzes(io, room.code);
+    } else if (gameState.buzzWindowOpen && gameState.buzzDeadline) {
+      armBuzzTimeout(io, room.code, Math.max(0, gameState.buzzDeadline - now));
+    } else if (['dailyDoubleWager', 'fjWager', 'fjAnswer'].includes(gameState.timer?.phase)) {
+      armPhaseTimeout(io, room.code, gameState.timer.phase, gameState.timer.deadline, gameState.timer.duration);
+    }
+    // Bots pick up where they left off
+    updateBots(io, room.code);
+  }
+
+  if (rooms.length > 0) {
+    console.log(`Restored ${rooms.length} room(s) from snapshots`);
+  }
+}
+
 export function initializeSocketHandlers(io) {
   // Authentication middleware
   io.use((socket, next) => {
@@ -37,6 +860,17 @@ export function initializeSocketHandlers(io) {
   io.on('connection', (socket) => {
     console.log(`Socket connected: ${socket.id}, Session: ${socket.sessionId}, User: ${socket.userId || 'anonymous'}`);
 
+    // Snapshot the affected room (and let its bots react) after every client
+    // event. onAny listeners run before the event handlers, and setImmediate
+    // fires once they're done.
+    socket.onAny((event, payload) => {
+      if (event.startsWith('clock:')) return;
+      const roomCode = payload?.roomCode || gameManager.sessionRooms.get(socket.sessionId);
+      if (typeof roomCode === 'string') {
+        setImmediate(() => roomChanged(io, roomCode.toUpperCase()));
+      }
+    });
+
     // Send connection confirmation
     socket.emit('connected', {
       socketId: socket.id,
@@ -44,6 +878,14 @@ export function initializeSocketHandlers(io) {
       isGuest: socket.isGuest,
     });
 
+    // Clock sync handshake - the client estimates its offset and round trip
+    // from the server time in the reply; the server measures its own round trip
+    socket.on('clock:ping', (payload, callback) => {
+      if (typeof callback !== 'function') return;
+      callback({ serverTime: Date.now() });
+      measureLatency(socket);
+    });
+
     // Room events
     socket.on('room:create', async ({ type, settings }, callback) => {
       try {
@@ -55,9 +897,15 @@ export function initializeSocketHandlers(io) {
       }
     });
 
-    socket.on('room:join', async ({ roomCode, displayName, signature }, callback) => {
+    socket.on('room:join', async ({ roomCode, displayName, signature, password, invite }, callback) => {
       try {
-        const result = await gameManager.joinRoom(socket, roomCode, displayName, signature);
+        const result = await gameManager.joinRoom(socket, roomCode, displayName, signature, { password, invite });
+        if (result.pending) {
+          // Stay outside the room channel until staff let them in
+          callback({ success: true, ...result });
+          emitJoinRequests(io, result.roomCode);
+          return;
+        }
         socket.join(roomCode);
         callback({ success: true, ...result });
 
@@ -68,17 +916,101 @@ export function initializeSocketHandlers(io) {
           signature,
         });
       } catch (error) {
-        callback({ success: false, error: error.message });
+        // code/requiresPassword tell the join form to ask for a password
+        callback({ success: false, error: error.message, code: error.code, requiresPassword: error.requiresPassword });
+      }
+    });
+
+    // Lobby browser: the public room list now, and live updates until unsubscribed
+    // Without an ack, the current list comes as a regular update
+    socket.on('lobbies:subscribe', (payload, callback) => {
+      socket.join(LOBBY_CHANNEL);
+      const rooms = gameManager.getPublicRooms();
+      if (typeof callback === 'function') {
+        callback({ success: true, rooms });
+      } else {
+        socket.emit('lobbies:updated', { rooms });
+      }
+    });
+
+    socket.on('lobbies:unsubscribe', () => {
+      socket.leave(LOBBY_CHANNEL);
+    });
+
+    // Host checks who can get in (the password itself never leaves the server)
+    socket.on('room:get-access', ({ roomCode } = {}, callback) => {
+      if (typeof callback !== 'function') return;
+      callback(gameManager.getRoomAccess(roomCode));
+    });
+
+    // Host sets or clears the room password (null/'' clears) and invite-only mode
+    socket.on('host:set-room-access', async ({ roomCode, password, inviteOnly }, callback) => {
+      const update = { inviteOnly };
+      if (password !== undefined) {
+        if (password && (typeof password !== 'string' || password.length > MAX_ROOM_PASSWORD_LENGTH)) {
+          if (callback) callback({ success: false, error: 'Invalid password' });
+          return;
+        }
+        update.passwordHash = password ? await hashRoomPassword(password) : null;
+      }
+      const result = gameManager.setRoomAccess(roomCode, socket.sessionId, update);
+      if (callback) callback(result);
+    });
+
+    // Host makes an expiring invite link for a protected room
+    socket.on('host:create-invite', ({ roomCode, minutes }, callback) => {
+      const result = gameManager.createInvite(roomCode, socket.sessionId, minutes);
+      if (callback) callback(result);
+    });
+
+    // A knocking player stops waiting
+    socket.on('room:cancel-join', () => {
+      gameManager.withdrawJoinRequests(socket.sessionId).forEach(code => emitJoinRequests(io, code));
+      socket.emit('room:join-rejected', { reason: 'Join request cancelled' });
+    });
+
+    // Watch a room without playing (no buzzing, picking, suggesting or wagering)
+    socket.on('room:spectate', ({ roomCode, displayName, password, invite }, callback) => {
+      try {
+        const result = gameManager.spectateRoom(socket, roomCode, displayName, { password, invite });
+        socket.join(result.roomCode);
+        callback({ success: true, ...result });
+
+        socket.to(result.roomCode).emit('room:spectators-updated', {
+          spectatorCount: result.spectatorCount,
+        });
+      } catch (error) {
+        callback({ success: false, error: error.message, code: error.code, requiresPassword: error.requiresPassword });
       }
     });
 
     socket.on('room:leave', ({ roomCode }) => {
+      const room = gameManager.rooms.get(roomCode);
+      const wasSpectator = gameManager.isSpectator(room, socket.sessionId);
+
       socket.leave(roomCode);
       gameManager.leaveRoom(socket, roomCode);
 
+      if (wasSpectator) {
+        socket.to(roomCode).emit('room:spectators-updated', {
+          spectatorCount: room.spectators.size,
+        });
+        return;
+      }
+
       socket.to(roomCode).emit('room:player-left', {
         playerId: socket.sessionId,
       });
+
+      // A host who leaves for good is replaced straight away
+      if (gameManager.rooms.has(roomCode) && room.hostId === socket.sessionId) {
+        const change = gameManager.migrateHost(roomCode);
+        if (change) {
+          announceHostChange(io, roomCode, change);
+        } else {
+          scheduleHostMigration(io, roomCode);
+        }
+      }
     });
 
     socket.on('room:ready', ({ roomCode, ready }) => {
@@ -99,6 +1031,9 @@ export function initializeSocketHandlers(io) {
       if (result.success) {
         // Rejoin socket to room
         socket.join(roomCode);
+        if (gameManager.rooms.get(roomCode)?.hostId === socket.sessionId) {
+          cancelHostMigration(roomCode);
+        }
 
         console.log(`Player ${result.displayName} reconnected to room ${roomCode}`);
 
@@ -125,12 +1060,69 @@ export function initializeSocketHandlers(io) {
       }
     });
 
+    // Host adds a computer contestant to the lobby (removed like anyone else, by kicking)
+    socket.on('room:add-bot', ({ roomCode, skill }, callback) => {
+      const result = gameManager.hostAddBot(roomCode, socket.sessionId, skill);
+      if (!result.success) {
+        if (callback) callback(result);
+        return;
+      }
+
+      const { bot } = result;
+      io.to(roomCode).emit('room:player-joined', {
+        playerId: bot.id,
+        displayName: bot.displayName,
+        signature: null,
+        isBot: true,
+        botSkill: bot.botSkill,
+        isReady: true,
+      });
+      if (callback) callback({ success: true, playerId: bot.id });
+    });
+
+    // Team events (team play)
+
+    // Host creates a named team
+    socket.on('team:create', ({ roomCode, name }, callback) => {
+      const result = gameManager.createTeam(roomCode, socket.sessionId, name);
+      if (callback) callback(result);
+      if (result.success) emitTeamsUpdated(io, roomCode);
+    });
+
+    // Host removes a team; its members become unassigned
+    socket.on('team:remove', ({ roomCode, teamId }, callback) => {
+      const result = gameManager.removeTeam(roomCode, socket.sessionId, teamId);
+      if (callback) callback(result);
+      if (result.success) emitTeamsUpdated(io, roomCode);
+    });
+
+    // Player joins a team (teamId null leaves it)
+    socket.on('team:join', ({ roomCode, teamId }, callback) => {
+      const result = gameManager.setPlayerTeam(roomCode, socket.sessionId, socket.sessionId, teamId ?? null);
+      if (callback) callback(result);
+      if (result.success) emitTeamsUpdated(io, roomCode);
+    });
+
+    // Host assigns a player to a team
+    socket.on('team:assign', ({ roomCode, playerId, teamId }, callback) => {
+      const result = gameManager.setPlayerTeam(roomCode, socket.sessionId, playerId, teamId ?? null);
+      if (callback) callback(result);
+      if (result.success) emitTeamsUpdated(io, roomCode);
+    });
+
     // Game events
 
     // Host starts game setup
-    socket.on('game:start-setup', ({ roomCode }) => {
+    socket.on('game:start-setup', ({ roomCode }, callback) => {
+      const result = gameManager.startSetup(roomCode, socket.sessionId);
+      if (!result.success) {
+        if (callback) callback(result);
+        return;
+      }
+
       console.log(`Game setup started for room ${roomCode}`);
       io.to(roomCode).emit('game:setup-started');
+      if (callback) callback({ success: true });
     });
 
     // Host sets categories
@@ -143,6 +1135,7 @@ export function initializeSocketHandlers(io) {
     // Host selected a genre (sync to other players for viewing)
     socket.on('game:genre-selected', ({ roomCode, genre }) => {
       console.log(`Genre selected for room ${roomCode}: ${genre}`);
+      gameManager.setGenre(roomCode, genre);
       io.to(roomCode).emit('game:genre-selected', { genre });
     });
 
@@ -153,244 +1146,128 @@ export function initializeSocketHandlers(io) {
     });
 
     // Host sets questions and starts game
-    socket.on('game:set-questions', ({ roomCode, questions, categories, firstPickerId }) => {
-      console.log(`Questions set for room ${roomCode}, first picker: ${firstPickerId}`);
-      gameManager.setQuestions(roomCode, questions, categories, firstPickerId);
-      io.to(roomCode).emit('game:questions-ready', { questions, categories, firstPickerId });
-    });
-
-    // Player selects a question (handled in HOST MODE EVENTS section for host mode support)
-
-    // Player buzzes in with reaction time
-    socket.on('game:buzz-in', ({ roomCode, reactionTime }) => {
-      const playerId = socket.sessionId;
-      console.log(`Player ${playerId} buzzed with reaction time ${reactionTime}ms`);
-
-      const room = gameManager.rooms.get(roomCode);
-
-      // Prevent host from buzzing in host mode
-      if (room?.type === 'host' && room?.hostId === playerId) {
-        console.log(`Host ${playerId} tried to buzz - ignoring`);
+    socket.on('game:set-questions', ({ roomCode, questions, categories, firstPickerId }, callback) => {
+      const result = gameManager.setQuestions(roomCode, questions, categories, firstPickerId, socket.sessionId);
+      if (!result.success) {
+        if (callback) callback(result);
         return;
       }
 
-      // Clear the server-side buzz timeout since someone buzzed
-      gameManager.clearBuzzTimeout(roomCode);
-
-      gameManager.recordBuzz(roomCode, playerId, reactionTime);
-
-      // Check if this is the first buzz (announce winner immediately for responsiveness)
-      if (room && room.gameState.buzzes && Object.keys(room.gameState.buzzes).length === 1) {
-        // First buzzer - announce them as winner after a brief delay
-        setTimeout(() => {
-          const winner = gameManager.determineBuzzerWinner(roomCode);
-          if (winner) {
-            const player = room.players.get(winner.playerId);
-            io.to(roomCode).emit('game:buzzer-winner', {
-              playerId: winner.playerId,
-              playerName: player?.displayName || 'Unknown',
-              reactionTime: winner.reactionTime,
-            });
-
-            // Start answer window and server-side answer timeout
-            gameManager.startAnswerWindow(roomCode);
-            const answerDuration = room?.settings?.questionTimeLimit || 30000;
-
-            gameManager.clearAnswerTimeout(roomCode);
-            room.answerTimeout = setTimeout(() => {
-              // Answer timeout - mark as incorrect automatically
-              const timeoutResult = gameManager.handleAnswer(roomCode, winner.playerId, false, room.gameState.currentQuestion?.points || 0);
-              if (timeoutResult) {
-                io.to(roomCode).emit('game:answer-result', {
-                  ...timeoutResult,
-                  timeout: true,
-                });
-
-                // If others can still buzz, restart buzz window with fresh timeout
-                if (timeoutResult.canBuzzAgain) {
-                  gameManager.startBuzzWindow(roomCode);
-                  const buzzDuration = room?.settings?.questionTimeLimit || 30000;
-                  gameManager.clearBuzzTimeout(roomCode);
-                  room.buzzTimeout = setTimeout(() => {
-                    const currentRoom = gameManager.rooms.get(roomCode);
-                    if (currentRoom?.gameState?.buzzReceived) return;
-                    const btResult = gameManager.handleBuzzTimeout(roomCode);
-                    if (btResult) {
-                      io.to(roomCode).emit('game:buzz-timeout-result', btResult);
-                    }
-                  }, buzzDuration);
-                } else {
-                  const activated = gameManager.activateWaitingPlayers(roomCode);
-                  if (activated.length > 0) {
-                    io.to(roomCode).emit('game:late-joiners-ready', { playerIds: activated });
-                  }
-                }
-              }
-            }, answerDuration);
-          }
-        }, 500); // Small delay to collect other buzzes
-      }
+      console.log(`Questions set for room ${roomCode}, first picker: ${result.firstPickerId}`);
+      emitToEachPlayer(io, roomCode, 'game:questions-ready', (playerId, room) => ({
+        questions: gameManager.getBoardView(room, playerId),
+        categories,
+        firstPickerId: result.firstPickerId,
+      }));
+      if (callback) callback({ success: true, firstPickerId: result.firstPickerId });
     });
 
-    // Player submits answer
-    socket.on('game:submit-answer', ({ roomCode, correct, points, timeout }) => {
-      const playerId = socket.sessionId;
-
-      // Clear the server-side answer timeout since they answered
-      gameManager.clearAnswerTimeout(roomCode);
-
-      const result = gameManager.handleAnswer(roomCode, playerId, correct, points);
-      if (result) {
-        io.to(roomCode).emit('game:answer-result', result);
-
-        // Activate late joiners when question fully resolves
-        if (!result.canBuzzAgain) {
-          const activated = gameManager.activateWaitingPlayers(roomCode);
-          if (activated.length > 0) {
-            io.to(roomCode).emit('game:late-joiners-ready', { playerIds: activated });
-          }
-        }
+    // Player selects a question (handled in HOST MODE EVENTS section for host mode support)
 
-        // If others can still buzz, restart buzz window with fresh timeout
-        if (result.canBuzzAgain) {
-          const room = gameManager.rooms.get(roomCode);
-          if (room) {
-            gameManager.startBuzzWindow(roomCode);
-            const buzzDuration = room?.settings?.questionTimeLimit || 30000;
-            gameManager.clearBuzzTimeout(roomCode);
-            room.buzzTimeout = setTimeout(() => {
-              const currentRoom = gameManager.rooms.get(roomCode);
-              if (currentRoom?.gameState?.buzzReceived) return;
-              const btResult = gameManager.handleBuzzTimeout(roomCode);
-              if (btResult) {
-                io.to(roomCode).emit('game:buzz-timeout-result', btResult);
-              }
-            }, buzzDuration);
-          }
-        }
-      }
-    });
+    // Player buzzes in with reaction time
+    socket.on('game:buzz-in', ({ roomCode, reactionTime, pressedAt }) => {
+      console.log(`Player ${socket.sessionId} buzzed with reaction time ${reactionTime}ms`);
 
-    // Player reveals the answer (broadcast to all)
-    socket.on('game:reveal-answer', ({ roomCode }) => {
-      const playerId = socket.sessionId;
-      const room = gameManager.rooms.get(roomCode);
+      const buzz = buzzIn(io, roomCode, socket.sessionId, reactionTime, {
+        pressedAt,
+        rtt: socket.data.rtt,
+      });
 
-      // Verify this player is the buzzer winner (the one who should reveal)
-      if (room?.gameState?.buzzedPlayerId === playerId) {
-        // Broadcast to ALL players that answer was revealed
-        io.to(roomCode).emit('game:answer-revealed', {
-          playerId,
-          answer: room.gameState.currentQuestion?.question,
-        });
+      // Early buzz - tell the buzzer they're locked out; the window stays open
+      if (buzz?.lockedOut) {
+        socket.emit('game:buzz-locked-out', { lockoutMs: buzz.lockoutMs });
       }
     });
 
-    // Buzz timer expired - no one buzzed in time (legacy client event - server now handles this)
-    socket.on('game:buzz-timeout', ({ roomCode, points }) => {
-      console.log(`Buzz timeout for room ${roomCode} (client-triggered, server handles this now)`);
-      const result = gameManager.handleBuzzTimeout(roomCode);
-      if (result) {
-        io.to(roomCode).emit('game:buzz-timeout-result', result);
-      }
+    // Player submits their typed or spoken response - the server grades it
+    socket.on('game:submit-answer', ({ roomCode, response }) => {
+      submitResponse(io, roomCode, socket.sessionId, typeof response === 'string' ? response : '');
     });
 
     // Player clicks Continue after timeout - wait for all players
     socket.on('game:timeout-continue', ({ roomCode }) => {
-      const playerId = socket.sessionId;
       if (DEBUG_GAME) {
-        console.log(`[GAME] Player ${playerId} clicked Continue in room ${roomCode}`);
-      }
-
-      const allContinued = gameManager.playerContinued(roomCode, playerId);
-
-      if (allContinued) {
-        // All players have clicked Continue - clear question and return to board
-        gameManager.clearCurrentQuestion(roomCode);
-        const nextPickerId = gameManager.getCurrentPicker(roomCode);
-
-        if (DEBUG_GAME) {
-          console.log(`[GAME] All players continued in room ${roomCode}, next picker: ${nextPickerId}`);
-        }
-
-        io.to(roomCode).emit('game:all-continued', { nextPickerId });
-
-        // Activate late joiners
-        const activated = gameManager.activateWaitingPlayers(roomCode);
-        if (activated.length > 0) {
-          io.to(roomCode).emit('game:late-joiners-ready', { playerIds: activated });
-        }
+        console.log(`[GAME] Player ${socket.sessionId} clicked Continue in room ${roomCode}`);
       }
+      continueAfterTimeout(io, roomCode, socket.sessionId);
     });
 
     // Daily Double wager submitted
-    socket.on('game:daily-double-wager', ({ roomCode, wager }) => {
-      const playerId = socket.sessionId;
-      console.log(`Daily Double wager ${wager} from ${playerId} in room ${roomCode}`);
-      const result = gameManager.handleDailyDoubleWager(roomCode, playerId, wager);
-      if (result) {
-        io.to(roomCode).emit('game:daily-double-wager-confirmed', result);
-      }
+    socket.on('game:daily-double-wager', ({ roomCode, wager }, callback) => {
+      console.log(`Daily Double wager ${wager} from ${socket.sessionId} in room ${roomCode}`);
+      const result = placeDailyDoubleWager(io, roomCode, socket.sessionId, wager);
+      if (callback) callback(result);
     });
 
-    // Daily Double answer submitted
-    socket.on('game:daily-double-answer', ({ roomCode, correct }) => {
-      const playerId = socket.sessionId;
-      console.log(`Daily Double answer (correct: ${correct}) from ${playerId} in room ${roomCode}`);
-      const result = gameManager.handleDailyDoubleAnswer(roomCode, playerId, correct);
-      if (result) {
-        io.to(roomCode).emit('game:daily-double-result', result);
+    // Daily Double player reveals the correct response to judge themselves
+    socket.on('game:daily-double-reveal', ({ roomCode }, callback) => {
+      const result = gameManager.revealDailyDoubleResponse(roomCode, socket.sessionId);
+      if (callback) {
+        callback(result ? { success: true, ...result } : { success: false, error: 'Cannot reveal response' });
       }
     });
 
-    // Round 1 ended - transition to Double Jeopardy
-    socket.on('game:round-end', ({ roomCode, round }) => {
-      console.log(`Round ${round} ended for room ${roomCode}`);
-      io.to(roomCode).emit('game:round-ended', { round });
+    // Daily Double answer submitted
+    socket.on('game:daily-double-answer', ({ roomCode, correct }) => {
+      console.log(`Daily Double answer (correct: ${correct}) from ${socket.sessionId} in room ${roomCode}`);
+      answerDailyDouble(io, roomCode, socket.sessionId, correct);
     });
 
-    // Start Round 2 (Double Jeopardy)
-    socket.on('game:start-round-2', ({ roomCode, questions, categories, firstPickerId }) => {
-      console.log(`Starting Round 2 for room ${roomCode}`);
-      gameManager.startRound2(roomCode, questions, categories, firstPickerId);
-      io.to(roomCode).emit('game:round-2-started', { questions, categories, firstPickerId });
+    // Board cleared - the server decides what comes next
+    socket.on('game:round-end', async ({ roomCode }, callback) => {
+      const result = gameManager.endRound(roomCode, socket.sessionId);
+      if (callback) callback(result.success ? { success: true, nextPhase: result.nextPhase } : result);
+      if (!result.success) return;
+
+      console.log(`Round ${result.round} ended for room ${roomCode}, next: ${result.nextPhase}`);
+      if (result.nextPhase === 'round2') {
+        io.to(roomCode).emit('game:round-ended', { round: result.round });
+      } else if (result.nextPhase === 'finalJeopardy') {
+        await beginFinalJeopardy(io, roomCode);
+      } else if (gameManager.endGame(roomCode, socket.sessionId).success) {
+        persistFinishedGame(roomCode);
+        io.to(roomCode).emit('game:ended');
+      }
     });
 
-    // Start Final Jeopardy
-    socket.on('game:start-final-jeopardy', async ({ roomCode }) => {
-      console.log(`Starting Final Jeopardy for room ${roomCode}`);
-      const fjData = gameManager.startFinalJeopardy(roomCode);
-      if (fjData) {
-        io.to(roomCode).emit('game:final-jeopardy-started', fjData);
+    // Start Round 2 (Double Jeopardy) with the host's new board
+    socket.on('game:start-round-2', ({ roomCode, questions, categories }, callback) => {
+      const result = gameManager.startRound2(roomCode, questions, categories, socket.sessionId);
+      if (!result.success) {
+        if (callback) callback(result);
+        return;
       }
+
+      console.log(`Starting Round 2 for room ${roomCode}, first picker: ${result.firstPickerId}`);
+      emitToEachPlayer(io, roomCode, 'game:round-2-started', (playerId, room) => ({
+        questions: gameManager.getBoardView(room, playerId),
+        categories,
+        firstPickerId: result.firstPickerId,
+      }));
+      if (callback) callback({ success: true });
     });
 
     // Final Jeopardy wager submitted
-    socket.on('game:fj-wager', ({ roomCode, wager }) => {
-      const playerId = socket.sessionId;
-      console.log(`FJ wager ${wager} from ${playerId} in room ${roomCode}`);
-      const allIn = gameManager.submitFJWager(roomCode, playerId, wager);
-      if (allIn) {
-        // All wagers are in, show clue
-        io.to(roomCode).emit('game:fj-show-clue');
-      }
+    socket.on('game:fj-wager', ({ roomCode, wager }, callback) => {
+      console.log(`FJ wager ${wager} from ${socket.sessionId} in room ${roomCode}`);
+      const result = placeFinalJeopardyWager(io, roomCode, socket.sessionId, wager);
+      if (callback) callback(result);
     });
 
     // Final Jeopardy answer submitted
     socket.on('game:fj-answer', ({ roomCode, answer }) => {
-      const playerId = socket.sessionId;
-      console.log(`FJ answer from ${playerId} in room ${roomCode}`);
-      const allIn = gameManager.submitFJAnswer(roomCode, playerId, answer);
-      if (allIn) {
-        // All answers are in, reveal results
-        const results = gameManager.getFJResults(roomCode);
-        io.to(roomCode).emit('game:fj-reveal', { results });
-      }
+      console.log(`FJ answer from ${socket.sessionId} in room ${roomCode}`);
+      answerFinalJeopardy(io, roomCode, socket.sessionId, typeof answer === 'string' ? answer : '');
     });
 
     // Game ends
-    socket.on('game:end', ({ roomCode }) => {
+    socket.on('game:end', ({ roomCode }, callback) => {
+      const result = gameManager.endGame(roomCode, socket.sessionId);
+      if (callback) callback(result);
+      if (!result.success) return;
+
       console.log(`Game ended for room ${roomCode}`);
+      persistFinishedGame(roomCode);
       io.to(roomCode).emit('game:ended');
     });
 
@@ -419,25 +1296,19 @@ export function initializeSocketHandlers(io) {
     });
 
     // Quickplay matchmaking
-    socket.on('quickplay:join-queue', ({ displayName, signature }) => {
-      gameManager.joinMatchmakingQueue(socket, displayName, signature);
-      socket.emit('quickplay:queue-joined');
-
-      // Check if we can make a match
-      const match = gameManager.tryCreateMatch();
-      if (match) {
-        match.players.forEach(player => {
-          io.to(player.socketId).emit('quickplay:match-found', {
-            roomCode: match.roomCode,
-            players: match.players,
-          });
-        });
-      }
+    socket.on('quickplay:join-queue', ({ displayName, signature, genre }) => {
+      gameManager.joinMatchmakingQueue(socket, displayName, signature, genre);
+      socket.emit('quickplay:queue-joined', {
+        botFillMs: QUICKPLAY_BOT_FILL_MS,
+        matchSize: gameManager.quickplayMatchSize,
+      });
+      runMatchmaking(io);
     });
 
     socket.on('quickplay:leave-queue', () => {
       gameManager.leaveMatchmakingQueue(socket);
       socket.emit('quickplay:queue-left');
+      runMatchmaking(io);
     });
 
     // =====================
@@ -445,11 +1316,15 @@ export function initializeSocketHandlers(io) {
     // =====================
 
     // Host sets custom questions
-    socket.on('host:set-custom-questions', ({ roomCode, questions, categories }, callback) => {
-      const result = gameManager.setHostQuestions(roomCode, questions, categories, socket.sessionId);
+    socket.on('host:set-custom-questions', ({ roomCode, questions, categories, finalJeopardy, genre }, callback) => {
+      const result = gameManager.setHostQuestions(roomCode, questions, categories, socket.sessionId, finalJeopardy);
+      if (result?.success && genre) gameManager.setGenre(roomCode, genre);
 
       if (result?.success) {
-        io.to(roomCode).emit('host:questions-set', { questions, categories });
+        emitToEachPlayer(io, roomCode, 'host:questions-set', (playerId, room) => ({
+          questions: gameManager.getBoardView(room, playerId),
+          categories,
+        }));
         if (callback) callback({ success: true });
       } else {
         if (callback) callback({ success: false, error: 'Failed to set questions' });
@@ -458,46 +1333,7 @@ export function initializeSocketHandlers(io) {
 
     // Host-only question selection (for host mode rooms)
     socket.on('game:select-question', ({ roomCode, categoryIndex, pointIndex }) => {
-      const room = gameManager.rooms.get(roomCode);
-
-      // Use host mode selection if applicable
-      let result;
-      if (room?.type === 'host') {
-        result = gameManager.selectQuestionHostMode(socket, roomCode, categoryIndex, pointIndex);
-      } else {
-        result = gameManager.selectQuestion(socket, roomCode, categoryIndex, pointIndex);
-      }
-
-      if (result) {
-        // Clear any suggestions when a question is selected
-        gameManager.clearSuggestions(roomCode);
-        io.to(roomCode).emit('game:question-selected', result);
-
-        // Skip buzz window for Daily Double (only picker answers)
-        if (result.isDailyDouble) {
-          return;
-        }
-
-        // Start buzz collection window
-        gameManager.startBuzzWindow(roomCode);
-
-        // Start server-side buzz timeout
-        const duration = room?.settings?.questionTimeLimit || 30000;
-
-        // Clear any existing timeout
-        gameManager.clearBuzzTimeout(roomCode);
-
-        room.buzzTimeout = setTimeout(() => {
-          // Guard: if a buzz was already received, don't emit timeout
-          const currentRoom = gameManager.rooms.get(roomCode);
-          if (currentRoom?.gameState?.buzzReceived) return;
-
-          const timeoutResult = gameManager.handleBuzzTimeout(roomCode);
-          if (timeoutResult) {
-            io.to(roomCode).emit('game:buzz-timeout-result', timeoutResult);
-          }
-        }, duration);
-      }
+      selectClue(io, socket, roomCode, categoryIndex, pointIndex);
     });
 
     // Non-picker suggests a question
@@ -511,24 +1347,7 @@ export function initializeSocketHandlers(io) {
 
     // Player skips question (I don't know)
     socket.on('game:skip-question', ({ roomCode }) => {
-      const playerId = socket.sessionId;
-      const result = gameManager.playerSkipped(roomCode, playerId);
-      if (result) {
-        io.to(roomCode).emit('game:player-skipped', {
-          playerId,
-          skippedCount: result.skippedCount,
-          totalEligible: result.totalEligible,
-        });
-
-        // If all players either buzzed or skipped, end the question
-        if (result.allSkipped) {
-          gameManager.clearBuzzTimeout(roomCode);
-          const timeoutResult = gameManager.handleBuzzTimeout(roomCode);
-          if (timeoutResult) {
-            io.to(roomCode).emit('game:buzz-timeout-result', timeoutResult);
-          }
-        }
-      }
+      skipClue(io, roomCode, socket.sessionId);
     });
 
     // Player submits typed answer (host mode)
@@ -573,12 +1392,17 @@ export function initializeSocketHandlers(io) {
         if (result.allSelected) {
           // Auto-score MC answers
           const mcResults = gameManager.scoreMCAnswers(roomCode);
-          io.to(roomCode).emit('game:mc-results', { results: mcResults });
+          const room = gameManager.rooms.get(roomCode);
+          io.to(roomCode).emit('game:mc-results', {
+            results: mcResults,
+            correctIndex: gameManager.getCorrectOptionIndex(room?.gameState?.currentQuestion),
+            correctAnswer: room?.gameState?.currentQuestion?.question,
+          });
         }
       }
     });
 
-    // Host judges answer
+    // Host (or co-host or judge) judges an answer
     socket.on('host:judge-answer', ({ roomCode, playerId, correct, points }) => {
       const result = gameManager.hostJudgeAnswer(roomCode, socket.sessionId, playerId, correct, points);
 
@@ -587,6 +1411,16 @@ export function initializeSocketHandlers(io) {
       }
     });
 
+    // Host rules the player with the floor wrong and the next buzzer in line answers
+    socket.on('host:next-in-queue', ({ roomCode }, callback) => {
+      const result = gameManager.passToNextBuzzer(roomCode, socket.sessionId);
+      if (callback) callback(result);
+      if (!result.success) return;
+
+      gameManager.clearAnswerTimeout(roomCode);
+      announceFloorPassed(io, roomCode, result);
+    });
+
     // Host overrides score
     socket.on('host:override-score', ({ roomCode, playerId, newScore, reason }) => {
       const result = gameManager.overridePlayerScore(roomCode, socket.sessionId, playerId, newScore, reason);
@@ -596,6 +1430,44 @@ export function initializeSocketHandlers(io) {
       }
     });
 
+    // Host freezes the game - timers stop and players can't act
+    socket.on('host:pause', ({ roomCode }, callback) => {
+      const result = gameManager.pauseGame(roomCode, socket.sessionId);
+      if (callback) callback(result);
+      if (result.success) {
+        io.to(roomCode).emit('game:paused', result.paused);
+      }
+    });
+
+    socket.on('host:resume', ({ roomCode }, callback) => {
+      const result = gameManager.resumeGame(roomCode, socket.sessionId);
+      if (callback) callback(result.success ? { success: true } : result);
+      if (!result.success) return;
+
+      io.to(roomCode).emit('game:resumed', { pausedMs: result.pausedMs });
+      resumeTimers(io, roomCode, result);
+    });
+
+    // Host (or staff) reverses the last N scoring events
+    socket.on('host:undo-scores', ({ roomCode, count }, callback) => {
+      const result = gameManager.undoScoreEntries(roomCode, socket.sessionId, count);
+
+      if (result.success) {
+        io.to(roomCode).emit('host:scores-undone', {
+          undoneIds: result.undoneIds,
+          scores: result.scores,
+          currentPickerId: result.currentPickerId,
+        });
+      }
+      if (typeof callback === 'function') callback(result);
+    });
+
+    // Anyone in the room can read the score ledger
+    socket.on('game:get-score-ledger', ({ roomCode } = {}, callback) => {
+      if (typeof callback !== 'function') return;
+      callback(gameManager.getScoreLedger(roomCode, socket.sessionId));
+    });
+
     // Host skips question
     socket.on('host:skip-question', ({ roomCode }) => {
       const room = gameManager.rooms.get(roomCode);
@@ -612,30 +1484,92 @@ export function initializeSocketHandlers(io) {
     // Host reveals typed answers
     socket.on('host:reveal-answers', ({ roomCode }) => {
       const room = gameManager.rooms.get(roomCode);
-      if (room?.hostId !== socket.sessionId) return;
+      if (!gameManager.hasPermission(room, socket.sessionId, 'host:reveal-answers')) return;
 
       const answers = gameManager.getTypedAnswers(roomCode);
       io.to(roomCode).emit('host:answers-revealed', { answers });
     });
 
-    // Host kicks player
-    socket.on('host:kick-player', ({ roomCode, playerId }) => {
-      const result = gameManager.kickPlayer(roomCode, socket.sessionId, playerId);
+    // Host kicks player (ban keeps them from coming back)
+    socket.on('host:kick-player', ({ roomCode, playerId, ban }) => {
+      const result = gameManager.kickPlayer(roomCode, socket.sessionId, playerId, { ban: !!ban });
 
       if (result) {
         io.to(roomCode).emit('host:player-kicked', { playerId: result.playerId });
+        if (result.banned) {
+          io.to(roomCode).emit('room:bans-updated', {
+            bans: gameManager.getBansView(gameManager.rooms.get(roomCode)),
+          });
+        }
 
         // Disconnect the kicked player's socket
         if (result.socketId) {
-          io.to(result.socketId).emit('kicked', { reason: 'Removed by host' });
+          io.to(result.socketId).emit('kicked', { reason: result.banned ? 'Banned by host' : 'Removed by host' });
         }
       }
     });
 
+    socket.on('host:unban-player', ({ roomCode, banId }, callback) => {
+      const result = gameManager.unbanPlayer(roomCode, socket.sessionId, banId);
+      if (callback) callback(result);
+      if (result.success) {
+        io.to(roomCode).emit('room:bans-updated', { bans: result.bans });
+      }
+    });
+
+    // Staff let a knocking player in, or turn them away
+    socket.on('host:resolve-join', ({ roomCode, playerId, approve, ban }, callback) => {
+      const result = gameManager.resolveJoinRequest(roomCode, socket.sessionId, playerId, {
+        approve: !!approve,
+        ban: !!ban,
+      });
+      // The request carries the joiner's socket; staff only need the outcome
+      if (callback) callback({ success: result.success, error: result.error });
+      if (!result.request) return;
+
+      emitJoinRequests(io, roomCode);
+      const { request, joined } = result;
+      if (!joined) {
+        if (result.banned) {
+          io.to(roomCode).emit('room:bans-updated', {
+            bans: gameManager.getBansView(gameManager.rooms.get(roomCode)),
+          });
+        }
+        io.to(request.socketId).emit('room:join-rejected', {
+          reason: result.error || 'The host did not let you in',
+        });
+        return;
+      }
+
+      io.to(roomCode).emit('room:player-joined', {
+        playerId: request.id,
+        displayName: request.displayName,
+        signature: request.signature,
+      });
+      io.in(request.socketId).socketsJoin(roomCode);
+      io.to(request.socketId).emit('room:join-approved', { success: true, ...joined });
+    });
+
+    // Host hands the room to another player (in host mode, only the co-host)
+    socket.on('host:transfer-host', ({ roomCode, playerId }, callback) => {
+      const result = gameManager.transferHost(roomCode, socket.sessionId, playerId);
+      if (callback) callback(result);
+      if (result.success) announceHostChange(io, roomCode, result.change);
+    });
+
+    // Host mode: give a player a staff role ('coHost' | 'judge'), or null to take it away
+    socket.on('host:set-role', ({ roomCode, playerId, role }, callback) => {
+      const result = gameManager.setRole(roomCode, socket.sessionId, playerId, role ?? null);
+      if (callback) callback(result);
+      if (result.success) {
+        io.to(roomCode).emit('room:roles-updated', { roles: result.roles });
+      }
+    });
+
     // Host opens buzzer (verbal mode)
     socket.on('host:open-buzzer', ({ roomCode }) => {
       const room = gameManager.rooms.get(roomCode);
-      if (room?.hostId !== socket.sessionId) return;
+      if (!gameManager.hasPermission(room, socket.sessionId, 'host:open-buzzer')) return;
 
       gameManager.startBuzzWindow(roomCode);
       io.to(roomCode).emit('host:buzzer-opened');
@@ -644,7 +1578,7 @@ export function initializeSocketHandlers(io) {
     // Host closes buzzer
     socket.on('host:close-buzzer', ({ roomCode }) => {
       const room = gameManager.rooms.get(roomCode);
-      if (room?.hostId !== socket.sessionId) return;
+      if (!gameManager.hasPermission(room, socket.sessionId, 'host:close-buzzer')) return;
 
       gameManager.clearBuzzTimeout(roomCode);
       if (room.gameState) {
@@ -656,7 +1590,7 @@ export function initializeSocketHandlers(io) {
     // Host opens answer window (typed/MC mode)
     socket.on('host:open-answer-window', ({ roomCode }) => {
       const room = gameManager.rooms.get(roomCode);
-      if (room?.hostId !== socket.sessionId) return;
+      if (!gameManager.hasPermission(room, socket.sessionId, 'host:open-answer-window')) return;
 
       gameManager.openHostAnswerWindow(roomCode);
       io.to(roomCode).emit('host:answer-window-opened', {
@@ -667,7 +1601,7 @@ export function initializeSocketHandlers(io) {
     // Host closes answer window
     socket.on('host:close-answer-window', ({ roomCode }) => {
       const room = gameManager.rooms.get(roomCode);
-      if (room?.hostId !== socket.sessionId) return;
+      if (!gameManager.hasPermission(room, socket.sessionId, 'host:close-answer-window')) return;
 
       gameManager.closeHostAnswerWindow(roomCode);
       io.to(roomCode).emit('host:answer-window-closed');
@@ -677,6 +1611,14 @@ export function initializeSocketHandlers(io) {
     socket.on('disconnect', (reason) => {
       console.log(`Socket disconnected: ${socket.id}, Reason: ${reason}`);
       gameManager.handleDisconnect(socket);
+      gameManager.withdrawJoinRequests(socket.sessionId).forEach(code => emitJoinRequests(io, code));
+      scheduleLobbyBroadcast(io);
+
+      const roomCode = gameManager.sessionRooms.get(socket.sessionId);
+      const room = roomCode && gameManager.rooms.get(roomCode);
+      if (room && gameManager.isHostAway(room) && room.hostId === socket.sessionId) {
+        scheduleHostMigration(io, roomCode);
+      }
     });
   });
 
@@ -684,16 +1626,10 @@ export function initializeSocketHandlers(io) {
   setInterval(() => {
     // Clean up stale rooms
     gameManager.cleanupStaleRooms();
+    scheduleLobbyBroadcast(io);
 
-    // Update matchmaking queue
-    const match = gameManager.tryCreateMatch();
-    if (match) {
-      match.players.forEach(player => {
-        io.to(player.socketId).emit('quickplay:match-found', {
-          roomCode: match.roomCode,
-          players: match.players,
-        });
-      });
-    }
+    // Update matchmaking queue (rating bands widen, bots fill in for anyone
+    // who has waited too long)
+    runMatchmaking(io);
   }, 5000);
 }
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameStateManager } from '../socket/GameStateManager.js';
+
+const gm = new GameStateManager();
+const isCorrect = (response, answer) => gm.gradeResponse(response, answer).isCorrect;
+
+test('exact answers count with or without the question phrasing', () => {
+  assert.equal(isCorrect('What is Mars?', 'What is Mars?'), true);
+  assert.equal(isCorrect('mars', 'What is Mars?'), true);
+  assert.equal(isCorrect('Who is George Washington', 'George Washington'), true);
+});
+
+test('single letters and word fragments do not count', () => {
+  for (const response of ['a', 's', 'm', 'r', 'ma', 'mar']) {
+    assert.equal(isCorrect(response, 'What is Mars?'), false, response);
+  }
+  assert.equal(isCorrect('atl', 'What is the Atlantic Ocean?'), false);
+  assert.equal(isCorrect('lant', 'What is the Atlantic Ocean?'), false);
+});
+
+test('one word of a longer answer does not count', () => {
+  assert.equal(isCorrect('ocean', 'What is the Atlantic Ocean?'), false);
+  assert.equal(isCorrect('the', 'What is the Atlantic Ocean?'), false);
+  assert.equal(isCorrect('Washington', 'George Washington Carver'), false);
+});
+
+test('whole-word partial answers count when they cover most of the answer', () => {
+  assert.equal(isCorrect('Atlantic Ocean', 'What is the Atlantic Ocean?'), true);
+  assert.equal(isCorrect('George Washington', 'George Washington Carver'), true);
+  assert.equal(isCorrect('the planet Mars', 'Mars'), true);
+});
+
+test('small typos still count', () => {
+  assert.equal(isCorrect('Missisippi', 'Mississippi'), true);
+  assert.equal(isCorrect('Venus', 'Mars'), false);
+});
+
+test('blank responses never count', () => {
+  assert.equal(isCorrect('', 'Mars'), false);
+  assert.equal(isCorrect('   ', 'Mars'), false);
+  assert.equal(isCorrect(null, 'Mars'), false);
+});
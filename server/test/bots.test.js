@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_BOT_SKILL,
+  isBotSkill,
+  getBotProfile,
+  pickBotName,
+  sampleBuzzDelay,
+  getClueAccuracy,
+  chooseClue,
+  chooseDailyDoubleWager,
+  chooseFinalJeopardyWager,
+} from '../shared/bots.js';
+
+test('unknown skills fall back to the default profile', () => {
+  assert.equal(isBotSkill('hard'), true);
+  assert.equal(isBotSkill('toString'), false);
+  assert.equal(getBotProfile('nonsense'), getBotProfile(DEFAULT_BOT_SKILL));
+});
+
+test('pickBotName skips taken names and numbers them once the list runs out', () => {
+  assert.equal(pickBotName([]), 'Ada');
+  assert.equal(pickBotName(['Ada', 'Babbage']), 'Turing');
+
+  const allNames = ['Ada', 'Babbage', 'Turing', 'Hopper', 'Lovelace', 'Watson', 'Deep Blue', 'Hal', 'Marvin', 'Robby'];
+  assert.equal(pickBotName(allNames), 'Ada 2');
+});
+
+test('buzz delays never beat the profile minimum', () => {
+  const profile = getBotProfile('hard');
+  for (let i = 0; i < 200; i++) {
+    assert.ok(sampleBuzzDelay(profile) >= profile.buzz.minMs);
+  }
+});
+
+test('clue accuracy uses category keywords, drops down the board and stays bounded', () => {
+  const profile = getBotProfile('hard');
+  assert.equal(getClueAccuracy(profile, 'World History', 0), profile.accuracy.categories.history);
+  assert.ok(getClueAccuracy(profile, 'Potpourri', 4) < getClueAccuracy(profile, 'Potpourri', 0));
+  assert.equal(getClueAccuracy(getBotProfile('easy'), 'Potpourri', 20), 0.05);
+});
+
+test('chooseClue takes the top unrevealed clue of a column', () => {
+  const board = [
+    [{ category: 'A', revealed: true }, { category: 'A', revealed: true }],
+    [{ category: 'B', revealed: true }, { category: 'B', revealed: false }],
+  ];
+  assert.deepEqual(chooseClue(getBotProfile('medium'), board), { categoryIndex: 1, pointIndex: 1 });
+  assert.equal(chooseClue(getBotProfile('medium'), [[{ revealed: true }]]), null);
+});
+
+test('Daily Double stake follows the wagering style', () => {
+  const range = { min: 5, max: 2000 };
+  assert.equal(chooseDailyDoubleWager(getBotProfile('easy'), range), 400);
+  assert.equal(chooseDailyDoubleWager(getBotProfile('medium'), range), 1000);
+  assert.equal(chooseDailyDoubleWager(getBotProfile('hard'), range), 2000);
+});
+
+test('Final Jeopardy wagers protect a runaway lead and chase when behind', () => {
+  const medium = getBotProfile('medium');
+  // Leader with more than double: bet only what keeps the lock
+  assert.equal(chooseFinalJeopardyWager(medium, 10000, { min: 0, max: 10000 }, [4000]), 1999);
+  // Leader without a lock: cover the runner-up doubling up
+  assert.equal(chooseFinalJeopardyWager(medium, 6000, { min: 0, max: 6000 }, [4000]), 2001);
+  // Trailing: enough to pass the leader
+  assert.equal(chooseFinalJeopardyWager(medium, 3000, { min: 0, max: 3000 }, [5000]), 2001);
+  assert.equal(chooseFinalJeopardyWager(getBotProfile('hard'), 3000, { min: 0, max: 3000 }, [5000]), 3000);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameStateManager } from '../socket/GameStateManager.js';
+
+const socketFor = (sessionId) => ({ id: `socket-${sessionId}`, sessionId, userId: null });
+
+// A host-mode room with a 400 clue up and the buzzer open
+function setupHostRoom() {
+  const gm = new GameStateManager();
+  const { code } = gm.createRoom('host', socketFor('host'));
+  gm.joinRoom(socketFor('host'), code, 'Host');
+  ['a', 'b', 'c'].forEach(id => gm.joinRoom(socketFor(id), code, id.toUpperCase()));
+
+  const room = gm.rooms.get(code);
+  room.gameState = {
+    currentRound: 1,
+    currentQuestion: { category: 'Science', points: 400, question: 'What is Mars?' },
+  };
+  gm.startBuzzWindow(code);
+  // No unlock time to compensate against, so claimed reaction times stand as-is
+  room.gameState.buzzWindowStartTime = null;
+  return { gm, room, code };
+}
+
+test('buzzes line up by reaction time and the fastest gets the floor', () => {
+  const { gm, room, code } = setupHostRoom();
+  gm.recordBuzz(code, 'b', 300);
+  gm.recordBuzz(code, 'a', 200);
+
+  assert.equal(gm.determineBuzzerWinner(code).playerId, 'a');
+  assert.deepEqual(room.gameState.buzzQueue.map(entry => entry.playerId), ['a', 'b']);
+});
+
+test('a timed-out answer passes the floor, and later buzzes queue behind it', () => {
+  const { gm, room, code } = setupHostRoom();
+  gm.recordBuzz(code, 'a', 200);
+  gm.recordBuzz(code, 'b', 300);
+  gm.determineBuzzerWinner(code);
+
+  // Only the player holding the floor can time out
+  assert.equal(gm.expireFloor(code, 'b'), null);
+
+  const expired = gm.expireFloor(code, 'a');
+  assert.equal(expired.success, true);
+  assert.equal(expired.judged.playerId, 'a');
+  assert.equal(expired.judged.newScore, -400);
+  assert.equal(expired.next.playerId, 'b');
+  assert.equal(room.gameState.buzzedPlayerId, 'b');
+  assert.equal(room.gameState.scoreLedger.at(-1).actorId, null);
+
+  // A fast late buzz doesn't take the floor from b
+  gm.recordBuzz(code, 'c', 50);
+  assert.deepEqual(room.gameState.buzzQueue.map(entry => entry.playerId), ['b', 'c']);
+
+  const passed = gm.passToNextBuzzer(code, 'host');
+  assert.equal(passed.success, true);
+  assert.equal(passed.judged.playerId, 'b');
+  assert.equal(passed.next.playerId, 'c');
+  assert.equal(room.gameState.buzzedPlayerId, 'c');
+});
+
+test('when the last in line times out, the floor is free for the next buzz', () => {
+  const { gm, room, code } = setupHostRoom();
+  gm.recordBuzz(code, 'a', 200);
+  gm.determineBuzzerWinner(code);
+
+  const expired = gm.expireFloor(code, 'a');
+  assert.equal(expired.next, null);
+  assert.equal(room.gameState.buzzedPlayerId, null);
+  assert.deepEqual(room.gameState.buzzQueue, []);
+
+  gm.recordBuzz(code, 'b', 300);
+  assert.equal(gm.determineBuzzerWinner(code).playerId, 'b');
+});
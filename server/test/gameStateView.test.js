@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameStateManager } from '../socket/GameStateManager.js';
+
+const socketFor = (sessionId) => ({ id: `socket-${sessionId}`, sessionId, userId: null });
+
+// A multiplayer game on the board, with a Daily Double hidden and one scored clue
+function setupRoom() {
+  const gm = new GameStateManager();
+  const { code } = gm.createRoom('multiplayer', socketFor('host'));
+  gm.joinRoom(socketFor('host'), code, 'Host');
+  gm.joinRoom(socketFor('alice'), code, 'Alice');
+
+  const room = gm.rooms.get(code);
+  room.gameState = {
+    phase: 'playing',
+    currentRound: 1,
+    currentPickerId: 'alice',
+    categories: ['Science'],
+    questions: [[
+      { category: 'Science', points: 200, answer: 'Red planet', question: 'What is Mars?', revealed: true },
+      { category: 'Science', points: 400, answer: 'H2O', question: 'What is water?', revealed: false },
+    ]],
+    dailyDoubles: [{ categoryIndex: 0, pointIndex: 1 }],
+    currentQuestion: null,
+    buzzLockouts: { alice: Date.now() + 250 },
+    suggestions: [],
+  };
+  gm.overridePlayerScore(code, 'host', 'alice', 200, 'Opening bonus');
+  return { gm, code };
+}
+
+test("a player's view doesn't give away where the Daily Doubles are", () => {
+  const { gm, code } = setupRoom();
+
+  const view = gm.getGameStateView(code, 'alice');
+  assert.equal('dailyDoubles' in view, false);
+  assert.equal(JSON.stringify(view).includes('dailyDouble'), false);
+});
+
+test('the view leaves out the ledger and other server bookkeeping', () => {
+  const { gm, code } = setupRoom();
+
+  const view = gm.getGameStateView(code, 'alice');
+  for (const key of ['scoreLedger', 'buzzLockouts', 'suggestions', 'playedBoards', 'customFinalJeopardy']) {
+    assert.equal(key in view, false, key);
+  }
+});
+
+test('the view keeps what a client needs to redraw the board', () => {
+  const { gm, code } = setupRoom();
+
+  const view = gm.getGameStateView(code, 'alice');
+  assert.equal(view.phase, 'playing');
+  assert.equal(view.currentPickerId, 'alice');
+  assert.deepEqual(view.categories, ['Science']);
+  assert.equal(view.questions[0][0].question, 'What is Mars?');
+  // Unplayed clues show only their value
+  assert.deepEqual(view.questions[0][1], { category: 'Science', points: 400, revealed: false });
+});
@@ -0,0 +1,186 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameStateManager, QUICKPLAY_BOT_FILL_MS } from '../socket/GameStateManager.js';
+import { calculateRatingChanges, getRatingKey } from '../services/ratings.js';
+import { getBotSkillForRating, DEFAULT_BOT_SKILL } from '../shared/bots.js';
+import { normalizeGenrePreference, isSameGenre, areGenresCompatible } from '../shared/quickplayGenres.js';
+
+const NOW = 1_000_000;
+
+// Queue entries are built directly so the tests don't need the ratings table
+function queue(gm, ...players) {
+  gm.matchmakingQueue = players.map(({ id, rating = 1500, genre = null, waited = 0 }) => ({
+    socket: { id: `socket-${id}`, sessionId: id, userId: null },
+    displayName: id,
+    signature: null,
+    genre,
+    rating,
+    joinedAt: NOW - waited,
+  }));
+  return gm.matchmakingQueue;
+}
+
+test('match size is configurable and clamped', () => {
+  assert.equal(new GameStateManager().quickplayMatchSize, 3);
+  assert.equal(new GameStateManager({ quickplayMatchSize: 4 }).quickplayMatchSize, 4);
+  assert.equal(new GameStateManager({ quickplayMatchSize: NaN }).quickplayMatchSize, 3);
+  assert.equal(new GameStateManager({ quickplayMatchSize: 1 }).quickplayMatchSize, 2);
+  assert.equal(new GameStateManager({ quickplayMatchSize: 50 }).quickplayMatchSize, 6);
+});
+
+test('the rating band widens with time waited', () => {
+  const gm = new GameStateManager();
+  const [fresh, veteran] = queue(gm, { id: 'a', rating: 1500 }, { id: 'b', rating: 1700 });
+
+  assert.equal(gm.canMatch(fresh, veteran, NOW), false);
+  // Both sides have to have widened far enough
+  veteran.joinedAt = NOW - 10000;
+  assert.equal(gm.canMatch(fresh, veteran, NOW), false);
+  fresh.joinedAt = NOW - 10000;
+  assert.equal(gm.canMatch(fresh, veteran, NOW), true);
+});
+
+test('findMatchGroup picks the closest ratings that fit everyone', () => {
+  const gm = new GameStateManager();
+  const [anchor] = queue(gm,
+    { id: 'anchor', rating: 1500 },
+    { id: 'far', rating: 1650 },
+    { id: 'near', rating: 1540 },
+    { id: 'nearest', rating: 1480 },
+  );
+
+  const group = gm.findMatchGroup(anchor, NOW);
+  assert.deepEqual(group.map(entry => entry.displayName), ['anchor', 'nearest', 'near']);
+});
+
+test('tryCreateMatch waits for a full group, then seats everyone in a new room', () => {
+  const gm = new GameStateManager();
+  queue(gm, { id: 'a' }, { id: 'b' });
+  assert.equal(gm.tryCreateMatch(NOW), null);
+
+  queue(gm, { id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'other', rating: 2400 });
+  const match = gm.tryCreateMatch(NOW);
+  assert.deepEqual(match.players.map(p => p.playerId), ['a', 'b', 'c']);
+  assert.equal(match.hostId, 'a');
+  assert.deepEqual(gm.matchmakingQueue.map(entry => entry.displayName), ['other']);
+
+  const room = gm.rooms.get(match.roomCode);
+  assert.equal(room.type, 'quickplay');
+  assert.equal(room.settings.maxPlayers, 3);
+  // Built like any other room, so leaving works
+  assert.ok(room.roles instanceof Map && room.bans instanceof Map);
+});
+
+test('after the bot fill wait, bots sized to the players take the empty seats', () => {
+  const gm = new GameStateManager();
+  queue(gm, { id: 'expert', rating: 1800, waited: QUICKPLAY_BOT_FILL_MS });
+
+  const match = gm.tryCreateMatch(NOW);
+  assert.equal(match.players.length, 3);
+  assert.deepEqual(match.players.map(p => p.isBot), [false, true, true]);
+
+  const room = gm.rooms.get(match.roomCode);
+  const bots = Array.from(room.players.values()).filter(p => p.isBot);
+  assert.ok(bots.every(bot => bot.botSkill === 'hard'));
+});
+
+test('queue status reports position and a wait estimate in seconds', () => {
+  const gm = new GameStateManager();
+  queue(gm, { id: 'a', waited: 5000 }, { id: 'b', rating: 1610 });
+
+  const [first, second] = gm.getQueueStatuses(NOW).map(({ status }) => status);
+  assert.equal(first.position, 1);
+  assert.equal(second.position, 2);
+  assert.equal(first.queueSize, 2);
+  assert.equal(first.estimatedWait, (QUICKPLAY_BOT_FILL_MS - 5000) / 1000);
+  assert.equal(second.rating, 1610);
+
+  // Once matches are happening, recent waits drive the estimate
+  gm.recentQueueWaits = [8000, 12000];
+  assert.equal(gm.getQueueStatuses(NOW)[0].status.estimatedWait, 5);
+});
+
+test('ratings move by head-to-head results and are keyed per account or session', () => {
+  const changes = calculateRatingChanges([
+    { key: 'a', rating: 1500, score: 3000 },
+    { key: 'b', rating: 1500, score: 1000 },
+    { key: 'c', rating: 1500, score: 1000 },
+  ]);
+  assert.deepEqual(changes.map(c => c.delta), [16, -8, -8]);
+
+  // Beating a stronger player is worth more
+  const [upset] = calculateRatingChanges([
+    { key: 'low', rating: 1300, score: 2000 },
+    { key: 'high', rating: 1700, score: 0 },
+  ]);
+  assert.ok(upset.delta > 16);
+
+  assert.equal(getRatingKey({ userId: 'u1', sessionId: 's1' }), 'user:u1');
+  assert.equal(getRatingKey({ userId: null, sessionId: 's1' }), 'session:s1');
+});
+
+test('bot skill follows the table rating', () => {
+  assert.equal(getBotSkillForRating(1200), 'easy');
+  assert.equal(getBotSkillForRating(1500), DEFAULT_BOT_SKILL);
+  assert.equal(getBotSkillForRating(1700), 'hard');
+});
+
+test('genre preferences are trimmed, and blank means anything', () => {
+  assert.equal(normalizeGenrePreference('  Science '), 'Science');
+  assert.equal(normalizeGenrePreference('   '), null);
+  assert.equal(normalizeGenrePreference(42), null);
+  assert.equal(normalizeGenrePreference('x'.repeat(80)).length, 50);
+});
+
+test('genres match ignoring case, and anything matches everything', () => {
+  assert.equal(isSameGenre('science', 'Science'), true);
+  assert.equal(isSameGenre(null, null), true);
+  assert.equal(areGenresCompatible('Science', null), true);
+  assert.equal(areGenresCompatible('Science', 'History'), false);
+});
+
+test('different genres only match once both players have waited a while', () => {
+  const gm = new GameStateManager();
+  const [science, history] = queue(gm, { id: 'a', genre: 'Science' }, { id: 'b', genre: 'History' });
+
+  assert.equal(gm.canMatch(science, history, NOW), false);
+  science.joinedAt = NOW - 10000;
+  history.joinedAt = NOW - 10000;
+  assert.equal(gm.canMatch(science, history, NOW), true);
+});
+
+test('players who asked for the same genre are grouped before anything-goes players', () => {
+  const gm = new GameStateManager();
+  const [anchor] = queue(gm,
+    { id: 'anchor', genre: 'Science' },
+    { id: 'anything' },
+    { id: 'history', genre: 'History' },
+    { id: 'science', genre: 'science' },
+  );
+
+  const group = gm.findMatchGroup(anchor, NOW);
+  assert.deepEqual(group.map(entry => entry.displayName), ['anchor', 'science', 'anything']);
+});
+
+test('a match opens on setup with the genre already chosen', () => {
+  const gm = new GameStateManager();
+  queue(gm, { id: 'a' }, { id: 'b', genre: 'Movies' }, { id: 'c', genre: 'movies' });
+
+  const match = gm.tryCreateMatch(NOW);
+  assert.equal(match.genre, 'Movies');
+
+  const room = gm.rooms.get(match.roomCode);
+  assert.equal(room.gamePhase, 'setup');
+  assert.equal(room.gameState.genre, 'Movies');
+  assert.equal(room.hostId, 'a');
+  assert.equal(room.players.get('a').isHost, true);
+});
+
+test('an all-anything match leaves the genre to the host', () => {
+  const gm = new GameStateManager();
+  queue(gm, { id: 'a' }, { id: 'b' }, { id: 'c' });
+
+  const match = gm.tryCreateMatch(NOW);
+  assert.equal(match.genre, null);
+  assert.equal(gm.rooms.get(match.roomCode).gamePhase, 'setup');
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import {
+  hashRoomPassword,
+  createInviteToken,
+  isProtected,
+  getAccessDenial,
+} from '../services/roomAccess.js';
+
+const LOGIN_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const INVITE_SECRET = `${LOGIN_SECRET}:room-invite`;
+const open = { passwordHash: null, inviteOnly: false };
+
+test('open rooms let anyone in', () => {
+  assert.equal(isProtected(open), false);
+  assert.equal(isProtected(undefined), false);
+  assert.equal(getAccessDenial('ABCD', open), null);
+});
+
+test('password rooms need the right password', async () => {
+  const access = { passwordHash: await hashRoomPassword('hunter2'), inviteOnly: false };
+  assert.equal(isProtected(access), true);
+
+  assert.equal(getAccessDenial('ABCD', access, { password: 'hunter2' }), null);
+  assert.deepEqual(getAccessDenial('ABCD', access), {
+    code: 'PASSWORD_REQUIRED', reason: 'This room needs a password', requiresPassword: true,
+  });
+  assert.equal(getAccessDenial('ABCD', access, { password: 'wrong' }).code, 'PASSWORD_INVALID');
+});
+
+test('invite-only rooms need an invite for that room', () => {
+  const access = { passwordHash: null, inviteOnly: true };
+  const { token } = createInviteToken('ABCD', 60);
+
+  assert.equal(getAccessDenial('ABCD', access, { invite: token }), null);
+  assert.equal(getAccessDenial('WXYZ', access, { invite: token }).code, 'INVITE_REQUIRED');
+  assert.equal(getAccessDenial('ABCD', access, { invite: 'garbage' }).code, 'INVITE_REQUIRED');
+  assert.equal(getAccessDenial('ABCD', access).requiresPassword, false);
+});
+
+test('an invite gets past a password, and a password gets into an invite-only room that has one', async () => {
+  const access = { passwordHash: await hashRoomPassword('hunter2'), inviteOnly: true };
+  const { token } = createInviteToken('ABCD');
+
+  assert.equal(getAccessDenial('ABCD', access, { invite: token }), null);
+  assert.equal(getAccessDenial('ABCD', access, { password: 'hunter2' }), null);
+});
+
+test('expired invites are reported as expired', () => {
+  const access = { passwordHash: null, inviteOnly: true };
+  const expired = jwt.sign({ roomCode: 'ABCD', exp: Math.floor(Date.now() / 1000) - 60 }, INVITE_SECRET);
+  assert.equal(getAccessDenial('ABCD', access, { invite: expired }).code, 'INVITE_EXPIRED');
+});
+
+test('invite lifetimes are capped at a week', () => {
+  const now = Date.now();
+  const { expiresAt } = createInviteToken('ABCD', 60 * 24 * 365);
+  assert.ok(expiresAt <= now + 7 * 24 * 60 * 60 * 1000 + 1000);
+  assert.ok(expiresAt >= now + 7 * 24 * 60 * 60 * 1000 - 1000);
+});
+
+test('login tokens are not accepted as invites', () => {
+  const access = { passwordHash: null, inviteOnly: true };
+  const loginToken = jwt.sign({ roomCode: 'ABCD' }, LOGIN_SECRET);
+  assert.equal(getAccessDenial('ABCD', access, { invite: loginToken }).code, 'INVITE_REQUIRED');
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameStateManager } from '../socket/GameStateManager.js';
+
+const socketFor = (sessionId) => ({ id: `socket-${sessionId}`, sessionId, userId: null });
+
+// A multiplayer room mid-round: 'host' has the board and 'alice' has buzzed in
+function setupRoom() {
+  const gm = new GameStateManager();
+  const { code } = gm.createRoom('multiplayer', socketFor('host'));
+  gm.joinRoom(socketFor('host'), code, 'Host');
+  gm.joinRoom(socketFor('alice'), code, 'Alice');
+
+  const room = gm.rooms.get(code);
+  room.gameState = {
+    phase: 'questionActive',
+    currentRound: 1,
+    currentPickerId: 'host',
+    questions: [[{ points: 200 }, { points: 400 }, { points: 1000 }]],
+    currentQuestion: { category: 'Science', points: 400, question: 'What is oxygen?' },
+    buzzedPlayerId: 'alice',
+    playersWhoBuzzed: new Set(['alice']),
+  };
+  return { gm, room, code };
+}
+
+// Put the next clue up as a Daily Double found by the current picker
+function startDailyDouble(room) {
+  Object.assign(room.gameState, {
+    phase: 'dailyDouble',
+    isDailyDouble: true,
+    currentQuestion: { category: 'History', points: 1000, question: 'Who is Lincoln?' },
+  });
+}
+
+test('a graded answer is scored and recorded in the ledger', () => {
+  const { gm, room, code } = setupRoom();
+
+  const result = gm.handleAnswer(code, 'alice', 'oxygen');
+
+  assert.equal(result.correct, true);
+  assert.equal(result.newScore, 400);
+  assert.equal(room.players.get('alice').score, 400);
+  assert.equal(room.gameState.currentPickerId, 'alice');
+
+  const [entry] = room.gameState.scoreLedger;
+  assert.equal(entry.type, 'answer');
+  assert.equal(entry.playerId, 'alice');
+  assert.equal(entry.delta, 400);
+  assert.equal(entry.correct, true);
+  assert.deepEqual(entry.clue, { category: 'Science', points: 400 });
+});
+
+test('a wrong answer takes points off, and players who did not buzz are ignored', () => {
+  const { gm, room, code } = setupRoom();
+
+  assert.equal(gm.handleAnswer(code, 'host', 'oxygen'), null);
+
+  const result = gm.handleAnswer(code, 'alice', 'nitrogen');
+  assert.equal(result.correct, false);
+  assert.equal(result.newScore, -400);
+  assert.equal(room.players.get('alice').score, -400);
+  assert.equal(room.gameState.scoreLedger.length, 1);
+});
+
+test('undoing a correct answer restores the score and gives the board back', () => {
+  const { gm, room, code } = setupRoom();
+  gm.handleAnswer(code, 'alice', 'oxygen');
+
+  const result = gm.undoScoreEntries(code, 'host', 1);
+  assert.equal(result.success, true);
+  assert.equal(room.players.get('alice').score, 0);
+  assert.equal(room.players.get('alice').correctAnswers || 0, 0);
+  assert.equal(room.gameState.currentPickerId, 'host');
+  assert.equal(result.currentPickerId, 'host');
+});
+
+test('undo reverses the newest entries and keeps them in the ledger, marked', () => {
+  const { gm, room, code } = setupRoom();
+  gm.handleAnswer(code, 'alice', 'oxygen');
+  gm.overridePlayerScore(code, 'host', 'alice', 1000, 'Typo');
+  assert.equal(room.players.get('alice').score, 1000);
+
+  const result = gm.undoScoreEntries(code, 'host', 1);
+  assert.equal(result.success, true);
+  assert.equal(room.players.get('alice').score, 400);
+  assert.deepEqual(result.scores.players.find(p => p.playerId === 'alice'), { playerId: 'alice', score: 400 });
+  // The override didn't move the board, so alice keeps it
+  assert.equal(room.gameState.currentPickerId, 'alice');
+
+  const ledger = room.gameState.scoreLedger;
+  assert.equal(ledger.length, 2);
+  assert.deepEqual(result.undoneIds, [ledger[1].id]);
+  assert.equal(ledger[1].undone, true);
+  assert.equal(ledger[1].undoneBy, 'host');
+
+  // Already undone entries are skipped on the next undo
+  gm.undoScoreEntries(code, 'host', 1);
+  assert.equal(room.players.get('alice').score, 0);
+  assert.equal(room.gameState.currentPickerId, 'host');
+  assert.deepEqual(gm.undoScoreEntries(code, 'host', 1), { success: false, error: 'Nothing to undo' });
+});
+
+test('a Daily Double wager is recorded and undone with the answer that won the board', () => {
+  const { gm, room, code } = setupRoom();
+  gm.handleAnswer(code, 'alice', 'oxygen');
+  startDailyDouble(room);
+
+  assert.equal(gm.handleDailyDoubleWager(code, 'alice', 1000).success, true);
+  const result = gm.handleDailyDoubleAnswer(code, 'alice', true);
+  assert.equal(result.newScore, 1400);
+
+  const entry = room.gameState.scoreLedger.at(-1);
+  assert.equal(entry.type, 'dailyDouble');
+  assert.equal(entry.delta, 1000);
+  assert.deepEqual(entry.clue, { category: 'History', points: 1000 });
+
+  gm.undoScoreEntries(code, 'host', 1);
+  assert.equal(room.players.get('alice').score, 400);
+  assert.equal(room.gameState.currentPickerId, 'alice');
+
+  gm.undoScoreEntries(code, 'host', 1);
+  assert.equal(room.players.get('alice').score, 0);
+  assert.equal(room.gameState.currentPickerId, 'host');
+});
+
+test('host judgments record who judged and can be undone', () => {
+  const gm = new GameStateManager();
+  const { code } = gm.createRoom('host', socketFor('host'));
+  gm.joinRoom(socketFor('host'), code, 'Host');
+  gm.joinRoom(socketFor('alice'), code, 'Alice');
+  const room = gm.rooms.get(code);
+  room.gameState = {
+    currentRound: 1,
+    currentPickerId: 'host',
+    currentQuestion: { category: 'Science', points: 600, question: 'What is neon?' },
+    buzzedPlayerId: 'alice',
+  };
+
+  assert.equal(gm.hostJudgeAnswer(code, 'alice', 'alice', true, 600), null);
+  const result = gm.hostJudgeAnswer(code, 'host', 'alice', false, 600);
+  assert.equal(result.newScore, -600);
+
+  const entry = room.gameState.scoreLedger.at(-1);
+  assert.equal(entry.type, 'judgment');
+  assert.equal(entry.actorId, 'host');
+  assert.equal(entry.correct, false);
+
+  gm.undoScoreEntries(code, 'host', 1);
+  assert.equal(room.players.get('alice').score, 0);
+  assert.equal(room.players.get('alice').incorrectAnswers || 0, 0);
+  assert.equal(room.gameState.currentPickerId, 'host');
+});
+
+test('only staff can undo, and the count must be a positive number', () => {
+  const { gm, code } = setupRoom();
+  gm.handleAnswer(code, 'alice', 'oxygen');
+
+  assert.equal(gm.undoScoreEntries(code, 'alice', 1).success, false);
+  assert.equal(gm.undoScoreEntries(code, 'host', 0).error, 'Invalid number of entries');
+  assert.equal(gm.undoScoreEntries(code, 'host', 'lots').error, 'Invalid number of entries');
+});
+
+test('the ledger is readable by room members with names instead of actor ids', () => {
+  const { gm, code } = setupRoom();
+  gm.handleAnswer(code, 'alice', 'oxygen');
+  gm.undoScoreEntries(code, 'host', 1);
+
+  const { success, ledger } = gm.getScoreLedger(code, 'alice');
+  assert.equal(success, true);
+  assert.equal(ledger[0].undoneByName, 'Host');
+  assert.equal('undoneBy' in ledger[0], false);
+  assert.equal(gm.getScoreLedger(code, 'stranger').success, false);
+});
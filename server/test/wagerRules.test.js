@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MIN_DAILY_DOUBLE_WAGER,
+  getTopClueValue,
+  getDailyDoubleWagerRange,
+  getFinalJeopardyWagerRange,
+  validateWager,
+  clampWager,
+} from '../shared/wagerRules.js';
+
+test('getTopClueValue finds the highest clue on the board', () => {
+  const board = [[{ points: 200 }, { points: 1000 }], [{ points: 400 }, null]];
+  assert.equal(getTopClueValue(board), 1000);
+  assert.equal(getTopClueValue([]), 0);
+  assert.equal(getTopClueValue(undefined), 0);
+});
+
+test('Daily Double range goes up to the larger of score and top clue value', () => {
+  assert.deepEqual(getDailyDoubleWagerRange(3000, 1000), { min: MIN_DAILY_DOUBLE_WAGER, max: 3000 });
+  assert.deepEqual(getDailyDoubleWagerRange(200, 1000), { min: MIN_DAILY_DOUBLE_WAGER, max: 1000 });
+  // A negative score can still wager up to the top clue
+  assert.deepEqual(getDailyDoubleWagerRange(-800, 2000), { min: MIN_DAILY_DOUBLE_WAGER, max: 2000 });
+  assert.deepEqual(getDailyDoubleWagerRange(0, 0), { min: MIN_DAILY_DOUBLE_WAGER, max: MIN_DAILY_DOUBLE_WAGER });
+});
+
+test('Final Jeopardy range is zero up to the current score', () => {
+  assert.deepEqual(getFinalJeopardyWagerRange(5000), { min: 0, max: 5000 });
+  assert.deepEqual(getFinalJeopardyWagerRange(-400), { min: 0, max: 0 });
+});
+
+test('validateWager accepts whole amounts inside the range only', () => {
+  const range = { min: 5, max: 1000 };
+  assert.equal(validateWager(5, range), null);
+  assert.equal(validateWager(1000, range), null);
+  assert.match(validateWager(1001, range), /between \$5 and \$1,000/);
+  assert.match(validateWager(4, range), /between/);
+  assert.match(validateWager(10.5, range), /whole dollar/);
+  assert.match(validateWager('100', range), /whole dollar/);
+});
+
+test('clampWager floors and keeps the wager inside the range', () => {
+  const range = { min: 5, max: 1000 };
+  assert.equal(clampWager(2500, range), 1000);
+  assert.equal(clampWager(1, range), 5);
+  assert.equal(clampWager(99.9, range), 99);
+  assert.equal(clampWager(NaN, range), 5);
+});
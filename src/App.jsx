@@ -12,6 +12,7 @@ const QuickplayPage = lazy(() => import('./pages/QuickplayPage'));
 const MultiplayerPage = lazy(() => import('./pages/MultiplayerPage'));
 const HostPage = lazy(() => import('./pages/HostPage'));
 const JoinPage = lazy(() => import('./pages/JoinPage'));
+const LobbiesPage = lazy(() => import('./pages/LobbiesPage'));
 const GamePage = lazy(() => import('./pages/GamePage'));
 const HighscoresPage = lazy(() => import('./pages/HighscoresPage'));
 const DailyPage = lazy(() => import('./pages/DailyPage'));
@@ -35,6 +36,7 @@ const router = createBrowserRouter([
   { path: '/host', element: <HostPage /> },
   { path: '/join', element: <JoinPage /> },
   { path: '/join/:roomCode', element: <JoinPage /> },
+  { path: '/lobbies', element: <LobbiesPage /> },
   { path: '/game/:roomCode', element: <GamePage /> },
   { path: '/highscores', element: <HighscoresPage /> },
 ]);
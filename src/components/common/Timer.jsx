@@ -5,8 +5,10 @@ import './Timer.css';
 
 export default function Timer({
   duration = null, // Override duration (ms), null = use settings
+  deadline = null, // Local timestamp the countdown ends at (server-driven timers)
   onTimeUp,
   autoStart = true,
+  paused = false, // Frozen from outside, e.g. while the host has the game paused
   showLabel = true,
   size = 'medium', // 'small' | 'medium' | 'large'
 }) {
@@ -14,7 +16,8 @@ export default function Timer({
   const { setTimeRemaining, setTimerActive } = useGameStore();
 
   const effectiveDuration = duration ?? questionTimeLimit;
-  const [timeLeft, setTimeLeft] = useState(effectiveDuration);
+  const getDeadlineTimeLeft = useCallback(() => Math.max(0, deadline - Date.now()), [deadline]);
+  const [timeLeft, setTimeLeft] = useState(deadline ? getDeadlineTimeLeft() : effectiveDuration);
   const [isRunning, setIsRunning] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
 
@@ -36,11 +39,12 @@ export default function Timer({
   // Timer countdown logic
   useEffect(() => {
     if (effectiveDuration === null) return;
-    if (!isRunning || isPaused) return;
+    if (!isRunning || isPaused || paused) return;
 
     const interval = setInterval(() => {
       setTimeLeft((prev) => {
-        const newTime = prev - 100;
+        // A deadline is the source of truth; otherwise count down locally
+        const newTime = deadline ? getDeadlineTimeLeft() : prev - 100;
         setTimeRemaining(newTime);
 
         if (newTime <= 0) {
@@ -57,7 +61,7 @@ export default function Timer({
     }, 100);
 
     return () => clearInterval(interval);
-  }, [effectiveDuration, isRunning, isPaused, onTimeUp, setTimeRemaining, setTimerActive]);
+  }, [effectiveDuration, deadline, getDeadlineTimeLeft, isRunning, isPaused, paused, onTimeUp, setTimeRemaining, setTimerActive]);
 
   // No timer if unlimited
   if (effectiveDuration === null) {
@@ -65,7 +69,7 @@ export default function Timer({
   }
 
   const secondsLeft = Math.ceil(timeLeft / 1000);
-  const progress = timeLeft / effectiveDuration;
+  const progress = Math.min(1, timeLeft / effectiveDuration);
   const isLow = secondsLeft <= 5;
   const isCritical = secondsLeft <= 3;
 
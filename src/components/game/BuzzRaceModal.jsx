@@ -0,0 +1,288 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Timer from '../common/Timer';
+import { getBotProfile, rollRecall, sampleBuzzDelay } from '../../services/bots';
+import { PLAYER_ID } from '../../stores/gameStore';
+import './QuestionModal.css';
+import './BuzzRaceModal.css';
+
+// Opponents give the clue a moment before they start buzzing
+const OPPONENT_READING_MS = 1500;
+// How long an opponent takes to respond (or to give up on a clue)
+const OPPONENT_THINK_MS = 1800;
+
+// A clue played against simulated opponents: everyone races to buzz in, the
+// winner responds, and a miss reopens the race for whoever is left
+export default function BuzzRaceModal({
+  question,
+  opponents,
+  timeLimit = null,
+  dailyDouble = null, // { opponentId, wager } when an opponent found the Daily Double
+  onPlayerResult,
+  onOpponentResult,
+  onClose,
+}) {
+  // Seats are fixed for the clue; scores changing mid-clue shouldn't restart the race
+  const [contestants] = useState(opponents);
+  // Whether each opponent knows this clue, rolled once
+  const [recall] = useState(() => Object.fromEntries(contestants.map(o => [
+    o.id,
+    rollRecall(getBotProfile(o.skill), question.category, question.pointIndex),
+  ])));
+
+  const [stage, setStage] = useState(dailyDouble ? 'answering' : 'racing'); // 'racing' | 'answering' | 'done'
+  const [raceId, setRaceId] = useState(0);
+  const [responderId, setResponderId] = useState(dailyDouble?.opponentId || null);
+  const [buzzTime, setBuzzTime] = useState(null);
+  const [outcomes, setOutcomes] = useState({}); // contestantId -> 'correct' | 'wrong' | 'passed'
+  const [showAnswer, setShowAnswer] = useState(false);
+
+  const outcomesRef = useRef({});
+  const raceStartRef = useRef(Date.now());
+  const raceOverRef = useRef(false);
+
+  const setOutcome = useCallback((id, outcome) => {
+    outcomesRef.current = { ...outcomesRef.current, [id]: outcome };
+    setOutcomes(outcomesRef.current);
+  }, []);
+
+  // Run another race if anyone hasn't had a go, otherwise the clue is over
+  const nextRace = useCallback(() => {
+    const ids = [PLAYER_ID, ...contestants.map(o => o.id)];
+    if (ids.some(id => !outcomesRef.current[id])) {
+      setResponderId(null);
+      setBuzzTime(null);
+      setRaceId(id => id + 1);
+      setStage('racing');
+    } else {
+      setStage('done');
+    }
+  }, [contestants]);
+
+  const winRace = useCallback((id) => {
+    if (raceOverRef.current) return;
+    raceOverRef.current = true;
+    setResponderId(id);
+    setBuzzTime(Date.now() - raceStartRef.current);
+    setStage('answering');
+  }, []);
+
+  // Opponents who know the clue (or fancy a guess) buzz; the rest pass
+  useEffect(() => {
+    if (stage !== 'racing') return;
+    raceStartRef.current = Date.now();
+    raceOverRef.current = false;
+
+    const timers = contestants
+      .filter(o => !outcomesRef.current[o.id])
+      .map((opponent) => {
+        const profile = getBotProfile(opponent.skill);
+        const willBuzz = recall[opponent.id] || Math.random() < profile.guessRate;
+        const delay = OPPONENT_READING_MS + sampleBuzzDelay(profile);
+        return willBuzz
+          ? setTimeout(() => winRace(opponent.id), delay)
+          : setTimeout(() => {
+            setOutcome(opponent.id, 'passed');
+            if (!raceOverRef.current && Object.keys(outcomesRef.current).length > contestants.length) {
+              setStage('done');
+            }
+          }, delay + OPPONENT_THINK_MS);
+      });
+    return () => timers.forEach(clearTimeout);
+  }, [stage, raceId, contestants, recall, winRace, setOutcome]);
+
+  // An opponent won the buzz (or is playing their Daily Double) - they respond
+  useEffect(() => {
+    if (stage !== 'answering' || !responderId || responderId === PLAYER_ID) return;
+
+    const timer = setTimeout(() => {
+      const correct = recall[responderId];
+      setOutcome(responderId, correct ? 'correct' : 'wrong');
+      onOpponentResult(responderId, correct, dailyDouble ? dailyDouble.wager : question.points);
+      if (correct || dailyDouble) {
+        setStage('done');
+      } else {
+        nextRace();
+      }
+    }, OPPONENT_THINK_MS);
+    return () => clearTimeout(timer);
+  }, [stage, responderId, recall, dailyDouble, question.points, onOpponentResult, setOutcome, nextRace]);
+
+  const handleBuzz = useCallback(() => {
+    if (stage !== 'racing' || outcomesRef.current[PLAYER_ID]) return;
+    winRace(PLAYER_ID);
+  }, [stage, winRace]);
+
+  const handlePass = () => {
+    setOutcome(PLAYER_ID, 'passed');
+    // Everyone else already passed or missed
+    if (contestants.every(o => outcomesRef.current[o.id])) setStage('done');
+  };
+
+  const handlePlayerJudged = (correct) => {
+    setOutcome(PLAYER_ID, correct ? 'correct' : 'wrong');
+    onPlayerResult(correct);
+    if (correct) {
+      setStage('done');
+    } else {
+      setShowAnswer(false);
+      nextRace();
+    }
+  };
+
+  const handleTimeUp = () => {
+    if (stage === 'racing') {
+      raceOverRef.current = true;
+      setStage('done');
+    }
+  };
+
+  // Space buzzes in
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code === 'Space') {
+        e.preventDefault();
+        handleBuzz();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleBuzz]);
+
+  const getName = (id) => (id === PLAYER_ID ? 'You' : contestants.find(o => o.id === id)?.name);
+
+  const getStatus = (id) => {
+    if (outcomes[id] === 'correct') return 'Correct!';
+    if (outcomes[id] === 'wrong') return 'Wrong';
+    if (outcomes[id] === 'passed') return 'Passed';
+    if (id === responderId && buzzTime !== null) return `${(buzzTime / 1000).toFixed(2)}s`;
+    return '';
+  };
+
+  const responder = responderId && responderId !== PLAYER_ID ? getName(responderId) : null;
+  const playerAnswering = stage === 'answering' && responderId === PLAYER_ID;
+
+  return (
+    <motion.div
+      className="question-modal-overlay"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <motion.div
+        className="question-modal"
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+      >
+        {timeLimit && stage === 'racing' && (
+          <div className="question-timer">
+            <Timer
+              key={raceId}
+              duration={timeLimit}
+              onTimeUp={handleTimeUp}
+              size="small"
+              autoStart={true}
+            />
+          </div>
+        )}
+
+        <div className="question-header">
+          <span className="question-category">{question.category}</span>
+          <span className="question-points">
+            {dailyDouble ? `Daily Double - $${dailyDouble.wager.toLocaleString()}` : `$${question.points}`}
+          </span>
+        </div>
+
+        <div className="question-content">
+          <p className="clue-text">{question.answer}</p>
+        </div>
+
+        <div className="race-podiums">
+          {[PLAYER_ID, ...contestants.map(o => o.id)].map(id => (
+            <div
+              key={id}
+              className={`race-podium ${id === responderId ? 'buzzed' : ''} ${outcomes[id] || ''}`}
+            >
+              <span className="race-name">{getName(id)}</span>
+              <span className="race-status">{getStatus(id)}</span>
+            </div>
+          ))}
+        </div>
+
+        {stage === 'racing' && !outcomes[PLAYER_ID] && (
+          <div className="race-actions">
+            <motion.button
+              className="race-buzz-button"
+              onClick={handleBuzz}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              BUZZ!
+            </motion.button>
+            <button className="btn-ghost" onClick={handlePass}>
+              Pass
+            </button>
+            <span className="keyboard-hint">Press SPACE to buzz</span>
+          </div>
+        )}
+
+        {stage === 'racing' && outcomes[PLAYER_ID] && (
+          <p className="race-message">Waiting for the others...</p>
+        )}
+
+        {stage === 'answering' && responder && (
+          <p className="race-message">{responder} is answering...</p>
+        )}
+
+        {playerAnswering && !showAnswer && (
+          <div>
+            <motion.button
+              className="reveal-button"
+              onClick={() => setShowAnswer(true)}
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+            >
+              Reveal Answer
+            </motion.button>
+          </div>
+        )}
+
+        {playerAnswering && showAnswer && (
+          <motion.div
+            className="answer-section"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <p className="answer-label">Correct Response:</p>
+            <p className="answer-text">{question.question}</p>
+
+            <div className="scoring-buttons">
+              <button className="btn-correct" onClick={() => handlePlayerJudged(true)}>
+                I Got It Right (+${question.points})
+              </button>
+              <button className="btn-incorrect" onClick={() => handlePlayerJudged(false)}>
+                I Got It Wrong (-${question.points})
+              </button>
+            </div>
+          </motion.div>
+        )}
+
+        {stage === 'done' && (
+          <motion.div
+            className="answer-section"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <p className="answer-label">Correct Response:</p>
+            <p className="answer-text">{question.question}</p>
+            <button className="btn-primary" onClick={onClose}>
+              Continue
+            </button>
+          </motion.div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
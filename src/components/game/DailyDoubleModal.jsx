@@ -1,30 +1,34 @@
 import { useState } from 'react';
 import { motion } from 'framer-motion';
+import { getDailyDoubleWagerRange, clampWager } from '../../services/wagerRules';
+import Timer from '../common/Timer';
 import './DailyDoubleModal.css';
 
 export default function DailyDoubleModal({
   question,
   currentScore,
-  currentRound,
+  topClueValue,
+  error,
   onWagerConfirm,
+  timer = null, // { deadline, duration } when the server times the wager
+  paused = false,
 }) {
-  const maxBoardValue = currentRound === 1 ? 1000 : 2000;
-  const maxWager = Math.max(currentScore, maxBoardValue, 5);
-  const [wager, setWager] = useState(5);
+  const wagerRange = getDailyDoubleWagerRange(currentScore, topClueValue);
+  const maxWager = wagerRange.max;
+  const [wager, setWager] = useState(wagerRange.min);
   const [showWagerInput, setShowWagerInput] = useState(false);
 
   const handleWagerChange = (e) => {
-    const value = parseInt(e.target.value, 10) || 0;
-    setWager(Math.max(5, Math.min(maxWager, value)));
+    setWager(clampWager(parseInt(e.target.value, 10), wagerRange));
   };
 
   const handleQuickWager = (amount) => {
     if (amount === 'all') {
-      setWager(Math.max(currentScore, 5));
+      setWager(clampWager(currentScore, wagerRange));
     } else if (amount === 'max') {
       setWager(maxWager);
     } else {
-      setWager(Math.min(amount, maxWager));
+      setWager(clampWager(amount, wagerRange));
     }
   };
 
@@ -70,6 +74,16 @@ export default function DailyDoubleModal({
         >
           <h2 className="wager-title">Make Your Wager</h2>
 
+          {timer && (
+            <Timer
+              deadline={timer.deadline}
+              duration={timer.duration}
+              autoStart={true}
+              paused={paused}
+              size="small"
+            />
+          )}
+
           <div className="wager-info">
             <p>Category: <span>{question.category}</span></p>
             <p>Current Score: <span>${currentScore.toLocaleString()}</span></p>
@@ -81,7 +95,7 @@ export default function DailyDoubleModal({
             <input
               id="wager-input"
               type="number"
-              min={5}
+              min={wagerRange.min}
               max={maxWager}
               value={wager}
               onChange={handleWagerChange}
@@ -98,6 +112,8 @@ export default function DailyDoubleModal({
             )}
           </div>
 
+          {error && <p className="wager-error">{error}</p>}
+
           <motion.button
             className="confirm-wager-btn"
             onClick={handleConfirm}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Timer from '../common/Timer';
+import { getFinalJeopardyWagerRange, clampWager } from '../../services/wagerRules';
 import './FinalJeopardyModal.css';
 
 const WAGER_TIME = 30000; // 30 seconds for wager
@@ -19,7 +20,8 @@ export default function FinalJeopardyModal({
   const [result, setResult] = useState(null);
   const [showTimer, setShowTimer] = useState(false);
 
-  const maxWager = currentScore > 0 ? currentScore : 1000;
+  const wagerRange = getFinalJeopardyWagerRange(currentScore);
+  const maxWager = wagerRange.max;
 
   // Handle category reveal (auto-advance after 3 seconds)
   useEffect(() => {
@@ -33,7 +35,7 @@ export default function FinalJeopardyModal({
   }, [phase]);
 
   const handleWagerSubmit = () => {
-    if (wager > 0 && wager <= maxWager) {
+    if (wager >= wagerRange.min && wager <= maxWager) {
       setShowTimer(false);
       setPhase('clue');
     }
@@ -146,7 +148,7 @@ export default function FinalJeopardyModal({
                 <input
                   type="number"
                   value={wager || ''}
-                  onChange={(e) => setWager(Math.min(maxWager, Math.max(0, parseInt(e.target.value) || 0)))}
+                  onChange={(e) => setWager(clampWager(parseInt(e.target.value, 10), wagerRange))}
                   placeholder="0"
                   min="0"
                   max={maxWager}
@@ -165,7 +167,7 @@ export default function FinalJeopardyModal({
               <button
                 className="fj-submit-btn"
                 onClick={handleWagerSubmit}
-                disabled={wager <= 0 || wager > maxWager}
+                disabled={wager < wagerRange.min || wager > maxWager}
               >
                 Lock In Wager
               </button>
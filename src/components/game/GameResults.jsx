@@ -6,6 +6,7 @@ export default function GameResults({
   questionsCorrect,
   questionsAttempted,
   genre,
+  standings = null, // [{ name, score, isPlayer }] when playing against opponents, highest first
   onPlayAgain,
   onBackToMenu,
 }) {
@@ -54,6 +55,23 @@ export default function GameResults({
           </span>
         </motion.div>
 
+        {standings && (
+          <motion.ol
+            className="standings"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ delay: 0.5 }}
+          >
+            {standings.map((entry, index) => (
+              <li key={entry.name} className={entry.isPlayer ? 'mine' : ''}>
+                <span className="standing-rank">{index + 1}.</span>
+                <span className="standing-name">{entry.name}</span>
+                <span className="standing-score">${entry.score.toLocaleString()}</span>
+              </li>
+            ))}
+          </motion.ol>
+        )}
+
         <motion.div
           className="stats-grid"
           initial={{ opacity: 0 }}
@@ -0,0 +1,48 @@
+import './ScoreTimeline.css';
+
+const TYPE_LABELS = {
+  answer: 'Answer',
+  judgment: 'Judged',
+  autoGrade: 'Auto-graded',
+  dailyDouble: 'Daily Double',
+  finalJeopardy: 'Final Jeopardy',
+  override: 'Adjustment',
+};
+
+const formatMoney = (amount) => {
+  const abs = `$${Math.abs(amount || 0).toLocaleString()}`;
+  return amount < 0 ? `-${abs}` : abs;
+};
+
+// Score ledger entries, oldest first. Undone entries stay in the list, struck through.
+export default function ScoreTimeline({ entries = [], title = 'Score Timeline' }) {
+  return (
+    <div className="score-timeline">
+      {title && <h3>{title}</h3>}
+      {entries.length === 0 ? (
+        <p className="timeline-empty">No scores yet</p>
+      ) : (
+        <ol className="timeline-list">
+          {entries.map(entry => (
+            <li key={entry.id} className={`timeline-entry ${entry.undone ? 'undone' : ''}`}>
+              <span className="timeline-name">{entry.name}</span>
+              <span className="timeline-detail">
+                {entry.type !== 'finalJeopardy' && entry.clue
+                  ? `${entry.clue.category} $${entry.clue.points}`
+                  : TYPE_LABELS[entry.type]}
+                {entry.type === 'dailyDouble' && ' (DD)'}
+                {entry.type === 'override' && entry.reason && ` - ${entry.reason}`}
+                {entry.actorName && ` by ${entry.actorName}`}
+                {entry.undone && ` (undone${entry.undoneByName ? ` by ${entry.undoneByName}` : ''})`}
+              </span>
+              <span className={`timeline-delta ${entry.delta < 0 ? 'negative' : 'positive'}`}>
+                {entry.delta < 0 ? formatMoney(entry.delta) : `+${formatMoney(entry.delta)}`}
+              </span>
+              <span className="timeline-score">{formatMoney(entry.score)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { socketClient } from '../../services/socket/socketClient';
+import './AdmissionPanel.css';
+
+// Players knocking to get in (rooms that approve joiners) and the room's ban
+// list. Shown to the host in the lobby and in the host control panel.
+export default function AdmissionPanel({
+  roomCode,
+  requests = [], // [{ id, displayName, signature, requestedAt }]
+  bans = [], // [{ id, displayName, bannedAt }]
+  canAdmit = false,
+  canUnban = false,
+}) {
+  const handleResolve = (playerId, approve, ban = false) => {
+    socketClient.resolveJoin(roomCode, playerId, approve, { ban })
+      .catch(err => alert(err.message));
+  };
+
+  const handleRejectAndBan = (playerId) => {
+    if (confirm('Turn this player away and ban them from the room?')) {
+      handleResolve(playerId, false, true);
+    }
+  };
+
+  const handleUnban = (banId) => {
+    socketClient.unbanPlayer(roomCode, banId).catch(err => alert(err.message));
+  };
+
+  const showRequests = canAdmit && requests.length > 0;
+  const showBans = canUnban && bans.length > 0;
+  if (!showRequests && !showBans) return null;
+
+  return (
+    <div className="admission-panel">
+      {showRequests && (
+        <div className="admission-section">
+          <h4>Waiting to Join ({requests.length})</h4>
+          <ul className="admission-list">
+            {requests.map(request => (
+              <li key={request.id} className="admission-entry">
+                {request.signature ? (
+                  <img src={request.signature} alt={request.displayName} className="admission-signature" />
+                ) : (
+                  <span className="admission-name">{request.displayName}</span>
+                )}
+                <div className="admission-actions">
+                  <button onClick={() => handleResolve(request.id, true)} className="btn-admit">
+                    Let In
+                  </button>
+                  <button onClick={() => handleResolve(request.id, false)} className="btn-turn-away">
+                    Reject
+                  </button>
+                  <button onClick={() => handleRejectAndBan(request.id)} className="btn-turn-away">
+                    Ban
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {showBans && (
+        <div className="admission-section">
+          <h4>Banned ({bans.length})</h4>
+          <ul className="admission-list">
+            {bans.map(ban => (
+              <li key={ban.id} className="admission-entry">
+                <span className="admission-name">{ban.displayName}</span>
+                <div className="admission-actions">
+                  <button onClick={() => handleUnban(ban.id)} className="btn-admit">
+                    Unban
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
 import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { socketClient } from '../../services/socket/socketClient';
+import { canPerform, ROLE_LABELS } from '../../services/hostRoles';
+import ScoreTimeline from '../game/ScoreTimeline';
+import AdmissionPanel from './AdmissionPanel';
 import './HostControlPanel.css';
 
 // Format reaction time: show seconds for >= 1000ms, otherwise ms
@@ -34,20 +37,28 @@ function PlayerNameWithDrawing({ player, className = '' }) {
 
 export default function HostControlPanel({
   roomCode,
+  role = 'host', // 'host' | 'coHost' | 'judge' - only that role's controls are shown
   currentQuestion,
   buzzedPlayer,
+  buzzQueue = [], // Verbal mode: [{ playerId, reactionTime }], head has the floor
   typedAnswers = [],
   players = [],
+  teams = [],
   answerMode = 'verbal',
   buzzerOpen = false,
   answerWindowOpen = false,
+  joinRequests = [],
+  bans = [],
   onClose,
 }) {
   const [isMinimized, setIsMinimized] = useState(false);
   const [selectedPlayerId, setSelectedPlayerId] = useState(null);
   const [scoreAdjustment, setScoreAdjustment] = useState(0);
+  const [ledger, setLedger] = useState(null); // null while the score history is hidden
+  const [undoCount, setUndoCount] = useState(1);
 
   const points = currentQuestion?.points || 0;
+  const can = (action) => canPerform(role, action);
 
   const handleJudge = (playerId, correct) => {
     socketClient.emit('host:judge-answer', {
@@ -58,6 +69,11 @@ export default function HostControlPanel({
     });
   };
 
+  // Wrong - the next buzzer in line gets the floor without reopening the buzzer
+  const handleNextInQueue = () => {
+    socketClient.nextInQueue(roomCode).catch(err => alert(err.message));
+  };
+
   const handleSkipQuestion = () => {
     socketClient.emit('host:skip-question', { roomCode });
   };
@@ -82,13 +98,14 @@ export default function HostControlPanel({
     socketClient.emit('host:close-answer-window', { roomCode });
   };
 
-  const handleScoreOverride = (playerId) => {
-    const player = players.find(p => p.id === playerId);
-    if (player && scoreAdjustment !== 0) {
-      const newScore = (player.score || 0) + scoreAdjustment;
+  // Adjust a player's score, or a whole team's in team play
+  const handleScoreOverride = (targetId) => {
+    const target = teams.find(t => t.id === targetId) || players.find(p => p.id === targetId);
+    if (target && scoreAdjustment !== 0) {
+      const newScore = (target.score || 0) + scoreAdjustment;
       socketClient.emit('host:override-score', {
         roomCode,
-        playerId,
+        playerId: targetId,
         newScore,
         reason: 'Manual adjustment',
       });
@@ -103,6 +120,45 @@ export default function HostControlPanel({
     }
   };
 
+  const handleBanPlayer = (playerId) => {
+    if (confirm('Remove this player and ban them from rejoining?')) {
+      socketClient.emit('host:kick-player', { roomCode, playerId, ban: true });
+    }
+  };
+
+  // Co-hosts run the board (and take over if the host drops); judges judge answers
+  const handleSetRole = (playerId, newRole) => {
+    socketClient.setRole(roomCode, playerId, newRole || null)
+      .catch(err => alert(err.message));
+  };
+
+  const handleHandOver = (playerId) => {
+    if (confirm('Hand control of the room to your co-host?')) {
+      socketClient.transferHost(roomCode, playerId).catch(err => alert(err.message));
+    }
+  };
+
+  const loadLedger = () => {
+    socketClient.getScoreLedger(roomCode)
+      .then(setLedger)
+      .catch(err => alert(err.message));
+  };
+
+  // Reverse the most recent scoring events, newest first
+  const handleUndoScores = () => {
+    if (!confirm(`Undo the last ${undoCount} score change${undoCount === 1 ? '' : 's'}?`)) return;
+    socketClient.undoScores(roomCode, undoCount)
+      .then(() => {
+        setUndoCount(1);
+        loadLedger();
+      })
+      .catch(err => alert(err.message));
+  };
+
+  const getQueueName = (entry) =>
+    players.find(p => p.id === entry.playerId)?.displayName || entry.playerName || 'Unknown';
+  const waitingInQueue = buzzedPlayer ? buzzQueue.filter(entry => entry.playerId !== buzzedPlayer.id) : [];
+
   const formatScore = (score) => {
     const absScore = Math.abs(score || 0);
     return score < 0 ? `-$${absScore.toLocaleString()}` : `$${absScore.toLocaleString()}`;
@@ -120,7 +176,7 @@ export default function HostControlPanel({
           exit={{ opacity: 0, scale: 0.9 }}
           transition={{ duration: 0.15 }}
         >
-          <span className="expand-hint">Host Controls</span>
+          <span className="expand-hint">{ROLE_LABELS[role]} Controls</span>
         </motion.div>
       ) : (
         <motion.div
@@ -134,7 +190,7 @@ export default function HostControlPanel({
           dragMomentum={false}
         >
       <div className="panel-header">
-        <h3>Host Controls</h3>
+        <h3>{ROLE_LABELS[role]} Controls</h3>
         <div className="panel-actions">
           <button onClick={() => setIsMinimized(true)} className="minimize-btn">
             _
@@ -159,16 +215,28 @@ export default function HostControlPanel({
       )}
 
       {/* Buzzer Status (Verbal Mode) */}
-      {answerMode === 'verbal' && currentQuestion && (
+      {answerMode === 'verbal' && currentQuestion && (buzzedPlayer || can('host:open-buzzer')) && (
         <div className="buzzer-section">
           {buzzedPlayer ? (
-            <div className="buzzed-player">
-              <span className="buzzed-label">Buzzed:</span>
-              <PlayerNameWithDrawing player={buzzedPlayer} className="buzzed-name" />
-              <span className="reaction-time">
-                {formatReactionTime(buzzedPlayer.reactionTime)}
-              </span>
-            </div>
+            <>
+              <div className="buzzed-player">
+                <span className="buzzed-label">Buzzed:</span>
+                <PlayerNameWithDrawing player={buzzedPlayer} className="buzzed-name" />
+                <span className="reaction-time">
+                  {formatReactionTime(buzzedPlayer.reactionTime)}
+                </span>
+              </div>
+              {waitingInQueue.length > 0 && (
+                <ol className="buzz-queue" start={2}>
+                  {waitingInQueue.map(entry => (
+                    <li key={entry.playerId}>
+                      <span className="queue-name">{getQueueName(entry)}</span>
+                      <span className="reaction-time">{formatReactionTime(entry.reactionTime)}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </>
           ) : (
             <div className="buzzer-controls">
               <button
@@ -191,7 +259,8 @@ export default function HostControlPanel({
       )}
 
       {/* Answer Window Controls (Typed/MC/Auto-Grade Modes) */}
-      {(answerMode === 'typed' || answerMode === 'multiple_choice' || answerMode === 'auto_grade') && currentQuestion && (
+      {(answerMode === 'typed' || answerMode === 'multiple_choice' || answerMode === 'auto_grade') && currentQuestion
+        && can('host:open-answer-window') && (
         <div className="answer-window-section">
           <div className="answer-window-controls">
             <button
@@ -216,7 +285,7 @@ export default function HostControlPanel({
       )}
 
       {/* Judging Buttons */}
-      {buzzedPlayer && answerMode === 'verbal' && (
+      {buzzedPlayer && answerMode === 'verbal' && can('host:judge-answer') && (
         <div className="judging-section">
           <h4>Judge Answer</h4>
           <div className="judge-buttons">
@@ -233,6 +302,11 @@ export default function HostControlPanel({
               Incorrect (-${points})
             </button>
           </div>
+          {waitingInQueue.length > 0 && (
+            <button className="btn-next-in-queue" onClick={handleNextInQueue}>
+              Wrong, Next in Queue: {getQueueName(waitingInQueue[0])}
+            </button>
+          )}
         </div>
       )}
 
@@ -256,39 +330,104 @@ export default function HostControlPanel({
                   )}
                 </div>
                 <p className="player-answer">{entry.answer}</p>
-                <div className="answer-actions">
-                  <button
-                    className="btn-sm btn-correct"
-                    onClick={() => handleJudge(entry.playerId, true)}
-                  >
-                    Correct
-                  </button>
-                  <button
-                    className="btn-sm btn-incorrect"
-                    onClick={() => handleJudge(entry.playerId, false)}
-                  >
-                    Incorrect
-                  </button>
-                </div>
+                {can('host:judge-answer') && (
+                  <div className="answer-actions">
+                    <button
+                      className="btn-sm btn-correct"
+                      onClick={() => handleJudge(entry.playerId, true)}
+                    >
+                      Correct
+                    </button>
+                    <button
+                      className="btn-sm btn-incorrect"
+                      onClick={() => handleJudge(entry.playerId, false)}
+                    >
+                      Incorrect
+                    </button>
+                  </div>
+                )}
               </div>
             );
             })}
           </div>
-          <button onClick={handleRevealAnswers} className="btn-reveal">
-            Reveal All Answers
-          </button>
+          {can('host:reveal-answers') && (
+            <button onClick={handleRevealAnswers} className="btn-reveal">
+              Reveal All Answers
+            </button>
+          )}
         </div>
       )}
 
+      {/* Team Scores (team play) - adjustments apply to the whole team */}
+      {teams.length > 0 && (
+        <div className="scores-section">
+          <h4>Team Scores</h4>
+          <div className="scores-list">
+            {teams.map((team) => (
+              <div key={team.id} className="score-entry">
+                <span className="player-name">{team.name}</span>
+                <span className={`player-score ${team.score < 0 ? 'negative' : ''}`}>
+                  {formatScore(team.score)}
+                </span>
+                <div className="score-actions">
+                  {selectedPlayerId === team.id ? (
+                    <>
+                      <input
+                        type="number"
+                        value={scoreAdjustment}
+                        onChange={(e) => setScoreAdjustment(parseInt(e.target.value) || 0)}
+                        placeholder="+/-"
+                        className="score-input"
+                      />
+                      <button
+                        onClick={() => handleScoreOverride(team.id)}
+                        className="btn-apply"
+                      >
+                        Apply
+                      </button>
+                      <button
+                        onClick={() => setSelectedPlayerId(null)}
+                        className="btn-cancel"
+                      >
+                        X
+                      </button>
+                    </>
+                  ) : can('host:override-score') && (
+                    <button
+                      onClick={() => setSelectedPlayerId(team.id)}
+                      className="btn-adjust"
+                    >
+                      Adjust
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Late arrivals knocking, and who's banned */}
+      <AdmissionPanel
+        roomCode={roomCode}
+        requests={joinRequests}
+        bans={bans}
+        canAdmit={can('host:approve-join')}
+        canUnban={can('host:kick-player')}
+      />
+
       {/* Score Management */}
       <div className="scores-section">
-        <h4>Player Scores</h4>
+        <h4>{teams.length > 0 ? 'Players' : 'Player Scores'}</h4>
         <div className="scores-list">
           {players.filter(p => !p.isHost).map((player) => (
             <div key={player.id} className="score-entry">
               <PlayerNameWithDrawing player={player} className="player-name" />
+              {player.role && <span className="role-tag">{ROLE_LABELS[player.role]}</span>}
               <span className={`player-score ${player.score < 0 ? 'negative' : ''}`}>
-                {formatScore(player.score)}
+                {teams.length > 0
+                  ? teams.find(t => t.id === player.teamId)?.name || 'No team'
+                  : formatScore(player.score)}
               </span>
               <div className="score-actions">
                 {selectedPlayerId === player.id ? (
@@ -315,18 +454,49 @@ export default function HostControlPanel({
                   </>
                 ) : (
                   <>
-                    <button
-                      onClick={() => setSelectedPlayerId(player.id)}
-                      className="btn-adjust"
-                    >
-                      Adjust
-                    </button>
-                    <button
-                      onClick={() => handleKickPlayer(player.id)}
-                      className="btn-kick"
-                    >
-                      Kick
-                    </button>
+                    {teams.length === 0 && can('host:override-score') && (
+                      <button
+                        onClick={() => setSelectedPlayerId(player.id)}
+                        className="btn-adjust"
+                      >
+                        Adjust
+                      </button>
+                    )}
+                    {role === 'host' && (
+                      <select
+                        value={player.role || ''}
+                        onChange={(e) => handleSetRole(player.id, e.target.value)}
+                        className="role-select"
+                      >
+                        <option value="">Player</option>
+                        <option value="coHost">Co-host</option>
+                        <option value="judge">Judge</option>
+                      </select>
+                    )}
+                    {role === 'host' && player.role === 'coHost' && player.isConnected && (
+                      <button
+                        onClick={() => handleHandOver(player.id)}
+                        className="btn-adjust"
+                      >
+                        Hand Over
+                      </button>
+                    )}
+                    {can('host:kick-player') && (role === 'host' || !player.role) && (
+                      <button
+                        onClick={() => handleKickPlayer(player.id)}
+                        className="btn-kick"
+                      >
+                        Kick
+                      </button>
+                    )}
+                    {can('host:kick-player') && (role === 'host' || !player.role) && (
+                      <button
+                        onClick={() => handleBanPlayer(player.id)}
+                        className="btn-kick"
+                      >
+                        Ban
+                      </button>
+                    )}
                   </>
                 )}
               </div>
@@ -335,9 +505,43 @@ export default function HostControlPanel({
         </div>
       </div>
 
+      {/* Score History - the ledger, with undo */}
+      {can('host:undo-scores') && (
+        <div className="scores-section">
+          <h4>Score History</h4>
+          {ledger ? (
+            <>
+              <ScoreTimeline entries={ledger.slice(-10)} title={null} />
+              <div className="history-controls">
+                <input
+                  type="number"
+                  min="1"
+                  value={undoCount}
+                  onChange={(e) => setUndoCount(Math.max(1, parseInt(e.target.value) || 1))}
+                  className="score-input"
+                />
+                <button onClick={handleUndoScores} className="btn-kick">
+                  Undo
+                </button>
+                <button onClick={loadLedger} className="btn-adjust">
+                  Refresh
+                </button>
+                <button onClick={() => setLedger(null)} className="btn-cancel">
+                  Hide
+                </button>
+              </div>
+            </>
+          ) : (
+            <button onClick={loadLedger} className="btn-adjust">
+              Show History
+            </button>
+          )}
+        </div>
+      )}
+
         {/* Game Controls */}
         <div className="game-controls">
-          {currentQuestion && (
+          {currentQuestion && can('host:skip-question') && (
             <button onClick={handleSkipQuestion} className="btn-skip">
               Skip Question
             </button>
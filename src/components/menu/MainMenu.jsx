@@ -123,6 +123,18 @@ export default function MainMenu() {
         Join a Room
       </motion.button>
 
+      {/* Browse public rooms */}
+      <motion.button
+        className="join-link"
+        onClick={() => navigate('/lobbies')}
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ delay: 0.65 }}
+        whileHover={{ color: '#D69F4C' }}
+      >
+        Browse Open Rooms
+      </motion.button>
+
       {/* Footer */}
       <motion.div
         className="menu-footer"
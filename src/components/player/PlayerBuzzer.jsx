@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { socketClient } from '../../services/socket/socketClient';
 import './PlayerBuzzer.css';
@@ -6,32 +6,46 @@ import './PlayerBuzzer.css';
 export default function PlayerBuzzer({
   roomCode,
   isEnabled = false,
+  isArmed = false, // Buzzer not open yet, but pressing now earns an early buzz lockout
+  isLockedOut = false,
+  canQueue = false, // Host mode: buzzing while someone else has the floor gets you in line
+  queuePosition = null, // 1-based place in the host mode buzz queue
   hasBuzzed = false,
   buzzedPlayerName = null,
   onBuzz,
 }) {
   const [isPressed, setIsPressed] = useState(false);
   const [buzzTime, setBuzzTime] = useState(null);
+  const openedAtRef = useRef(null); // When the open buzzer signal reached us
 
   // Reset when buzzer is enabled
   useEffect(() => {
     if (isEnabled) {
+      openedAtRef.current = Date.now();
       setIsPressed(false);
       setBuzzTime(null);
     }
   }, [isEnabled]);
 
   const handleBuzz = useCallback(() => {
-    if (!isEnabled || hasBuzzed || isPressed) return;
+    if (hasBuzzed || isPressed || isLockedOut) return;
 
-    const reactionTime = Date.now();
+    // Early buzz - the server locks us out; the press doesn't count
+    if (!isEnabled) {
+      if (isArmed) socketClient.emit('game:buzz-in', { roomCode, reactionTime: 0 });
+      return;
+    }
+
+    const pressedAt = Date.now();
+    const reactionTime = pressedAt - openedAtRef.current;
     setIsPressed(true);
     setBuzzTime(reactionTime);
 
-    // Emit buzz to server
+    // Emit buzz to server (the synced press time lets it compensate for latency)
     socketClient.emit('game:buzz-in', {
       roomCode,
       reactionTime,
+      pressedAt: socketClient.toServerTime(pressedAt),
     });
 
     // Haptic feedback if available
@@ -42,7 +56,7 @@ export default function PlayerBuzzer({
     if (onBuzz) {
       onBuzz(reactionTime);
     }
-  }, [isEnabled, hasBuzzed, isPressed, roomCode, onBuzz]);
+  }, [isEnabled, isArmed, isLockedOut, hasBuzzed, isPressed, roomCode, onBuzz]);
 
   // Keyboard support
   useEffect(() => {
@@ -53,22 +67,28 @@ export default function PlayerBuzzer({
       }
     };
 
-    if (isEnabled && !hasBuzzed) {
+    if ((isEnabled || isArmed) && !hasBuzzed) {
       window.addEventListener('keydown', handleKeyDown);
       return () => window.removeEventListener('keydown', handleKeyDown);
     }
-  }, [isEnabled, hasBuzzed, handleBuzz]);
+  }, [isEnabled, isArmed, hasBuzzed, handleBuzz]);
 
   const getButtonState = () => {
-    if (buzzedPlayerName) {
+    if (buzzedPlayerName && !canQueue) {
       return 'buzzed-other';
     }
     if (hasBuzzed || isPressed) {
       return 'buzzed-self';
     }
+    if (isLockedOut) {
+      return 'locked-out';
+    }
     if (isEnabled) {
       return 'active';
     }
+    if (buzzedPlayerName) {
+      return 'buzzed-other';
+    }
     return 'disabled';
   };
 
@@ -79,7 +99,7 @@ export default function PlayerBuzzer({
       <motion.button
         className={`player-buzzer ${buttonState}`}
         onClick={handleBuzz}
-        disabled={!isEnabled || hasBuzzed || isPressed}
+        disabled={!(isEnabled || isArmed) || hasBuzzed || isPressed}
         whileTap={isEnabled && !hasBuzzed ? { scale: 0.95 } : {}}
       >
         {buttonState === 'disabled' && (
@@ -88,11 +108,24 @@ export default function PlayerBuzzer({
         {buttonState === 'active' && (
           <>
             <span className="buzzer-text">BUZZ!</span>
-            <span className="buzzer-hint">Press SPACE or tap</span>
+            <span className="buzzer-hint">
+              {buzzedPlayerName ? `${buzzedPlayerName} has the floor - buzz to get in line` : 'Press SPACE or tap'}
+            </span>
+          </>
+        )}
+        {buttonState === 'locked-out' && (
+          <>
+            <span className="buzzer-text">Locked out</span>
+            <span className="buzzer-subtext">Too early!</span>
           </>
         )}
         {buttonState === 'buzzed-self' && (
-          <span className="buzzer-text">You buzzed!</span>
+          <>
+            <span className="buzzer-text">You buzzed!</span>
+            {queuePosition > 1 && (
+              <span className="buzzer-subtext">#{queuePosition} in line</span>
+            )}
+          </>
         )}
         {buttonState === 'buzzed-other' && (
           <>
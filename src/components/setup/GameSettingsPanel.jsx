@@ -8,7 +8,8 @@ export default function GameSettingsPanel({
   settings = null,
   onSettingsChange = null,
   readOnly = false,
-  defaultExpanded = false
+  defaultExpanded = false,
+  showOpponents = false,
 }) {
   const [isExpanded, setIsExpanded] = useState(defaultExpanded);
   const [availableVoices, setAvailableVoices] = useState([]);
@@ -36,16 +37,29 @@ export default function GameSettingsPanel({
     enableDoubleJeopardy,
     enableDailyDouble,
     enableFinalJeopardy,
+    teamMode,
+    earlyBuzzLockout,
+    buzzLockoutMs,
+    requireApproval,
+    isPublic,
     setQuestionTimeLimit,
     toggleDoubleJeopardy,
     toggleDailyDouble,
     toggleFinalJeopardy,
+    toggleTeamMode,
+    toggleEarlyBuzzLockout,
+    setBuzzLockoutMs,
+    toggleRequireApproval,
+    togglePublic,
     loadPreset,
   } = settings ? { ...settings, ...createSettingsHandlers(settings, onSettingsChange) } : globalSettings;
 
   // TTS settings are always from global store (user preference, not room setting)
   const { textToSpeechEnabled, ttsVoice, toggleTextToSpeech, setTTSVoice } = globalSettings;
 
+  // Single-player opponents are a local preference too
+  const { opponentCount, difficulty, setOpponentCount, setDifficulty } = globalSettings;
+
   // Sync voice selection with TTS service
   useEffect(() => {
     setVoice(ttsVoice);
@@ -66,6 +80,25 @@ export default function GameSettingsPanel({
     { value: 60000, label: '60s' },
   ];
 
+  const lockoutOptions = [
+    { value: 250, label: '0.25s' },
+    { value: 500, label: '0.5s' },
+    { value: 1000, label: '1s' },
+  ];
+
+  const opponentOptions = [
+    { value: 0, label: 'None' },
+    { value: 1, label: '1' },
+    { value: 2, label: '2' },
+  ];
+
+  const skillOptions = [
+    { value: 'easy', label: 'Easy' },
+    { value: 'medium', label: 'Medium' },
+    { value: 'hard', label: 'Hard' },
+    { value: 'mixed', label: 'Mixed' },
+  ];
+
   const presets = [
     { id: 'casual', label: 'Casual' },
     { id: 'standard', label: 'Standard' },
@@ -91,6 +124,13 @@ export default function GameSettingsPanel({
     if (enableDoubleJeopardy) parts.push('Double Jeopardy');
     if (enableDailyDouble) parts.push('Daily Double');
     if (enableFinalJeopardy) parts.push('Final Jeopardy');
+    if (teamMode) parts.push('Teams');
+    if (earlyBuzzLockout) parts.push('Buzz Lockout');
+    if (requireApproval) parts.push('Host Approves Joins');
+    if (isPublic) parts.push('Public');
+    if (showOpponents && opponentCount > 0) {
+      parts.push(`${opponentCount} ${opponentCount === 1 ? 'Opponent' : 'Opponents'}`);
+    }
     return parts.join(' | ');
   };
 
@@ -194,9 +234,133 @@ export default function GameSettingsPanel({
                   <span className="toggle-indicator" />
                   <span className="rule-name">Final Jeopardy</span>
                 </label>
+
+                {/* Team play is a room setting - not available in single player */}
+                {settings && (
+                  <label className={`rule-toggle ${readOnly ? 'disabled' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={!!teamMode}
+                      onChange={() => !readOnly && toggleTeamMode()}
+                      disabled={readOnly}
+                    />
+                    <span className="toggle-indicator" />
+                    <span className="rule-name">Team Play</span>
+                  </label>
+                )}
+
+                {settings && (
+                  <label className={`rule-toggle ${readOnly ? 'disabled' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={!!earlyBuzzLockout}
+                      onChange={() => !readOnly && toggleEarlyBuzzLockout()}
+                      disabled={readOnly}
+                    />
+                    <span className="toggle-indicator" />
+                    <span className="rule-name">Early Buzz Lockout</span>
+                  </label>
+                )}
+
+                {/* Newcomers knock and wait until the host lets them in */}
+                {settings && (
+                  <label className={`rule-toggle ${readOnly ? 'disabled' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={!!requireApproval}
+                      onChange={() => !readOnly && toggleRequireApproval()}
+                      disabled={readOnly}
+                    />
+                    <span className="toggle-indicator" />
+                    <span className="rule-name">Approve New Joiners</span>
+                  </label>
+                )}
+
+                {/* Listed in the lobby browser for anyone to find */}
+                {settings && (
+                  <label className={`rule-toggle ${readOnly ? 'disabled' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={!!isPublic}
+                      onChange={() => !readOnly && togglePublic()}
+                      disabled={readOnly}
+                    />
+                    <span className="toggle-indicator" />
+                    <span className="rule-name">List Publicly</span>
+                  </label>
+                )}
               </div>
             </div>
 
+            {/* Early buzz penalty - buzzing while the clue is read locks you out */}
+            {settings && earlyBuzzLockout && (
+              <div className="panel-section">
+                <label className="section-label">Lockout</label>
+                <div className="timer-options">
+                  {lockoutOptions.map((option) => (
+                    <label
+                      key={option.label}
+                      className={`timer-option ${(buzzLockoutMs || 250) === option.value ? 'selected' : ''} ${readOnly ? 'disabled' : ''}`}
+                    >
+                      <input
+                        type="radio"
+                        name="gameSettingsLockout"
+                        checked={(buzzLockoutMs || 250) === option.value}
+                        onChange={() => !readOnly && setBuzzLockoutMs(option.value)}
+                        disabled={readOnly}
+                      />
+                      <span>{option.label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Simulated opponents (single player) */}
+            {showOpponents && (
+              <div className="panel-section">
+                <label className="section-label">Opponents</label>
+                <div className="timer-options">
+                  {opponentOptions.map((option) => (
+                    <label
+                      key={option.label}
+                      className={`timer-option ${opponentCount === option.value ? 'selected' : ''}`}
+                    >
+                      <input
+                        type="radio"
+                        name="gameSettingsOpponents"
+                        checked={opponentCount === option.value}
+                        onChange={() => setOpponentCount(option.value)}
+                      />
+                      <span>{option.label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {showOpponents && opponentCount > 0 && (
+              <div className="panel-section">
+                <label className="section-label">Skill</label>
+                <div className="timer-options">
+                  {skillOptions.map((option) => (
+                    <label
+                      key={option.label}
+                      className={`timer-option ${difficulty === option.value ? 'selected' : ''}`}
+                    >
+                      <input
+                        type="radio"
+                        name="gameSettingsSkill"
+                        checked={difficulty === option.value}
+                        onChange={() => setDifficulty(option.value)}
+                      />
+                      <span>{option.label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Audio / TTS - always editable (personal preference) */}
             <div className="panel-section">
               <label className="section-label">Audio</label>
@@ -262,6 +426,11 @@ function createSettingsHandlers(settings, onSettingsChange) {
       toggleDoubleJeopardy: () => {},
       toggleDailyDouble: () => {},
       toggleFinalJeopardy: () => {},
+      toggleTeamMode: () => {},
+      toggleEarlyBuzzLockout: () => {},
+      setBuzzLockoutMs: () => {},
+      toggleRequireApproval: () => {},
+      togglePublic: () => {},
       loadPreset: () => {},
     };
   }
@@ -292,6 +461,11 @@ function createSettingsHandlers(settings, onSettingsChange) {
     toggleDoubleJeopardy: () => onSettingsChange({ ...settings, enableDoubleJeopardy: !settings.enableDoubleJeopardy }),
     toggleDailyDouble: () => onSettingsChange({ ...settings, enableDailyDouble: !settings.enableDailyDouble }),
     toggleFinalJeopardy: () => onSettingsChange({ ...settings, enableFinalJeopardy: !settings.enableFinalJeopardy }),
+    toggleTeamMode: () => onSettingsChange({ ...settings, teamMode: !settings.teamMode }),
+    toggleEarlyBuzzLockout: () => onSettingsChange({ ...settings, earlyBuzzLockout: !settings.earlyBuzzLockout }),
+    setBuzzLockoutMs: (value) => onSettingsChange({ ...settings, buzzLockoutMs: value }),
+    toggleRequireApproval: () => onSettingsChange({ ...settings, requireApproval: !settings.requireApproval }),
+    togglePublic: () => onSettingsChange({ ...settings, isPublic: !settings.isPublic }),
     loadPreset: (presetId) => onSettingsChange({ ...settings, ...presetConfigs[presetId] }),
   };
 }
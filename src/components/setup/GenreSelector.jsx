@@ -14,7 +14,8 @@ const popularGenres = [
 ];
 
 export default function GenreSelector({ onSubmit, error, readOnly = false, selectedGenre = '' }) {
-  const [genre, setGenre] = useState('');
+  // Starts from any genre already chosen for the room (e.g. a quickplay match)
+  const [genre, setGenre] = useState(selectedGenre);
 
   const handleSubmit = (e) => {
     e.preventDefault();
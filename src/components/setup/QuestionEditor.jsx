@@ -7,7 +7,16 @@ import './QuestionEditor.css';
 const POINT_VALUES = [200, 400, 600, 800, 1000];
 
 export default function QuestionEditor({ onBack, onNext, answerMode = 'verbal' }) {
-  const { categories, questions, updateCategory, updateQuestion, validateContent, validationErrors } = useHostStore();
+  const {
+    categories,
+    questions,
+    finalJeopardy,
+    updateCategory,
+    updateQuestion,
+    updateFinalJeopardy,
+    validateContent,
+    validationErrors,
+  } = useHostStore();
   const [activeTab, setActiveTab] = useState(0);
   const [showValidation, setShowValidation] = useState(false);
   const [generatingOptions, setGeneratingOptions] = useState({}); // Track which questions are generating
@@ -181,6 +190,49 @@ export default function QuestionEditor({ onBack, onNext, answerMode = 'verbal' }
         </AnimatePresence>
       </div>
 
+      {/* Final Jeopardy (optional) */}
+      <div className="question-card final-jeopardy-card">
+        <div className="question-header">
+          <span className="point-value">Final Jeopardy</span>
+          <span className="fj-optional-note">Optional - leave blank to use a generated clue</span>
+        </div>
+
+        <div className="question-fields">
+          <div className="field-group">
+            <label className="field-label">Category</label>
+            <input
+              type="text"
+              value={finalJeopardy.category}
+              onChange={(e) => updateFinalJeopardy({ category: e.target.value })}
+              placeholder="Revealed before players wager"
+              className="question-input"
+            />
+          </div>
+
+          <div className="field-group">
+            <label className="field-label">Clue (shown to players)</label>
+            <textarea
+              value={finalJeopardy.answer}
+              onChange={(e) => updateFinalJeopardy({ answer: e.target.value })}
+              placeholder="Enter the Final Jeopardy clue..."
+              rows={2}
+              className="question-textarea"
+            />
+          </div>
+
+          <div className="field-group">
+            <label className="field-label">Correct Answer (What is/Who is...)</label>
+            <input
+              type="text"
+              value={finalJeopardy.question}
+              onChange={(e) => updateFinalJeopardy({ question: e.target.value })}
+              placeholder="What is...? / Who is...?"
+              className="question-input"
+            />
+          </div>
+        </div>
+      </div>
+
       {/* Validation Errors */}
       {showValidation && validationErrors.length > 0 && (
         <motion.div
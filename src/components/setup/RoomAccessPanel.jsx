@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { socketClient } from '../../services/socket/socketClient';
+import './RoomAccessPanel.css';
+
+const INVITE_EXPIRY_OPTIONS = [
+  { minutes: 60, label: '1 hour' },
+  { minutes: 24 * 60, label: '1 day' },
+  { minutes: 7 * 24 * 60, label: '1 week' },
+];
+
+// Host-only lobby panel: room password, invite-only mode and expiring invite links
+export default function RoomAccessPanel({ roomCode }) {
+  const [access, setAccess] = useState(null); // { hasPassword, inviteOnly }
+  const [password, setPassword] = useState('');
+  const [inviteMinutes, setInviteMinutes] = useState(INVITE_EXPIRY_OPTIONS[1].minutes);
+  const [invite, setInvite] = useState(null); // { link, expiresAt }
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    socketClient.getRoomAccess(roomCode)
+      .then(setAccess)
+      .catch(err => setError(err.message));
+  }, [roomCode]);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSetPassword = (e) => {
+    e.preventDefault();
+    if (!password.trim()) return;
+    run(async () => {
+      setAccess(await socketClient.setRoomAccess(roomCode, { password: password.trim() }));
+      setPassword('');
+    });
+  };
+
+  const handleRemovePassword = () => run(async () => {
+    setAccess(await socketClient.setRoomAccess(roomCode, { password: null }));
+  });
+
+  const handleToggleInviteOnly = () => run(async () => {
+    setAccess(await socketClient.setRoomAccess(roomCode, { inviteOnly: !access?.inviteOnly }));
+  });
+
+  const handleCreateInvite = () => run(async () => {
+    const { token, expiresAt } = await socketClient.createInvite(roomCode, inviteMinutes);
+    setInvite({ link: `${window.location.origin}/join/${roomCode}?invite=${token}`, expiresAt });
+    setCopied(false);
+  });
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(invite.link).then(() => setCopied(true));
+  };
+
+  if (!access) {
+    return error ? <p className="error-message">{error}</p> : null;
+  }
+
+  return (
+    <div className="room-access-panel">
+      <h3>Room Access</h3>
+      <p className="access-status">
+        {access.inviteOnly
+          ? 'Invite only'
+          : access.hasPassword ? 'Password required' : 'Anyone with the code can join'}
+        {access.inviteOnly && access.hasPassword && ' (or the password)'}
+      </p>
+
+      <form className="access-row" onSubmit={handleSetPassword}>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder={access.hasPassword ? 'New password' : 'Set a password'}
+          maxLength={64}
+        />
+        <button type="submit" className="btn-secondary" disabled={!password.trim()}>
+          {access.hasPassword ? 'Change' : 'Set'}
+        </button>
+        {access.hasPassword && (
+          <button type="button" className="btn-ghost" onClick={handleRemovePassword}>
+            Remove
+          </button>
+        )}
+      </form>
+
+      <label className="access-toggle">
+        <input type="checkbox" checked={access.inviteOnly} onChange={handleToggleInviteOnly} />
+        <span>Invite only (the room code alone isn&apos;t enough)</span>
+      </label>
+
+      <div className="access-row">
+        <select value={inviteMinutes} onChange={(e) => setInviteMinutes(Number(e.target.value))}>
+          {INVITE_EXPIRY_OPTIONS.map(option => (
+            <option key={option.minutes} value={option.minutes}>Expires in {option.label}</option>
+          ))}
+        </select>
+        <button className="btn-secondary" onClick={handleCreateInvite}>
+          Create Invite Link
+        </button>
+      </div>
+
+      {invite && (
+        <div className="access-row invite-link">
+          <input type="text" value={invite.link} readOnly onFocus={(e) => e.target.select()} />
+          <button className="btn-secondary" onClick={handleCopy}>
+            {copied ? 'Copied!' : 'Copy'}
+          </button>
+        </div>
+      )}
+      {invite && (
+        <p className="access-status">
+          Valid until {new Date(invite.expiresAt).toLocaleString()}
+        </p>
+      )}
+
+      {error && <p className="error-message">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { socketClient } from '../../services/socket/socketClient';
+import './TeamsPanel.css';
+
+export default function TeamsPanel({
+  roomCode,
+  teams = [],
+  players = [],
+  currentPlayerId,
+  isHost = false,
+  isHostMode = false,
+}) {
+  const [teamName, setTeamName] = useState('');
+  const [error, setError] = useState(null);
+
+  // In host mode the host runs the game and doesn't play on a team
+  const contestants = isHostMode ? players.filter(p => !p.isHost) : players;
+  const me = contestants.find(p => p.id === currentPlayerId);
+  const unassigned = contestants.filter(p => !p.teamId);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreateTeam = (e) => {
+    e.preventDefault();
+    if (!teamName.trim()) return;
+    run(async () => {
+      await socketClient.createTeam(roomCode, teamName.trim());
+      setTeamName('');
+    });
+  };
+
+  const renderMember = (player) => (
+    <li key={player.id} className="team-member">
+      <span>{player.displayName || player.name}</span>
+      {isHost && (
+        <select
+          className="team-assign"
+          value={player.teamId || ''}
+          onChange={(e) => run(() => socketClient.assignTeam(roomCode, player.id, e.target.value || null))}
+        >
+          <option value="">No team</option>
+          {teams.map(team => (
+            <option key={team.id} value={team.id}>{team.name}</option>
+          ))}
+        </select>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="teams-panel">
+      <h3>Teams</h3>
+
+      <div className="teams-grid">
+        {teams.map(team => (
+          <div key={team.id} className={`team-card ${me?.teamId === team.id ? 'mine' : ''}`}>
+            <div className="team-card-header">
+              <span className="team-name">{team.name}</span>
+              {isHost && (
+                <button
+                  className="btn-team-remove"
+                  onClick={() => run(() => socketClient.removeTeam(roomCode, team.id))}
+                  title="Remove team"
+                >
+                  &times;
+                </button>
+              )}
+            </div>
+            <ul className="team-members">
+              {contestants.filter(p => p.teamId === team.id).map(renderMember)}
+            </ul>
+            {me && me.teamId !== team.id && (
+              <button
+                className="btn-secondary btn-team-join"
+                onClick={() => run(() => socketClient.joinTeam(roomCode, team.id))}
+              >
+                Join
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {teams.length === 0 && (
+        <p className="waiting-text">{isHost ? 'Create teams for players to join.' : 'Waiting for the host to create teams...'}</p>
+      )}
+
+      {unassigned.length > 0 && teams.length > 0 && (
+        <div className="team-unassigned">
+          <span className="section-label">Without a team</span>
+          <ul className="team-members">
+            {unassigned.map(renderMember)}
+          </ul>
+        </div>
+      )}
+
+      {isHost && (
+        <form className="team-create" onSubmit={handleCreateTeam}>
+          <input
+            type="text"
+            value={teamName}
+            onChange={(e) => setTeamName(e.target.value)}
+            placeholder="Team name"
+            maxLength={30}
+          />
+          <button type="submit" className="btn-secondary" disabled={!teamName.trim()}>
+            Add Team
+          </button>
+        </form>
+      )}
+
+      {error && <p className="team-error">{error}</p>}
+    </div>
+  );
+}
@@ -1,2 +1,2 @@
 export { useAudio } from './useAudio';
-export { useSocket, useRoom, useMatchmaking } from './useSocket';
+export { useSocket, useRoom, useMatchmaking, useLobbies } from './useSocket';
@@ -121,15 +121,36 @@ export function useSocket() {
 
     // Room actions
     joinRoom: socketClient.joinRoom.bind(socketClient),
+    spectateRoom: socketClient.spectateRoom.bind(socketClient),
     leaveRoom: socketClient.leaveRoom.bind(socketClient),
     reconnectToRoom: socketClient.reconnectToRoom.bind(socketClient),
     setReady: socketClient.setReady.bind(socketClient),
+    addBot: socketClient.addBot.bind(socketClient),
+    transferHost: socketClient.transferHost.bind(socketClient),
+    setRole: socketClient.setRole.bind(socketClient),
+    cancelJoin: socketClient.cancelJoin.bind(socketClient),
+    resolveJoin: socketClient.resolveJoin.bind(socketClient),
+    unbanPlayer: socketClient.unbanPlayer.bind(socketClient),
+    getRoomAccess: socketClient.getRoomAccess.bind(socketClient),
+    setRoomAccess: socketClient.setRoomAccess.bind(socketClient),
+    createInvite: socketClient.createInvite.bind(socketClient),
+
+    // Team actions
+    createTeam: socketClient.createTeam.bind(socketClient),
+    removeTeam: socketClient.removeTeam.bind(socketClient),
+    joinTeam: socketClient.joinTeam.bind(socketClient),
+    assignTeam: socketClient.assignTeam.bind(socketClient),
 
     // Game actions
     startGame: socketClient.startGame.bind(socketClient),
     selectQuestion: socketClient.selectQuestion.bind(socketClient),
     buzz: socketClient.buzz.bind(socketClient),
     submitAnswer: socketClient.submitAnswer.bind(socketClient),
+    getScoreLedger: socketClient.getScoreLedger.bind(socketClient),
+    undoScores: socketClient.undoScores.bind(socketClient),
+    nextInQueue: socketClient.nextInQueue.bind(socketClient),
+    pauseGame: socketClient.pauseGame.bind(socketClient),
+    resumeGame: socketClient.resumeGame.bind(socketClient),
 
     // Quickplay actions
     joinMatchmaking: socketClient.joinMatchmaking.bind(socketClient),
@@ -155,7 +176,10 @@ export function useRoom(roomCode) {
         displayName: data.displayName,
         signature: data.signature || null,
         score: 0,
-        isReady: false,
+        // Bots join ready
+        isReady: !!data.isReady,
+        isBot: !!data.isBot,
+        botSkill: data.botSkill || null,
         isConnected: true,
         isHost: false,
       });
@@ -170,6 +194,14 @@ export function useRoom(roomCode) {
       useRoomStore.getState().updatePlayerReady(data.playerId, data.ready);
     });
 
+    const unsubSpectatorsUpdated = socket.subscribe('room:spectators-updated', (data) => {
+      useRoomStore.getState().setSpectatorCount(data.spectatorCount);
+    });
+
+    const unsubTeamsUpdated = socket.subscribe('room:teams-updated', (data) => {
+      useRoomStore.getState().setTeams(data.teams);
+    });
+
     const unsubGameStarted = socket.subscribe('game:started', (data) => {
       setRoomState(data);
     });
@@ -178,6 +210,8 @@ export function useRoom(roomCode) {
       unsubPlayerJoined();
       unsubPlayerLeft();
       unsubPlayerReady();
+      unsubSpectatorsUpdated();
+      unsubTeamsUpdated();
       unsubGameStarted();
     };
   }, [socket.isConnected, roomCode]);
@@ -195,24 +229,41 @@ export function useMatchmaking() {
   const [isInQueue, setIsInQueue] = useState(false);
   const [matchFound, setMatchFound] = useState(null);
   const [queueTime, setQueueTime] = useState(0);
+  const [botFillMs, setBotFillMs] = useState(null);
+  const [matchSize, setMatchSize] = useState(null);
+  const [rating, setRating] = useState(null);
   const timerRef = useRef(null);
 
   useEffect(() => {
     if (!socket.isConnected) return;
 
-    const unsubQueueJoined = socket.subscribe('quickplay:queue-joined', () => {
+    // Queue position and estimated wait (seconds) live in the room store
+    const clearQueueStatus = () => useRoomStore.getState().updateQueueStatus(null, null);
+
+    const unsubQueueJoined = socket.subscribe('quickplay:queue-joined', (data) => {
       setIsInQueue(true);
       setQueueTime(0);
+      setBotFillMs(data?.botFillMs || null);
+      setMatchSize(data?.matchSize || null);
 
-      // Start queue timer
+      // Start queue timer, counting the wait estimate down between server updates
       timerRef.current = setInterval(() => {
         setQueueTime((prev) => prev + 1);
+        const { queuePosition, estimatedWaitTime, updateQueueStatus } = useRoomStore.getState();
+        if (estimatedWaitTime > 0) updateQueueStatus(queuePosition, estimatedWaitTime - 1);
       }, 1000);
     });
 
+    const unsubQueueStatus = socket.subscribe('quickplay:queue-status', (data) => {
+      useRoomStore.getState().updateQueueStatus(data.position, data.estimatedWait);
+      setRating(data.rating ?? null);
+      if (data.matchSize) setMatchSize(data.matchSize);
+    });
+
     const unsubQueueLeft = socket.subscribe('quickplay:queue-left', () => {
       setIsInQueue(false);
       setQueueTime(0);
+      clearQueueStatus();
       if (timerRef.current) {
         clearInterval(timerRef.current);
       }
@@ -221,6 +272,7 @@ export function useMatchmaking() {
     const unsubMatchFound = socket.subscribe('quickplay:match-found', (data) => {
       setMatchFound(data);
       setIsInQueue(false);
+      clearQueueStatus();
       if (timerRef.current) {
         clearInterval(timerRef.current);
       }
@@ -228,6 +280,7 @@ export function useMatchmaking() {
 
     return () => {
       unsubQueueJoined();
+      unsubQueueStatus();
       unsubQueueLeft();
       unsubMatchFound();
       if (timerRef.current) {
@@ -236,8 +289,8 @@ export function useMatchmaking() {
     };
   }, [socket.isConnected]);
 
-  const joinQueue = useCallback((displayName, signature) => {
-    socket.joinMatchmaking(displayName, signature);
+  const joinQueue = useCallback((displayName, signature, genre = null) => {
+    socket.joinMatchmaking(displayName, signature, genre);
   }, [socket]);
 
   const leaveQueue = useCallback(() => {
@@ -249,9 +302,39 @@ export function useMatchmaking() {
     isInQueue,
     matchFound,
     queueTime,
+    botFillMs,
+    matchSize,
+    rating,
     joinQueue,
     leaveQueue,
   };
 }
 
+// Live list of public rooms for the lobby browser
+export function useLobbies() {
+  const { isConnected } = useSocket();
+  const [rooms, setRooms] = useState(null); // null until the first list arrives
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const handleUpdated = ({ rooms: publicRooms }) => setRooms(publicRooms);
+    socketClient.on('lobbies:updated', handleUpdated);
+    socketClient.subscribeLobbies()
+      .then((publicRooms) => {
+        setRooms(publicRooms);
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+
+    return () => {
+      socketClient.off('lobbies:updated', handleUpdated);
+      socketClient.unsubscribeLobbies();
+    };
+  }, [isConnected]);
+
+  return { isConnected, rooms, error };
+}
+
 export default useSocket;
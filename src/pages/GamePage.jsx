@@ -6,15 +6,22 @@ import { useRoomStore, useGameStore, useUserStore, useSettingsStore } from '../s
 import { socketClient } from '../services/socket/socketClient';
 import * as aiService from '../services/api/aiService';
 import { speakText, stopSpeaking } from '../services/ttsService';
+import { isSpeechRecognitionSupported, listenForResponse, stopListening } from '../services/speechRecognition';
+import { getTopClueValue, getFinalJeopardyWagerRange, clampWager } from '../services/wagerRules';
+import { canPerform, ROLE_LABELS } from '../services/hostRoles';
 import GenreSelector from '../components/setup/GenreSelector';
 import CategoryEditor from '../components/setup/CategoryEditor';
 import GameSettingsPanel from '../components/setup/GameSettingsPanel';
+import TeamsPanel from '../components/setup/TeamsPanel';
 import GameBoard from '../components/game/GameBoard';
 import QuestionModal from '../components/game/QuestionModal';
 import GameResults from '../components/game/GameResults';
+import ScoreTimeline from '../components/game/ScoreTimeline';
 import DailyDoubleModal from '../components/game/DailyDoubleModal';
 import Timer from '../components/common/Timer';
 import HostControlPanel from '../components/host/HostControlPanel';
+import AdmissionPanel from '../components/host/AdmissionPanel';
+import RoomAccessPanel from '../components/setup/RoomAccessPanel';
 import PlayerBuzzer from '../components/player/PlayerBuzzer';
 import AnswerInput from '../components/player/AnswerInput';
 import MultipleChoiceSelector from '../components/player/MultipleChoiceSelector';
@@ -35,10 +42,13 @@ export default function GamePage() {
   const navigate = useNavigate();
   const location = useLocation();
   const { leaveRoom, setReady, subscribe, isConnected } = useRoom(roomCode);
-  const { players, isHost, resetRoom, settings, updateSettings, roomType, hostModeState, clearHostModeAnswers, getTypedAnswers } = useRoomStore();
+  const { players, teams, isHost, isSpectator, spectatorCount, resetRoom, settings, updateSettings, roomType, hostModeState, clearHostModeAnswers, getTypedAnswers } = useRoomStore();
   const { setCategories, setQuestions, setPhase: setGamePhase } = useGameStore();
   const sessionId = useUserStore((s) => s.sessionId);
   const currentPlayerId = sessionId || socketClient.getSocketId();
+  // Host mode: 'host', a staff role ('coHost' | 'judge'), or null for contestants
+  const myRole = isHost ? 'host' : players.find(p => p.id === currentPlayerId)?.role || null;
+  const canSelectHostMode = canPerform(myRole, 'game:select-question');
   const textToSpeechEnabled = useSettingsStore((s) => s.textToSpeechEnabled);
 
   // Game phases: 'lobby' | 'setup' | 'categoryEdit' | 'generating' | 'playing' | 'finished'
@@ -47,6 +57,7 @@ export default function GamePage() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isReconnecting, setIsReconnecting] = useState(false);
+  const [botSkill, setBotSkill] = useState('medium');
 
   // Setup state (host only)
   const [genre, setGenre] = useState('');
@@ -59,16 +70,23 @@ export default function GamePage() {
   const [currentQuestion, setCurrentQuestion] = useState(null);
   const [showAnswer, setShowAnswer] = useState(false);
   const [canBuzz, setCanBuzz] = useState(false);
-  const [signalArrivedTime, setSignalArrivedTime] = useState(null);
+  const [signalArrivedTime, setSignalArrivedTime] = useState(null); // When the buzzer unlocks
+  const [buzzerReading, setBuzzerReading] = useState(false); // Clue still being read (early buzz lockout)
+  const [buzzLockedOut, setBuzzLockedOut] = useState(false); // Serving an early buzz penalty
+  const buzzLockoutTimerRef = useRef(null);
   const [buzzerWinnerId, setBuzzerWinnerId] = useState(null);
   const [buzzerWinnerReactionTime, setBuzzerWinnerReactionTime] = useState(null);
   const [revealedQuestions, setRevealedQuestions] = useState(new Set());
   const [buzzTimerKey, setBuzzTimerKey] = useState(0); // Key to reset timer on new question
+  const [serverTimer, setServerTimer] = useState(null); // { phase, deadline (local clock), duration } from the server
   const [answerTimerKey, setAnswerTimerKey] = useState(0); // Key for answer phase timer
   const [buzzTimedOut, setBuzzTimedOut] = useState(false); // Show timeout view with answer
   const [hasContinued, setHasContinued] = useState(false); // Player clicked Continue
   const [waitingForOthers, setWaitingForOthers] = useState(false); // Waiting for other players to continue
   const [correctAnswerReveal, setCorrectAnswerReveal] = useState(null); // Show correct answer to all after scoring
+  const [buzzResponse, setBuzzResponse] = useState(''); // Buzzer winner's typed/spoken response
+  const [isListening, setIsListening] = useState(false);
+  const [answerVerdict, setAnswerVerdict] = useState(null); // Server's judgment of the last response
   const [hasSkipped, setHasSkipped] = useState(false); // Player clicked "I Don't Know"
   const [hasAlreadyBuzzed, setHasAlreadyBuzzed] = useState(false); // Player already buzzed (wrong answer) this question
   const hasAlreadyBuzzedRef = useRef(false);
@@ -84,6 +102,7 @@ export default function GamePage() {
   const [isDailyDouble, setIsDailyDouble] = useState(false);
   const [dailyDoubleWager, setDailyDoubleWager] = useState(0);
   const [dailyDoublePhase, setDailyDoublePhase] = useState(null); // 'wager' | 'question' | null
+  const [dailyDoubleWagerError, setDailyDoubleWagerError] = useState(null);
   const [currentRound, setCurrentRound] = useState(1);
 
   // Final Jeopardy state
@@ -92,15 +111,27 @@ export default function GamePage() {
   const [fjWager, setFjWager] = useState(0);
   const [fjAnswer, setFjAnswer] = useState('');
   const [fjWagerSubmitted, setFjWagerSubmitted] = useState(false);
+  const [fjWagerError, setFjWagerError] = useState(null);
   const [fjAnswerSubmitted, setFjAnswerSubmitted] = useState(false);
   const [fjResults, setFjResults] = useState(null); // Array of { playerId, playerName, wager, answer, correct, finalScore }
 
+  // { at, by, byName } while the host has the game paused
+  const [gamePaused, setGamePaused] = useState(null);
+
+  // Every score change in the game, fetched for the final standings
+  const [scoreLedger, setScoreLedger] = useState(null);
+
   // Host Mode state (for hosted games where roomType === 'host')
   const [hostBuzzerOpen, setHostBuzzerOpen] = useState(false);
   const [hostAnswerWindowOpen, setHostAnswerWindowOpen] = useState(false);
   const [playerHasSubmitted, setPlayerHasSubmitted] = useState(false);
   const [mcCorrectIndex, setMcCorrectIndex] = useState(null);
   const [typedAnswersForHost, setTypedAnswersForHost] = useState([]);
+  const [buzzQueue, setBuzzQueue] = useState([]); // Verbal mode: [{ playerId, reactionTime }], head has the floor
+
+  // Admission: players knocking to get in, and who's banned
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [bans, setBans] = useState([]);
 
   const isHostMode = roomType === 'host';
   const answerMode = settings?.answerMode || 'verbal';
@@ -131,6 +162,15 @@ export default function GamePage() {
     }
   }, [location.state]);
 
+  // Matched quickplay rooms skip the lobby and open on the genre the players queued for
+  useEffect(() => {
+    if (location.state?.quickplayMatch) {
+      setGenre(location.state.quickplayMatch.genre || '');
+      setPhase('setup');
+      window.history.replaceState({}, document.title);
+    }
+  }, [location.state]);
+
   // Handle late join — restore game state from navigation state
   useEffect(() => {
     if (location.state?.lateJoin && location.state?.gameState) {
@@ -191,21 +231,32 @@ export default function GamePage() {
           if (result.players) {
             useRoomStore.getState().setPlayers(result.players);
           }
+          if (result.teams) {
+            useRoomStore.getState().setTeams(result.teams);
+          }
           if (result.settings) {
             useRoomStore.getState().updateSettings(result.settings);
           }
           if (result.isHost !== undefined) {
             useRoomStore.getState().setIsHost(result.isHost);
           }
+          useRoomStore.getState().setIsSpectator(!!result.isSpectator);
+          if (result.spectatorCount !== undefined) {
+            useRoomStore.getState().setSpectatorCount(result.spectatorCount);
+          }
           if (result.type) {
             useRoomStore.getState().setRoomType(result.type);
           }
 
+          if (result.joinRequests) setJoinRequests(result.joinRequests);
+          if (result.bans) setBans(result.bans);
+
           // Restore game state if game is in progress
           if (result.gameState) {
             const gs = result.gameState;
 
             // Restore categories and questions
+            if (gs.genre) setGenre(gs.genre);
             if (gs.categories) setLocalCategories(gs.categories);
             if (gs.questions) {
               setLocalQuestions(gs.questions);
@@ -230,8 +281,21 @@ export default function GamePage() {
             }
 
             // Restore buzzer state (server uses buzzedPlayerId)
+            setGamePaused(gs.paused || null);
+            if (gs.buzzQueue) setBuzzQueue(gs.buzzQueue);
             if (gs.buzzedPlayerId) {
               setBuzzerWinnerId(gs.buzzedPlayerId);
+            } else if (gs.buzzWindowOpen && gs.currentQuestion && result.type !== 'host' && !result.isSpectator) {
+              // Mid buzz window - the buzzer picks up where the server is
+              const unlocksAt = socketClient.toLocalTime(gs.buzzWindowStartTime);
+              setSignalArrivedTime(unlocksAt);
+              setBuzzerReading(unlocksAt > Date.now());
+              setCanBuzz(true);
+            }
+
+            // Resume whatever countdown is running from the server's deadline
+            if (gs.timer) {
+              setServerTimer({ ...gs.timer, deadline: socketClient.toLocalTime(gs.timer.deadline) });
             }
 
             // Restore host mode states
@@ -245,7 +309,13 @@ export default function GamePage() {
 
             if (gs.phase === 'playing' || (hasQuestions && !gs.phase)) {
               setPhase('playing');
+            } else if (gs.phase === 'roundEnd') {
+              setPhase('roundEnd');
             } else if (gs.phase === 'finalJeopardy') {
+              if (gs.finalJeopardy) {
+                setFinalJeopardyData(gs.finalJeopardy);
+                setFjPhase(gs.timer?.phase === 'fjAnswer' ? 'clue' : 'wager');
+              }
               setPhase('finalJeopardy');
             } else if (gs.phase === 'dailyDouble') {
               setIsDailyDouble(true);
@@ -258,6 +328,9 @@ export default function GamePage() {
               setPhase('lobby');
             }
           }
+          if (result.gamePhase === 'setup' && !result.gameState?.categories) {
+            setPhase('setup');
+          }
 
           setIsReconnecting(false);
         })
@@ -320,10 +393,13 @@ export default function GamePage() {
     });
 
     // Question selected by picker
-    const unsubQuestionSelected = subscribe('game:question-selected', ({ categoryIndex, pointIndex, question, isDailyDouble: isDD }) => {
+    const unsubQuestionSelected = subscribe('game:question-selected', ({ categoryIndex, pointIndex, question, isDailyDouble: isDD, pickerId, buzzUnlocksIn = 0 }) => {
       setCurrentQuestion({ ...question, categoryIndex, pointIndex });
+      // In team play any teammate may pick; whoever did plays a Daily Double
+      if (pickerId) setCurrentPickerId(pickerId);
       setRevealedQuestions(prev => new Set([...prev, `${categoryIndex}-${pointIndex}`]));
       setShowAnswer(false);
+      setAnswerVerdict(null);
       setSuggestions({});
       // Reset continue states for new question
       setHasContinued(false);
@@ -332,6 +408,7 @@ export default function GamePage() {
       setHasSkipped(false);
       setHasAlreadyBuzzed(false);
       hasAlreadyBuzzedRef.current = false;
+      setBuzzQueue([]);
 
       if (isDD) {
         // Daily Double - show wager modal to picker, announcement to others
@@ -341,11 +418,13 @@ export default function GamePage() {
         setBuzzerWinnerId(null);
         // TTS will be triggered when wager is confirmed
       } else {
-        // Regular question - start buzz window
+        // Regular question - start buzz window (spectators only watch)
         setIsDailyDouble(false);
         setDailyDoublePhase(null);
-        setSignalArrivedTime(Date.now());
-        setCanBuzz(true);
+        // With early buzz lockout the buzzer unlocks once the clue has been read
+        setSignalArrivedTime(Date.now() + buzzUnlocksIn);
+        setBuzzerReading(buzzUnlocksIn > 0);
+        setCanBuzz(!useRoomStore.getState().isSpectator);
         setBuzzerWinnerId(null);
         // Reset timer for new question
         setBuzzTimerKey(prev => prev + 1);
@@ -356,9 +435,23 @@ export default function GamePage() {
       }
     });
 
+    // The server started a countdown - timers render from its deadline
+    const unsubTimer = subscribe('game:timer', (timer) => {
+      setServerTimer({ ...timer, deadline: socketClient.toLocalTime(timer.deadline) });
+    });
+
+    // Buzzed before the buzzer unlocked - locked out for a moment
+    const unsubBuzzLockedOut = subscribe('game:buzz-locked-out', ({ lockoutMs }) => {
+      clearTimeout(buzzLockoutTimerRef.current);
+      setBuzzLockedOut(true);
+      buzzLockoutTimerRef.current = setTimeout(() => setBuzzLockedOut(false), lockoutMs);
+    });
+
     // Someone buzzed first
     const unsubBuzzerWinner = subscribe('game:buzzer-winner', ({ playerId, playerName, reactionTime }) => {
       setBuzzerWinnerId(playerId);
+      setBuzzResponse('');
+      setAnswerVerdict(null);
       setBuzzerWinnerReactionTime(reactionTime);  // Store reaction time to display
       setCanBuzz(false);
       setBuzzTimedOut(false);  // Server is authoritative — clear any local timeout
@@ -367,12 +460,17 @@ export default function GamePage() {
     });
 
     // Answer result
-    const unsubAnswerResult = subscribe('game:answer-result', ({ playerId, correct, newScore, nextPickerId, canBuzzAgain, correctAnswer }) => {
+    const unsubAnswerResult = subscribe('game:answer-result', ({ playerId, correct, response, timeout, newScore, nextPickerId, canBuzzAgain, correctAnswer }) => {
       // Update player score in room store
       if (playerId) {
         useRoomStore.getState().updatePlayerScore(playerId, newScore);
       }
 
+      // Show everyone what was said and how the server judged it
+      stopListening();
+      setIsListening(false);
+      setAnswerVerdict({ playerId, correct, response, timeout: !!timeout });
+
       if (correct) {
         setBuzzerWinnerId(null);
         setCanBuzz(false);
@@ -419,8 +517,12 @@ export default function GamePage() {
     });
 
     // Buzz timeout - no one buzzed in time (server-driven)
-    const unsubBuzzTimeout = subscribe('game:buzz-timeout-result', ({ nextPickerId }) => {
+    const unsubBuzzTimeout = subscribe('game:buzz-timeout-result', ({ nextPickerId, question }) => {
       // Don't clear currentQuestion yet - show timeout view with answer first
+      // (the server only sends the correct response now that it's revealed)
+      if (question?.question) {
+        setCurrentQuestion(prev => (prev ? { ...prev, question: question.question } : prev));
+      }
       setBuzzerWinnerId(null);
       setCanBuzz(false);
       setBuzzTimedOut(true);
@@ -438,15 +540,15 @@ export default function GamePage() {
       setCurrentPickerId(nextPickerId);
     });
 
-    // Answer revealed by buzzer winner (broadcast to all players)
-    const unsubAnswerRevealed = subscribe('game:answer-revealed', ({ playerId, answer }) => {
-      setShowAnswer(true);
-    });
-
     // Daily Double wager confirmed - show question to everyone
     const unsubDDWagerConfirmed = subscribe('game:daily-double-wager-confirmed', ({ wager, question }) => {
       setDailyDoubleWager(wager);
+      setDailyDoubleWagerError(null);
       setDailyDoublePhase('question');
+      // The clue text arrives with the wager confirmation
+      if (question?.answer) {
+        setCurrentQuestion(prev => (prev ? { ...prev, answer: question.answer } : prev));
+      }
       // Read the Daily Double clue aloud
       if (textToSpeechEnabled && question?.answer) {
         speakText(question.answer);
@@ -499,12 +601,14 @@ export default function GamePage() {
     });
 
     // Final Jeopardy - Show clue (all wagers in)
-    const unsubFJShowClue = subscribe('game:fj-show-clue', () => {
+    const unsubFJShowClue = subscribe('game:fj-show-clue', ({ clue } = {}) => {
+      if (clue) setFinalJeopardyData(prev => ({ ...prev, clue }));
       setFjPhase('clue');
     });
 
     // Final Jeopardy - Reveal results
-    const unsubFJReveal = subscribe('game:fj-reveal', ({ results }) => {
+    const unsubFJReveal = subscribe('game:fj-reveal', ({ results, correctAnswer }) => {
+      if (correctAnswer) setFinalJeopardyData(prev => ({ ...prev, answer: correctAnswer }));
       setFjResults(results);
       setFjPhase('reveal');
       // Update all player scores
@@ -513,6 +617,32 @@ export default function GamePage() {
       });
     });
 
+    // Host adjusted a player's (or team's) score
+    const unsubScoreOverridden = subscribe('host:score-overridden', ({ playerId, teamId, newScore }) => {
+      if (teamId) {
+        useRoomStore.getState().updateTeamScore(teamId, newScore);
+      } else {
+        useRoomStore.getState().updatePlayerScore(playerId, newScore);
+      }
+    });
+
+    // Host froze the game - the server stops every countdown until it resumes
+    const unsubGamePaused = subscribe('game:paused', (paused) => {
+      setGamePaused(paused);
+    });
+
+    const unsubGameResumed = subscribe('game:resumed', ({ pausedMs }) => {
+      setGamePaused(null);
+      // A clue that was still being read unlocks that much later
+      setSignalArrivedTime(prev => (prev ? prev + pausedMs : prev));
+    });
+
+    // Host (or staff) undid recent score changes
+    const unsubScoresUndone = subscribe('host:scores-undone', ({ scores, currentPickerId: pickerId }) => {
+      useRoomStore.getState().applyScores(scores);
+      if (pickerId) setCurrentPickerId(pickerId);
+    });
+
     // Game ended
     const unsubGameEnded = subscribe('game:ended', () => {
       setPhase('finished');
@@ -552,6 +682,7 @@ export default function GamePage() {
       setBuzzerWinnerReactionTime(null);  // Reset reaction time for next question
       setPlayerHasSubmitted(false);  // Reset player's "you buzzed" state for next question
       setHostAnswerWindowOpen(false);
+      setBuzzQueue([]);
       clearHostModeAnswers();
       if (correct && nextPickerId) {
         setCurrentPickerId(nextPickerId);
@@ -566,9 +697,23 @@ export default function GamePage() {
       setBuzzerWinnerReactionTime(null);  // Reset reaction time for next question
       setPlayerHasSubmitted(false);  // Reset player's "you buzzed" state for next question
       setHostAnswerWindowOpen(false);
+      setBuzzQueue([]);
       clearHostModeAnswers();
     });
 
+    // Someone joined the buzz queue
+    const unsubBuzzQueue = subscribe('host:buzz-queue', ({ queue }) => {
+      setBuzzQueue(queue);
+    });
+
+    // Host ruled the player with the floor wrong - the next in line answers
+    const unsubPassedToNext = subscribe('host:passed-to-next', ({ judged, next, queue }) => {
+      useRoomStore.getState().updatePlayerScore(judged.playerId, judged.newScore);
+      setBuzzQueue(queue);
+      setBuzzerWinnerId(next?.playerId || null);
+      setBuzzerWinnerReactionTime(next?.reactionTime ?? null);
+    });
+
     // Typed answers update for host view
     const unsubTypedAnswersUpdate = subscribe('host:typed-answers-update', ({ answers }) => {
       setTypedAnswersForHost(answers);
@@ -602,6 +747,28 @@ export default function GamePage() {
       });
     });
 
+    // Host changed hands (migration after a disconnect, or a transfer)
+    const unsubHostChanged = subscribe('room:host-changed', ({ hostId, previousHostId, roles }) => {
+      useRoomStore.getState().setRoomHost(hostId, roles, currentPlayerId);
+      // The presenter always picks in host mode
+      if (roomType === 'host') {
+        setCurrentPickerId(prev => (prev === previousHostId ? hostId : prev));
+      }
+    });
+
+    const unsubJoinRequests = subscribe('room:join-requests', ({ requests }) => {
+      setJoinRequests(requests);
+    });
+
+    const unsubBansUpdated = subscribe('room:bans-updated', ({ bans: roomBans }) => {
+      setBans(roomBans);
+    });
+
+    // Host mode staff roles changed
+    const unsubRolesUpdated = subscribe('room:roles-updated', ({ roles }) => {
+      useRoomStore.getState().setRoles(roles);
+    });
+
     // Player was kicked
     const unsubPlayerKicked = subscribe('host:player-kicked', ({ playerId }) => {
       useRoomStore.getState().removePlayer(playerId);
@@ -620,12 +787,14 @@ export default function GamePage() {
       unsubCategoryEdited();
       unsubQuestionsReady();
       unsubQuestionSelected();
+      unsubTimer();
+      unsubBuzzLockedOut();
+      clearTimeout(buzzLockoutTimerRef.current);
       unsubBuzzerWinner();
       unsubAnswerResult();
       unsubQuestionSuggested();
       unsubBuzzTimeout();
       unsubAllContinued();
-      unsubAnswerRevealed();
       unsubDDWagerConfirmed();
       unsubDDResult();
       unsubRoundEnd();
@@ -633,6 +802,10 @@ export default function GamePage() {
       unsubFJStart();
       unsubFJShowClue();
       unsubFJReveal();
+      unsubScoreOverridden();
+      unsubGamePaused();
+      unsubGameResumed();
+      unsubScoresUndone();
       unsubGameEnded();
       // Host mode unsubscribes
       unsubHostBuzzerOpened();
@@ -641,34 +814,31 @@ export default function GamePage() {
       unsubHostAnswerWindowClosed();
       unsubHostAnswerJudged();
       unsubHostQuestionSkipped();
+      unsubBuzzQueue();
+      unsubPassedToNext();
       unsubTypedAnswersUpdate();
       unsubMCResults();
       unsubAutoGradeResults();
+      unsubHostChanged();
+      unsubJoinRequests();
+      unsubBansUpdated();
+      unsubRolesUpdated();
       unsubPlayerKicked();
     };
-  }, [isConnected, roomCode, isHost, subscribe, updateSettings, answerMode, currentPlayerId, navigate, clearHostModeAnswers]);
+  }, [isConnected, roomCode, isHost, roomType, subscribe, updateSettings, answerMode, currentPlayerId, navigate, clearHostModeAnswers]);
 
   // Check if all questions revealed - handle round transition
-  // Only check when no question is currently active (so last question can be played)
+  // Only check when no question is currently active (so last question can be played).
+  // The server checks the board and decides between Double Jeopardy, Final Jeopardy and the end.
   useEffect(() => {
-    if (phase === 'playing' && questions.length > 0 && !currentQuestion) {
+    if (phase === 'playing' && questions.length > 0 && !currentQuestion && isHost) {
       const totalQuestions = questions.length * (questions[0]?.length || 0);
       if (revealedQuestions.size >= totalQuestions) {
-        // Check if we should go to round 2
-        if (currentRound === 1 && settings?.enableDoubleJeopardy && isHost) {
-          // Host triggers round 2
-          socketClient.emit('game:round-end', { roomCode, round: 1 });
-        } else if (currentRound === 2 || !settings?.enableDoubleJeopardy) {
-          // Game over - check for Final Jeopardy
-          if (settings?.enableFinalJeopardy && isHost) {
-            socketClient.emit('game:start-final-jeopardy', { roomCode });
-          } else {
-            socketClient.emit('game:end', { roomCode });
-          }
-        }
+        // The server ignores this if the round has already moved on
+        socketClient.emit('game:round-end', { roomCode });
       }
     }
-  }, [revealedQuestions, questions, phase, roomCode, currentRound, settings, isHost, currentQuestion]);
+  }, [revealedQuestions, questions, phase, roomCode, isHost, currentQuestion]);
 
   // Read Final Jeopardy clue when it's shown
   useEffect(() => {
@@ -691,6 +861,42 @@ export default function GamePage() {
     }
   };
 
+  const handleBanPlayer = (playerId) => {
+    if (confirm('Remove this player and ban them from rejoining?')) {
+      socketClient.emit('host:kick-player', { roomCode, playerId, ban: true });
+    }
+  };
+
+  const handleTransferHost = async (playerId) => {
+    if (!confirm('Hand control of the room to this player?')) return;
+    setError(null);
+    try {
+      await socketClient.transferHost(roomCode, playerId);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Host mode: co-hosts run the board (and take over if the host drops), judges judge answers
+  const handleSetRole = async (playerId, role) => {
+    setError(null);
+    try {
+      await socketClient.setRole(roomCode, playerId, role || null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Host fills an empty seat with a computer contestant
+  const handleAddBot = async () => {
+    setError(null);
+    try {
+      await socketClient.addBot(roomCode, botSkill);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handleToggleReady = () => {
     const newReady = !isReady;
     setIsReady(newReady);
@@ -863,17 +1069,8 @@ export default function GamePage() {
         }));
       });
 
-      // Pick random first player for round 2
-      const playerIds = players.map(p => p.id);
-      const firstPickerId = playerIds[Math.floor(Math.random() * playerIds.length)];
-
-      // Broadcast round 2 start
-      socketClient.emit('game:start-round-2', {
-        roomCode,
-        questions: questionGrid,
-        categories: newCategories,
-        firstPickerId,
-      });
+      // Server picks who goes first (lowest score) and broadcasts round 2 start
+      await socketClient.startRound2(roomCode, questionGrid, newCategories);
     } catch (err) {
       console.error('Error starting round 2:', err);
       setError(err.message || 'Failed to start Double Jeopardy');
@@ -886,7 +1083,7 @@ export default function GamePage() {
   const handleQuestionSelect = (categoryIndex, pointIndex) => {
     // In host mode, only host can select. In regular mode, only current picker.
     if (isHostMode) {
-      if (!isHost) return; // Only host can select in host mode
+      if (!canSelectHostMode) return; // Only the host (or co-host) can select in host mode
     } else {
       if (currentPickerId !== currentPlayerId) return; // Not my turn
     }
@@ -899,8 +1096,9 @@ export default function GamePage() {
       setCurrentQuestion({ ...question, categoryIndex, pointIndex });
       setRevealedQuestions(prev => new Set([...prev, `${categoryIndex}-${pointIndex}`]));
 
-      // In host mode, host controls buzzer via control panel, not auto-buzz
-      if (!isHostMode) {
+      // In host mode, host controls buzzer via control panel, not auto-buzz.
+      // With early buzz lockout the server says when the buzzer unlocks.
+      if (!isHostMode && !settings?.earlyBuzzLockout) {
         setSignalArrivedTime(Date.now());
         setCanBuzz(true);
         setBuzzerWinnerId(null);
@@ -921,16 +1119,56 @@ export default function GamePage() {
     socketClient.emit('game:suggest-question', { roomCode, categoryIndex, pointIndex });
   };
 
+  // Unlock the buzzer (and start its timer) once the clue has been read
+  useEffect(() => {
+    if (!buzzerReading || !signalArrivedTime) return;
+    const timer = setTimeout(() => {
+      setBuzzerReading(false);
+      setBuzzTimerKey(prev => prev + 1);
+    }, Math.max(0, signalArrivedTime - Date.now()));
+    return () => clearTimeout(timer);
+  }, [buzzerReading, signalArrivedTime]);
+
+  useEffect(() => {
+    if (phase !== 'finished') return;
+    socketClient.getScoreLedger(roomCode)
+      .then(setScoreLedger)
+      .catch((err) => {
+        setScoreLedger([]);
+        setError(`Score timeline unavailable: ${err.message}`);
+      });
+  }, [phase, roomCode]);
+
+  const handlePause = () => {
+    socketClient.pauseGame(roomCode).catch(err => setError(err.message));
+  };
+
+  const handleResume = () => {
+    socketClient.resumeGame(roomCode).catch(err => setError(err.message));
+  };
+
   // Player buzzes in
   const handleBuzz = useCallback(() => {
-    if (!canBuzz || !signalArrivedTime) return;
+    if (!canBuzz || !signalArrivedTime || buzzLockedOut || gamePaused) return;
 
-    const reactionTime = Date.now() - signalArrivedTime;
-    socketClient.emit('game:buzz-in', { roomCode, reactionTime });
+    // Too early - the server answers with a lockout and the buzzer stays live
+    if (Date.now() < signalArrivedTime) {
+      socketClient.emit('game:buzz-in', { roomCode, reactionTime: 0 });
+      return;
+    }
+
+    // Reaction time is measured from when the clue reached us; the synced press
+    // time lets the server compensate for our latency
+    const pressedAt = Date.now();
+    socketClient.emit('game:buzz-in', {
+      roomCode,
+      reactionTime: pressedAt - signalArrivedTime,
+      pressedAt: socketClient.toServerTime(pressedAt),
+    });
     setCanBuzz(false);
     setHasAlreadyBuzzed(true);
     hasAlreadyBuzzedRef.current = true;
-  }, [canBuzz, signalArrivedTime, roomCode]);
+  }, [canBuzz, signalArrivedTime, buzzLockedOut, gamePaused, roomCode]);
 
   // Keyboard shortcut for buzzing in (Space/Enter)
   useEffect(() => {
@@ -953,13 +1191,6 @@ export default function GamePage() {
     socketClient.emit('game:skip-question', { roomCode });
   }, [roomCode]);
 
-  // Buzz timer expired - no one buzzed in time
-  const handleBuzzTimeUp = useCallback(() => {
-    setCanBuzz(false);
-    setBuzzTimedOut(true);  // Show timeout display with answer and Continue button
-    // Server may also emit 'game:buzz-timeout-result' if it started its timer
-  }, []);
-
   // Continue after timeout - notify server, wait for all players
   const handleTimeoutContinue = useCallback(() => {
     setHasContinued(true);
@@ -971,20 +1202,42 @@ export default function GamePage() {
   // Note: Server now handles timeout, this just updates local UI
   const handleAnswerTimeUp = useCallback(() => {
     // Server will emit 'game:answer-result' with timeout: true
-    setShowAnswer(false);
+    stopListening();
+    setIsListening(false);
   }, []);
 
-  // Reveal answer - broadcasts to all players so everyone sees
-  const handleRevealAnswer = useCallback(() => {
-    socketClient.emit('game:reveal-answer', { roomCode });
-  }, [roomCode]);
+  // Buzzer winner speaks their response instead of typing it
+  const handleSpeakResponse = useCallback(async () => {
+    setIsListening(true);
+    try {
+      const transcript = await listenForResponse();
+      if (transcript) setBuzzResponse(transcript);
+    } catch (err) {
+      console.error('Speech recognition failed:', err);
+    } finally {
+      setIsListening(false);
+    }
+  }, []);
 
   // Daily Double wager confirmed
-  const handleDailyDoubleWager = useCallback((wager) => {
-    socketClient.emit('game:daily-double-wager', {
-      roomCode,
-      wager,
-    });
+  const handleDailyDoubleWager = useCallback(async (wager) => {
+    setDailyDoubleWagerError(null);
+    try {
+      await socketClient.submitDailyDoubleWager(roomCode, wager);
+    } catch (err) {
+      setDailyDoubleWagerError(err.message);
+    }
+  }, [roomCode]);
+
+  // Daily Double player reveals the correct response (server only sends it on request)
+  const handleRevealDailyDouble = useCallback(async () => {
+    try {
+      const { correctAnswer } = await socketClient.revealDailyDoubleResponse(roomCode);
+      setCurrentQuestion(prev => (prev ? { ...prev, question: correctAnswer } : prev));
+      setShowAnswer(true);
+    } catch (err) {
+      console.error('Failed to reveal Daily Double response:', err);
+    }
   }, [roomCode]);
 
   // Daily Double answer submitted
@@ -997,17 +1250,16 @@ export default function GamePage() {
   }, [roomCode]);
 
   // Final Jeopardy wager submitted
-  const handleFJWagerSubmit = useCallback(() => {
-    const myScore = players.find(p => p.id === currentPlayerId)?.score || 0;
-    const maxWager = Math.max(myScore, 0);
-    const validWager = Math.min(Math.max(0, fjWager), maxWager);
-
-    socketClient.emit('game:fj-wager', {
-      roomCode,
-      wager: validWager,
-    });
+  const handleFJWagerSubmit = useCallback(async () => {
+    setFjWagerError(null);
     setFjWagerSubmitted(true);
-  }, [roomCode, fjWager, players, currentPlayerId]);
+    try {
+      await socketClient.submitFinalJeopardyWager(roomCode, fjWager);
+    } catch (err) {
+      setFjWagerError(err.message);
+      setFjWagerSubmitted(false);
+    }
+  }, [roomCode, fjWager]);
 
   // Final Jeopardy answer submitted
   const handleFJAnswerSubmit = useCallback(() => {
@@ -1018,49 +1270,45 @@ export default function GamePage() {
     setFjAnswerSubmitted(true);
   }, [roomCode, fjAnswer]);
 
-  // Final Jeopardy timeout handlers
-  const handleFJWagerTimeUp = useCallback(() => {
-    if (!fjWagerSubmitted) {
-      // Auto-submit $0 wager
-      socketClient.emit('game:fj-wager', {
-        roomCode,
-        wager: 0,
-      });
-      setFjWagerSubmitted(true);
-    }
-  }, [roomCode, fjWagerSubmitted]);
-
-  const handleFJAnswerTimeUp = useCallback(() => {
-    if (!fjAnswerSubmitted) {
-      // Auto-submit empty answer
-      socketClient.emit('game:fj-answer', {
-        roomCode,
-        answer: '',
-      });
-      setFjAnswerSubmitted(true);
-    }
-  }, [roomCode, fjAnswerSubmitted]);
-
-  // Buzzer winner submits answer
-  const handleAnswerResult = (correct) => {
+  // Buzzer winner submits their response - the server judges it
+  const handleSubmitResponse = (e) => {
+    e?.preventDefault();
+    stopListening();
+    setIsListening(false);
     socketClient.emit('game:submit-answer', {
       roomCode,
-      correct,
-      points: currentQuestion.points,
+      response: buzzResponse.trim(),
     });
-    setShowAnswer(false);
   };
 
   const allPlayersReady = players.length >= 2 &&
     players.every(p => p.isReady || p.isHost);
 
+  // The server's countdown for a timed phase, if one is running
+  const timerFor = (timerPhase) => (serverTimer?.phase === timerPhase ? serverTimer : null);
+
+  const isTeamPlay = !!settings?.teamMode && teams.length > 0;
+  const myTeamId = players.find(p => p.id === currentPlayerId)?.teamId;
   const isMyTurn = currentPickerId === currentPlayerId;
-  const iAmBuzzerWinner = buzzerWinnerId === currentPlayerId;
   const currentPicker = players.find(p => p.id === currentPickerId);
+  const currentPickerTeam = isTeamPlay ? teams.find(t => t.id === currentPicker?.teamId) : null;
+  // Any member of the picking team may choose the next clue
+  const canPick = isMyTurn || (!!currentPickerTeam && currentPickerTeam.id === myTeamId);
+  const canSuggest = !canPick && !isHostMode && !isSpectator;
+  const iAmBuzzerWinner = buzzerWinnerId === currentPlayerId;
   const buzzerWinner = players.find(p => p.id === buzzerWinnerId);
+  const fjWagerRange = getFinalJeopardyWagerRange(players.find(p => p.id === currentPlayerId)?.score || 0);
+
+  // Standings list teams instead of individual players in team play
+  const standings = isTeamPlay
+    ? [...teams].sort((a, b) => (b.score || 0) - (a.score || 0))
+    : [...players].sort((a, b) => (b.score || 0) - (a.score || 0));
 
   // Helper to render player name (signature image or text fallback)
   const renderPlayerName = (player, className = 'player-name') => {
+    if (isTeamPlay && teams.some(t => t.id === player?.id)) {
+      return <span className={className}>{player.name}</span>;
+    }
     if (player?.signature) {
       return <img src={player.signature} alt={player.displayName || player.name} className="player-signature" />;
     }
@@ -1090,6 +1338,26 @@ export default function GamePage() {
         )}
       </AnimatePresence>
 
+      {/* Paused Overlay */}
+      <AnimatePresence>
+        {gamePaused && (
+          <motion.div
+            className="loading-overlay paused-overlay"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+          >
+            <h2>Game Paused</h2>
+            <p>{gamePaused.byName} paused the game. Timers are stopped.</p>
+            {canPerform(myRole, 'host:resume') && (
+              <button className="btn-primary" onClick={handleResume}>
+                Resume
+              </button>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Header */}
       <header className="game-header">
         <h1>
@@ -1100,8 +1368,29 @@ export default function GamePage() {
         <div className="room-code-badge">
           Room: <span>{roomCode}</span>
         </div>
+        {(isSpectator || spectatorCount > 0) && (
+          <div className="room-code-badge spectator-badge">
+            {isSpectator ? 'Spectating' : 'Watching'}: <span>{spectatorCount}</span>
+          </div>
+        )}
+        {['playing', 'roundEnd', 'finalJeopardy'].includes(phase) && !gamePaused && canPerform(myRole, 'host:pause') && (
+          <button className="btn-pause" onClick={handlePause}>
+            Pause
+          </button>
+        )}
       </header>
 
+      {/* Mid-game knocks in private rooms (host mode shows these in the control panel) */}
+      {phase !== 'lobby' && !isHostMode && myRole && (
+        <div className="admission-banner">
+          <AdmissionPanel
+            roomCode={roomCode}
+            requests={joinRequests}
+            canAdmit={canPerform(myRole, 'host:approve-join')}
+          />
+        </div>
+      )}
+
       {/* LOBBY PHASE */}
       {phase === 'lobby' && (
         <div className="game-content">
@@ -1118,16 +1407,46 @@ export default function GamePage() {
                   <div className="player-name-container">
                     {renderPlayerName(player)}
                     {player.isHost && <span className="host-tag">Host</span>}
+                    {player.role && <span className="host-tag">{ROLE_LABELS[player.role]}</span>}
+                    {player.isBot && <span className="bot-tag">Bot</span>}
                   </div>
                   <span className={`ready-badge ${player.isReady ? 'ready' : ''}`}>
                     {player.isHost ? 'Host' : player.isReady ? 'Ready' : 'Not Ready'}
                   </span>
+                  {isHost && isHostMode && !player.isHost && !player.isBot && (
+                    <select
+                      className="role-select"
+                      value={player.role || ''}
+                      onChange={(e) => handleSetRole(player.id, e.target.value)}
+                    >
+                      <option value="">Player</option>
+                      <option value="coHost">Co-host</option>
+                      <option value="judge">Judge</option>
+                    </select>
+                  )}
+                  {isHost && !player.isHost && !player.isBot && player.isConnected !== false
+                    && (!isHostMode || player.role === 'coHost') && (
+                    <button
+                      className="btn-host-role"
+                      onClick={() => handleTransferHost(player.id)}
+                    >
+                      Make Host
+                    </button>
+                  )}
                   {isHost && !player.isHost && (
                     <button
                       className="btn-kick-lobby"
                       onClick={() => handleKickPlayer(player.id)}
                     >
-                      Kick
+                      {player.isBot ? 'Remove' : 'Kick'}
+                    </button>
+                  )}
+                  {isHost && !player.isHost && !player.isBot && (
+                    <button
+                      className="btn-kick-lobby"
+                      onClick={() => handleBanPlayer(player.id)}
+                    >
+                      Ban
                     </button>
                   )}
                 </motion.li>
@@ -1137,8 +1456,44 @@ export default function GamePage() {
             {players.length === 0 && (
               <p className="waiting-text">Waiting for players to join...</p>
             )}
+
+            {myRole && (
+              <AdmissionPanel
+                roomCode={roomCode}
+                requests={joinRequests}
+                bans={bans}
+                canAdmit={canPerform(myRole, 'host:approve-join')}
+                canUnban={canPerform(myRole, 'host:kick-player')}
+              />
+            )}
+
+            {isHost && !isHostMode && players.length < (settings?.maxPlayers || 6) && (
+              <div className="add-bot">
+                <select value={botSkill} onChange={(e) => setBotSkill(e.target.value)}>
+                  <option value="easy">Easy</option>
+                  <option value="medium">Medium</option>
+                  <option value="hard">Hard</option>
+                </select>
+                <button className="btn-secondary" onClick={handleAddBot}>
+                  Add Bot
+                </button>
+              </div>
+            )}
           </div>
 
+          {settings?.teamMode && (
+            <TeamsPanel
+              roomCode={roomCode}
+              teams={teams}
+              players={players}
+              currentPlayerId={currentPlayerId}
+              isHost={isHost}
+              isHostMode={isHostMode}
+            />
+          )}
+
+          {isHost && roomType !== 'quickplay' && <RoomAccessPanel roomCode={roomCode} />}
+
           {/* Game Settings */}
           <div className="settings-section">
             <GameSettingsPanel
@@ -1160,6 +1515,8 @@ export default function GamePage() {
                   ? (isHostMode && questionsReady ? 'Start Game' : 'Start Game Setup')
                   : 'Waiting for players...'}
               </button>
+            ) : isSpectator ? (
+              <p className="waiting-text">You're spectating. The board will appear when the game starts.</p>
             ) : (
               <button
                 className={`btn-primary btn-large ${isReady ? 'ready' : ''}`}
@@ -1237,15 +1594,13 @@ export default function GamePage() {
             <h2>Round 1 Complete!</h2>
             <div className="round-standings">
               <h3>Current Standings</h3>
-              {[...players]
-                .sort((a, b) => (b.score || 0) - (a.score || 0))
-                .map((player, index) => (
-                  <div key={player.id} className={`standing-row ${index === 0 ? 'leader' : ''}`}>
-                    <span className="standing-rank">#{index + 1}</span>
-                    <span className="standing-name">{renderPlayerName(player)}</span>
-                    <span className="standing-score">${(player.score || 0).toLocaleString()}</span>
-                  </div>
-                ))}
+              {standings.map((player, index) => (
+                <div key={player.id} className={`standing-row ${index === 0 ? 'leader' : ''}`}>
+                  <span className="standing-rank">#{index + 1}</span>
+                  <span className="standing-name">{renderPlayerName(player)}</span>
+                  <span className="standing-score">${(player.score || 0).toLocaleString()}</span>
+                </div>
+              ))}
             </div>
 
             {isHost ? (
@@ -1271,11 +1626,13 @@ export default function GamePage() {
           {/* Header with scores */}
           <header className="game-header">
             <div className="header-scoreboard">
-              {(isHostMode
-                ? [...players].filter(p => !p.isHost).sort((a, b) => (b.score || 0) - (a.score || 0)).slice(0, 3)
-                : players
+              {(isTeamPlay
+                ? teams
+                : isHostMode
+                  ? [...players].filter(p => !p.isHost).sort((a, b) => (b.score || 0) - (a.score || 0)).slice(0, 3)
+                  : players
               ).map((player) => (
-                <div key={player.id} className={`player-chip ${player.id === currentPickerId ? 'current-picker' : ''}`}>
+                <div key={player.id} className={`player-chip ${player.id === currentPickerId || player.id === currentPickerTeam?.id ? 'current-picker' : ''}`}>
                   {renderPlayerName(player, 'chip-name')}
                   <span className={`chip-score ${(player.score || 0) >= 0 ? 'positive' : 'negative'}`}>
                     ${(player.score || 0).toLocaleString()}
@@ -1289,9 +1646,11 @@ export default function GamePage() {
           {!currentQuestion && (
             <div className="turn-indicator-subtle">
               {isHostMode ? (
-                isHost ? 'Select a question' : 'Waiting for host...'
+                canSelectHostMode ? 'Select a question' : 'Waiting for host...'
               ) : currentPicker ? (
-                isMyTurn ? "Your turn! Pick a question." : <>{renderPlayerName(currentPicker)}'s turn to pick</>
+                canPick
+                  ? (isMyTurn ? "Your turn! Pick a question." : "Your team's turn! Pick a question.")
+                  : <>{renderPlayerName(currentPickerTeam || currentPicker)}'s turn to pick</>
               ) : 'Waiting...'}
             </div>
           )}
@@ -1302,12 +1661,12 @@ export default function GamePage() {
             questions={questions}
             pointValues={currentRound === 1 ? [200, 400, 600, 800, 1000] : [400, 800, 1200, 1600, 2000]}
             onQuestionSelect={handleQuestionSelect}
-            disabled={isHostMode ? !isHost : !isMyTurn}
+            disabled={isHostMode ? !canSelectHostMode : !canPick}
             revealedQuestions={revealedQuestions}
-            onSuggest={!isMyTurn && !isHostMode ? handleSuggestQuestion : undefined}
+            onSuggest={canSuggest ? handleSuggestQuestion : undefined}
             suggestions={suggestions}
             players={players}
-            suggestMode={!isMyTurn && !isHostMode}
+            suggestMode={canSuggest}
           />
 
           {/* Daily Double - Wager Phase (overlay) */}
@@ -1316,8 +1675,11 @@ export default function GamePage() {
               <DailyDoubleModal
                 question={currentQuestion}
                 currentScore={players.find(p => p.id === currentPlayerId)?.score || 0}
-                currentRound={currentRound}
+                topClueValue={getTopClueValue(questions)}
+                error={dailyDoubleWagerError}
                 onWagerConfirm={handleDailyDoubleWager}
+                timer={timerFor('dailyDoubleWager')}
+                paused={!!gamePaused}
               />
             ) : (
               <div className="mp-question-overlay">
@@ -1349,7 +1711,7 @@ export default function GamePage() {
                 <p className="clue-text">{currentQuestion.answer}</p>
 
                 {isMyTurn && !showAnswer && (
-                  <button className="btn-primary reveal-button" onClick={() => setShowAnswer(true)}>
+                  <button className="btn-primary reveal-button" onClick={handleRevealDailyDouble}>
                     Reveal Answer
                   </button>
                 )}
@@ -1393,26 +1755,29 @@ export default function GamePage() {
                   transition={{ type: 'spring', damping: 25, stiffness: 300 }}
                 >
                   {/* Timer */}
-                  {canBuzz && !buzzerWinnerId && !buzzTimedOut && settings?.questionTimeLimit && (
+                  {canBuzz && !buzzerReading && !buzzerWinnerId && !buzzTimedOut && settings?.questionTimeLimit && (
                     <div className="question-timer">
                       <Timer
                         key={`buzz-${buzzTimerKey}`}
                         duration={settings.questionTimeLimit}
-                        onTimeUp={handleBuzzTimeUp}
+                        deadline={timerFor('buzz')?.deadline}
                         autoStart={true}
+                        paused={!!gamePaused}
                         size="small"
                       />
                     </div>
                   )}
 
                   {/* Answer Timer for buzzer winner */}
-                  {buzzerWinnerId && iAmBuzzerWinner && !showAnswer && settings?.questionTimeLimit && (
+                  {buzzerWinnerId && iAmBuzzerWinner && settings?.questionTimeLimit && (
                     <div className="question-timer">
                       <Timer
                         key={`answer-${answerTimerKey}`}
                         duration={settings.questionTimeLimit}
+                        deadline={timerFor('answer')?.deadline}
                         onTimeUp={handleAnswerTimeUp}
                         autoStart={true}
+                        paused={!!gamePaused}
                         size="small"
                       />
                     </div>
@@ -1433,14 +1798,14 @@ export default function GamePage() {
                       {!hasSkipped ? (
                         <>
                           <motion.button
-                            className="buzzer-button"
+                            className={`buzzer-button ${buzzLockedOut ? 'locked-out' : buzzerReading ? 'reading' : ''}`}
                             onClick={handleBuzz}
                             whileHover={{ scale: 1.05 }}
                             whileTap={{ scale: 0.95 }}
                             initial={{ scale: 0 }}
                             animate={{ scale: 1 }}
                           >
-                            BUZZ IN!
+                            {buzzLockedOut ? 'LOCKED OUT' : buzzerReading ? 'Wait...' : 'BUZZ IN!'}
                           </motion.button>
                           <span className="keyboard-hint">Press SPACE to buzz</span>
                           <span className="skip-link" onClick={handleSkipQuestion}>Skip</span>
@@ -1463,34 +1828,42 @@ export default function GamePage() {
                         {iAmBuzzerWinner ? 'You buzzed first!' : <>{renderPlayerName(buzzerWinner)} buzzed first!</>}
                       </p>
 
-                      {iAmBuzzerWinner && !showAnswer && (
-                        <motion.button
-                          className="reveal-button"
-                          onClick={handleRevealAnswer}
-                          whileHover={{ scale: 1.02 }}
-                          whileTap={{ scale: 0.98 }}
-                        >
-                          Reveal Answer
-                        </motion.button>
-                      )}
-
-                      {iAmBuzzerWinner && showAnswer && (
-                        <motion.div
+                      {iAmBuzzerWinner && (
+                        <motion.form
                           className="answer-section"
+                          onSubmit={handleSubmitResponse}
                           initial={{ opacity: 0, y: 20 }}
                           animate={{ opacity: 1, y: 0 }}
                         >
-                          <p className="answer-label">Correct Response:</p>
-                          <p className="answer-text">{currentQuestion.question}</p>
+                          <div className="fj-answer-input-group buzz-response-input-group">
+                            <label>What is...</label>
+                            <input
+                              type="text"
+                              value={buzzResponse}
+                              onChange={(e) => setBuzzResponse(e.target.value)}
+                              placeholder={isListening ? 'Listening...' : 'Enter your response'}
+                              className="fj-answer-input"
+                              autoFocus
+                            />
+                          </div>
                           <div className="scoring-buttons">
-                            <motion.button className="btn-correct" onClick={() => handleAnswerResult(true)} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
-                              I Got It Right
-                            </motion.button>
-                            <motion.button className="btn-incorrect" onClick={() => handleAnswerResult(false)} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
-                              I Got It Wrong
+                            {isSpeechRecognitionSupported() && (
+                              <motion.button
+                                type="button"
+                                className="btn-secondary"
+                                onClick={handleSpeakResponse}
+                                disabled={isListening}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                              >
+                                {isListening ? 'Listening...' : 'Speak'}
+                              </motion.button>
+                            )}
+                            <motion.button type="submit" className="btn-primary" whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+                              Submit Response
                             </motion.button>
                           </div>
-                        </motion.div>
+                        </motion.form>
                       )}
 
                       {!iAmBuzzerWinner && (
@@ -1499,6 +1872,18 @@ export default function GamePage() {
                     </div>
                   )}
 
+                  {/* Server verdict on the last response */}
+                  {answerVerdict && !buzzerWinnerId && (
+                    <p className={`answer-verdict ${answerVerdict.correct ? 'correct' : 'incorrect'}`}>
+                      {answerVerdict.playerId === currentPlayerId
+                        ? 'You'
+                        : renderPlayerName(players.find(p => p.id === answerVerdict.playerId))}
+                      {answerVerdict.timeout
+                        ? ' ran out of time'
+                        : <> answered &ldquo;{answerVerdict.response || '...'}&rdquo; &mdash; {answerVerdict.correct ? 'Correct!' : 'Incorrect'}</>}
+                    </p>
+                  )}
+
                   {/* Correct Answer Reveal */}
                   {correctAnswerReveal && (
                     <motion.div
@@ -1524,7 +1909,7 @@ export default function GamePage() {
                         <p className="answer-label">Correct Response:</p>
                         <p className="answer-text">{currentQuestion.question}</p>
                       </div>
-                      {!hasContinued ? (
+                      {!hasContinued && !isSpectator ? (
                         <button className="btn-primary" onClick={handleTimeoutContinue}>Continue</button>
                       ) : (
                         <p className="waiting-text">Waiting for other players...</p>
@@ -1545,10 +1930,10 @@ export default function GamePage() {
                 <div className="question-answer">{currentQuestion.answer}</div>
 
                 {/* Show buzzer status for players */}
-                {!isHost && hostBuzzerOpen && !buzzerWinnerId && (
+                {!myRole && hostBuzzerOpen && !buzzerWinnerId && (
                   <p className="buzzer-status-text">Buzzer is open!</p>
                 )}
-                {!isHost && buzzerWinnerId && (
+                {!myRole && buzzerWinnerId && (
                   <p className="buzzer-winner-text">
                     {buzzerWinnerId === currentPlayerId
                       ? 'You buzzed first!'
@@ -1562,31 +1947,40 @@ export default function GamePage() {
             </div>
           )}
 
-          {/* HOST MODE - Control Panel (Host Only) */}
-          {isHostMode && isHost && (
+          {/* HOST MODE - Control Panel (host and staff, showing what their role allows) */}
+          {isHostMode && myRole && (
             <HostControlPanel
               roomCode={roomCode}
+              role={myRole}
               currentQuestion={currentQuestion}
               buzzedPlayer={buzzerWinnerId ? {
                 ...players.find(p => p.id === buzzerWinnerId),
                 reactionTime: buzzerWinnerReactionTime
               } : null}
+              buzzQueue={buzzQueue}
               typedAnswers={typedAnswersForHost}
               players={players}
+              teams={isTeamPlay ? teams : []}
               answerMode={answerMode}
               buzzerOpen={hostBuzzerOpen}
               answerWindowOpen={hostAnswerWindowOpen}
+              joinRequests={joinRequests}
+              bans={bans}
             />
           )}
 
           {/* HOST MODE - Player Answer UI (Players Only) */}
-          {isHostMode && !isHost && currentQuestion && !isDailyDouble && (
+          {isHostMode && !myRole && !isSpectator && currentQuestion && !isDailyDouble && (
             <div className="host-mode-player-answer-area">
               {/* Verbal mode - show buzzer */}
               {answerMode === 'verbal' && (
                 <PlayerBuzzer
                   roomCode={roomCode}
-                  isEnabled={hostBuzzerOpen && !buzzerWinnerId}
+                  isEnabled={hostBuzzerOpen}
+                  isArmed={!!settings?.earlyBuzzLockout && !hostBuzzerOpen && !buzzerWinnerId}
+                  isLockedOut={buzzLockedOut}
+                  canQueue
+                  queuePosition={buzzQueue.findIndex(entry => entry.playerId === currentPlayerId) + 1 || null}
                   hasBuzzed={playerHasSubmitted}
                   buzzedPlayerName={buzzerWinnerId && buzzerWinnerId !== currentPlayerId
                     ? players.find(p => p.id === buzzerWinnerId)?.displayName || players.find(p => p.id === buzzerWinnerId)?.name
@@ -1649,22 +2043,27 @@ export default function GamePage() {
               <h2>FINAL JEOPARDY</h2>
               <p className="fj-category-display">Category: {finalJeopardyData.category}</p>
 
-              {!fjWagerSubmitted ? (
+              {isSpectator ? (
+                <div className="fj-waiting">
+                  <p className="fj-waiting-text">Players are making their wagers...</p>
+                </div>
+              ) : !fjWagerSubmitted ? (
                 <div className="fj-wager-form">
                   <p className="fj-your-score">
                     Your Score: ${(players.find(p => p.id === currentPlayerId)?.score || 0).toLocaleString()}
                   </p>
                   <p className="fj-max-wager">
-                    Maximum Wager: ${Math.max(players.find(p => p.id === currentPlayerId)?.score || 0, 0).toLocaleString()}
+                    Maximum Wager: ${fjWagerRange.max.toLocaleString()}
                   </p>
 
-                  {settings?.finalJeopardyTimeLimit && (
+                  {timerFor('fjWager') && (
                     <div className="fj-timer-container">
                       <Timer
                         key="fj-wager"
-                        duration={settings.finalJeopardyTimeLimit}
-                        onTimeUp={handleFJWagerTimeUp}
+                        duration={timerFor('fjWager').duration}
+                        deadline={timerFor('fjWager').deadline}
                         autoStart={true}
+                        paused={!!gamePaused}
                         size="medium"
                       />
                     </div>
@@ -1674,14 +2073,16 @@ export default function GamePage() {
                     <label>Your Wager: $</label>
                     <input
                       type="number"
-                      min={0}
-                      max={Math.max(players.find(p => p.id === currentPlayerId)?.score || 0, 0)}
+                      min={fjWagerRange.min}
+                      max={fjWagerRange.max}
                       value={fjWager}
-                      onChange={(e) => setFjWager(parseInt(e.target.value) || 0)}
+                      onChange={(e) => setFjWager(clampWager(parseInt(e.target.value, 10), fjWagerRange))}
                       className="fj-wager-input"
                     />
                   </div>
 
+                  {fjWagerError && <p className="fj-wager-error">{fjWagerError}</p>}
+
                   <button className="btn-primary btn-large" onClick={handleFJWagerSubmit}>
                     Lock In Wager
                   </button>
@@ -1706,15 +2107,20 @@ export default function GamePage() {
               <p className="fj-category-display">{finalJeopardyData.category}</p>
               <div className="fj-clue-display">{finalJeopardyData.clue}</div>
 
-              {!fjAnswerSubmitted ? (
+              {isSpectator ? (
+                <div className="fj-waiting">
+                  <p className="fj-waiting-text">Players are writing their responses...</p>
+                </div>
+              ) : !fjAnswerSubmitted ? (
                 <div className="fj-answer-form">
-                  {settings?.finalJeopardyTimeLimit && (
+                  {timerFor('fjAnswer') && (
                     <div className="fj-timer-container">
                       <Timer
                         key="fj-answer"
-                        duration={settings.finalJeopardyTimeLimit}
-                        onTimeUp={handleFJAnswerTimeUp}
+                        duration={timerFor('fjAnswer').duration}
+                        deadline={timerFor('fjAnswer').deadline}
                         autoStart={true}
+                        paused={!!gamePaused}
                         size="medium"
                       />
                     </div>
@@ -1803,16 +2209,15 @@ export default function GamePage() {
           <h2>Game Over!</h2>
           <div className="final-standings">
             <h3>Final Standings</h3>
-            {[...players]
-              .sort((a, b) => (b.score || 0) - (a.score || 0))
-              .map((player, index) => (
-                <div key={player.id} className={`standing-row ${index === 0 ? 'winner' : ''}`}>
-                  <span className="standing-rank">#{index + 1}</span>
-                  <span className="standing-name">{renderPlayerName(player)}</span>
-                  <span className="standing-score">${(player.score || 0).toLocaleString()}</span>
-                </div>
-              ))}
+            {standings.map((player, index) => (
+              <div key={player.id} className={`standing-row ${index === 0 ? 'winner' : ''}`}>
+                <span className="standing-rank">#{index + 1}</span>
+                <span className="standing-name">{renderPlayerName(player)}</span>
+                <span className="standing-score">${(player.score || 0).toLocaleString()}</span>
+              </div>
+            ))}
           </div>
+          {scoreLedger && <ScoreTimeline entries={scoreLedger} />}
           <div className="finished-actions">
             <button className="btn-primary" onClick={handleLeave}>
               Back to Menu
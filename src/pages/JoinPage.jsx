@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams, useLocation } from 'react-router-dom';
 import { useSocket } from '../hooks';
 import { useRoomStore, useUserStore } from '../stores';
 import SignatureCanvas from '../components/common/SignatureCanvas';
@@ -10,13 +10,22 @@ import './JoinPage.css';
 export default function JoinPage() {
   const navigate = useNavigate();
   const { roomCode: urlRoomCode } = useParams();
+  // Invite links look like /join/ABC123?invite=<token>
+  const [searchParams] = useSearchParams();
+  const invite = searchParams.get('invite') || undefined;
+  // The lobby browser already knows when a room has a password
+  const location = useLocation();
   const [roomCode, setRoomCode] = useState(urlRoomCode || '');
   const [displayName, setDisplayName] = useState('');
   const [signature, setSignature] = useState(null);
+  const [spectate, setSpectate] = useState(false);
   const [error, setError] = useState('');
   const [isJoining, setIsJoining] = useState(false);
+  const [isKnocking, setIsKnocking] = useState(false); // Waiting for the host to approve
+  const [password, setPassword] = useState('');
+  const [needsPassword, setNeedsPassword] = useState(!!location.state?.requiresPassword);
 
-  const { isConnected, joinRoom } = useSocket();
+  const { isConnected, joinRoom, spectateRoom, cancelJoin } = useSocket();
   const { setRoomCode: setStoreRoomCode, setPlayers } = useRoomStore();
   const { user, isGuest } = useUserStore();
 
@@ -38,7 +47,8 @@ export default function JoinPage() {
       return;
     }
 
-    if (!signature) {
+    // Spectators don't appear on the scoreboard, so they don't need a signature
+    if (!signature && !spectate) {
       setError('Please draw your name');
       return;
     }
@@ -50,10 +60,18 @@ export default function JoinPage() {
     setError('');
 
     try {
-      const result = await joinRoom(code, name, signature);
+      const credentials = { password: password || undefined, invite };
+      const result = spectate
+        ? await spectateRoom(code, name, credentials)
+        : await joinRoom(code, name, signature, { ...credentials, onPending: () => setIsKnocking(true) });
+      setIsKnocking(false);
 
       // Update store with room data
       setStoreRoomCode(code);
+      useRoomStore.getState().setIsSpectator(!!result.isSpectator);
+      if (result.spectatorCount !== undefined) {
+        useRoomStore.getState().setSpectatorCount(result.spectatorCount);
+      }
       // Set room type so players know if it's host mode
       if (result.type) {
         useRoomStore.getState().setRoomType(result.type);
@@ -61,6 +79,9 @@ export default function JoinPage() {
       if (result.players) {
         setPlayers(result.players);
       }
+      if (result.teams) {
+        useRoomStore.getState().setTeams(result.teams);
+      }
       // Sync room settings from host
       if (result.settings) {
         useRoomStore.getState().updateSettings(result.settings);
@@ -75,7 +96,9 @@ export default function JoinPage() {
       });
     } catch (err) {
       setError(err.message || 'Failed to join room');
+      if (err.requiresPassword) setNeedsPassword(true);
       setIsJoining(false);
+      setIsKnocking(false);
     }
   };
 
@@ -91,11 +114,13 @@ export default function JoinPage() {
         <p className="join-subtitle">Enter a 6-character room code to join a game</p>
 
         <form onSubmit={handleSubmit} className="join-form">
-          <SignatureCanvas
-            onSignatureChange={setSignature}
-            width={300}
-            height={80}
-          />
+          {!spectate && (
+            <SignatureCanvas
+              onSignatureChange={setSignature}
+              width={300}
+              height={80}
+            />
+          )}
 
           <div className="form-group">
             <label>Room Code</label>
@@ -113,15 +138,59 @@ export default function JoinPage() {
             />
           </div>
 
+          {needsPassword && (
+            <div className="form-group">
+              <label>Room Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => {
+                  setPassword(e.target.value);
+                  setError('');
+                }}
+                placeholder="Ask the host"
+                maxLength={64}
+                autoFocus
+                disabled={isJoining}
+              />
+            </div>
+          )}
+
+          <label className="spectate-toggle">
+            <input
+              type="checkbox"
+              checked={spectate}
+              onChange={(e) => {
+                setSpectate(e.target.checked);
+                setError('');
+              }}
+              disabled={isJoining}
+            />
+            <span>Just watch (spectate)</span>
+          </label>
+
           <button
             type="submit"
             className="btn-primary"
-            disabled={roomCode.length !== 6 || !signature || !isConnected || isJoining}
+            disabled={roomCode.length !== 6 || (!signature && !spectate) || !isConnected || isJoining}
           >
-            {isJoining ? 'Joining...' : isConnected ? 'Join Game' : 'Connecting...'}
+            {isJoining
+              ? 'Joining...'
+              : !isConnected
+                ? 'Connecting...'
+                : spectate ? 'Watch Game' : 'Join Game'}
           </button>
         </form>
 
+        {isKnocking && (
+          <div className="knocking-message">
+            <p>Waiting for the host to let you in...</p>
+            <button onClick={() => cancelJoin(roomCode)} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        )}
+
         {error && (
           <motion.p
             className="error-message"
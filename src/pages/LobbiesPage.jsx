@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { useLobbies } from '../hooks';
+import './LobbiesPage.css';
+
+const ANSWER_MODE_LABELS = {
+  buzzer: 'Buzz-in',
+  verbal: 'Verbal',
+  typed: 'Typed',
+  multiple_choice: 'Multiple Choice',
+  auto_grade: 'Auto-graded',
+};
+
+const TYPE_FILTERS = [
+  { value: 'all', label: 'All Rooms' },
+  { value: 'multiplayer', label: 'Multiplayer' },
+  { value: 'host', label: 'Hosted' },
+];
+
+export default function LobbiesPage() {
+  const navigate = useNavigate();
+  const { isConnected, rooms, error } = useLobbies();
+  const [search, setSearch] = useState('');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [openOnly, setOpenOnly] = useState(false);
+  const [hideFull, setHideFull] = useState(true);
+
+  const query = search.trim().toLowerCase();
+  const visibleRooms = (rooms || []).filter((room) => {
+    if (typeFilter !== 'all' && room.type !== typeFilter) return false;
+    if (openOnly && room.status !== 'waiting') return false;
+    if (hideFull && room.playerCount >= room.maxPlayers) return false;
+    if (!query) return true;
+    return [room.code, room.hostName, room.genre].some(field => field?.toLowerCase().includes(query));
+  });
+
+  // The join form takes it from here (name drawing, and the password if there is one)
+  const handleJoin = (room) => {
+    navigate(`/join/${room.code}`, { state: { requiresPassword: room.hasPassword } });
+  };
+
+  return (
+    <div className="lobbies-page">
+      <motion.div
+        className="lobbies-container"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        <h1>Open Rooms</h1>
+
+        <div className="lobby-filters">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by host, genre or code"
+          />
+          <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+            {TYPE_FILTERS.map(filter => (
+              <option key={filter.value} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+          <label className="lobby-filter-toggle">
+            <input type="checkbox" checked={openOnly} onChange={(e) => setOpenOnly(e.target.checked)} />
+            <span>Not started</span>
+          </label>
+          <label className="lobby-filter-toggle">
+            <input type="checkbox" checked={hideFull} onChange={(e) => setHideFull(e.target.checked)} />
+            <span>Hide full</span>
+          </label>
+        </div>
+
+        {error && <p className="error-message">{error}</p>}
+
+        {!isConnected || rooms === null ? (
+          <p className="lobbies-empty">Connecting...</p>
+        ) : visibleRooms.length === 0 ? (
+          <p className="lobbies-empty">
+            {rooms.length === 0 ? 'No public rooms right now. Host one from the menu!' : 'No rooms match your filters.'}
+          </p>
+        ) : (
+          <ul className="lobby-list">
+            {visibleRooms.map((room) => {
+              const isFull = room.playerCount >= room.maxPlayers;
+              return (
+                <motion.li
+                  key={room.code}
+                  className="lobby-card"
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                >
+                  <div className="lobby-info">
+                    <span className="lobby-title">
+                      {room.hostName ? `${room.hostName}'s room` : room.code}
+                      {room.hasPassword && <span className="lobby-tag">Password</span>}
+                      {room.requireApproval && <span className="lobby-tag">Host approves</span>}
+                    </span>
+                    <span className="lobby-meta">
+                      {room.genre || 'Genre not picked yet'}
+                      {' | '}{room.type === 'host' ? 'Hosted' : 'Multiplayer'}
+                      {' | '}{ANSWER_MODE_LABELS[room.answerMode] || room.answerMode}
+                      {room.teamMode && ' | Teams'}
+                    </span>
+                  </div>
+                  <span className={`lobby-status ${room.status === 'waiting' ? 'open' : 'playing'}`}>
+                    {room.status === 'waiting' ? 'In Lobby' : 'In Progress'}
+                  </span>
+                  <span className="lobby-count">{room.playerCount}/{room.maxPlayers}</span>
+                  <button className="btn-primary" onClick={() => handleJoin(room)} disabled={isFull}>
+                    {isFull ? 'Full' : 'Join'}
+                  </button>
+                </motion.li>
+              );
+            })}
+          </ul>
+        )}
+
+        <button onClick={() => navigate('/menu')} className="btn-back">
+          Back to Menu
+        </button>
+      </motion.div>
+    </div>
+  );
+}
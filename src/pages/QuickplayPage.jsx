@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import { useMatchmaking } from '../hooks';
+import { QUICKPLAY_GENRES } from '../services/quickplayGenres';
 import { useUserStore, useSettingsStore, useRoomStore } from '../stores';
 import SignatureCanvas from '../components/common/SignatureCanvas';
 import '../components/common/SignatureCanvas.css';
@@ -38,8 +39,13 @@ export default function QuickplayPage() {
   const [signature, setSignature] = useState(null);
   const [phase, setPhase] = useState('setup'); // 'setup' | 'searching' | 'found'
   const [selectedPreset, setSelectedPreset] = useState('standard');
+  const [genrePreference, setGenrePreference] = useState(null); // null = anything
 
-  const { isConnected, isInQueue, matchFound, queueTime, joinQueue, leaveQueue } = useMatchmaking();
+  const {
+    isConnected, isInQueue, matchFound, queueTime, botFillMs, matchSize, rating, joinQueue, leaveQueue,
+  } = useMatchmaking();
+  const queuePosition = useRoomStore((state) => state.queuePosition);
+  const estimatedWaitTime = useRoomStore((state) => state.estimatedWaitTime);
   const { user, isGuest } = useUserStore();
   const { loadPreset } = useSettingsStore();
 
@@ -66,22 +72,27 @@ export default function QuickplayPage() {
       const timer = setTimeout(() => {
         // Set players in room store before navigating
         const players = matchFound.players.map(p => ({
-          id: p.socketId, // Use socketId as player ID for quickplay
+          id: p.playerId || p.socketId,
           socketId: p.socketId,
           displayName: p.displayName,
           signature: p.signature || null,
+          isBot: !!p.isBot,
           score: 0,
           isReady: true,
           isConnected: true,
-          isHost: false,
+          isHost: p.playerId === matchFound.hostId,
         }));
         useRoomStore.getState().setPlayers(players);
         useRoomStore.getState().setRoomCode(matchFound.roomCode);
+        useRoomStore.getState().setRoomType('quickplay');
+        // The longest-waiting player hosts the match
+        useRoomStore.getState().setIsHost(matchFound.hostId === useUserStore.getState().sessionId);
 
         // Mark as fresh join to prevent reconnection race condition
         sessionStorage.setItem('jeopardy_fresh_join', 'true');
 
-        navigate(`/game/${matchFound.roomCode}`);
+        // The room opens on setup with the genre the players queued for
+        navigate(`/game/${matchFound.roomCode}`, { state: { quickplayMatch: { genre: matchFound.genre } } });
       }, 2000);
       return () => clearTimeout(timer);
     }
@@ -90,7 +101,7 @@ export default function QuickplayPage() {
   const handleJoinQueue = () => {
     if (!signature) return;
     const name = displayName.trim() || `Player${Math.floor(Math.random() * 1000)}`;
-    joinQueue(name, signature);
+    joinQueue(name, signature, genrePreference);
     setPhase('searching');
   };
 
@@ -140,10 +151,27 @@ export default function QuickplayPage() {
               </div>
             </div>
 
+            {/* Genre Preference */}
+            <div className="qp-presets">
+              <label className="preset-label">Topic</label>
+              <div className="preset-buttons genre-pref-buttons">
+                {[null, ...QUICKPLAY_GENRES].map((genre) => (
+                  <button
+                    key={genre || 'anything'}
+                    className={`preset-btn ${genrePreference === genre ? 'active' : ''}`}
+                    onClick={() => setGenrePreference(genre)}
+                    type="button"
+                  >
+                    <span className="preset-name">{genre || 'Anything'}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+
             <div className="qp-info">
               <div className="info-item">
                 <span className="info-icon">👥</span>
-                <span>3 Players</span>
+                <span>Matched by Skill</span>
               </div>
               <div className="info-item">
                 <span className="info-icon">🎯</span>
@@ -205,9 +233,31 @@ export default function QuickplayPage() {
             <h2>Finding Players...</h2>
             <p className="queue-time">{formatTime(queueTime)}</p>
 
+            {queuePosition && (
+              <div className="queue-status">
+                <span>#{queuePosition} in queue</span>
+                {estimatedWaitTime !== null && (
+                  <span>
+                    {estimatedWaitTime > 0 ? `~${formatTime(estimatedWaitTime)} left` : 'Any moment now'}
+                  </span>
+                )}
+                {rating !== null && <span>Rating {rating}</span>}
+              </div>
+            )}
+
             <p className="search-hint">
-              Looking for 2 more players to start a match
+              Looking for players near your skill level{matchSize ? ` for a ${matchSize}-player match` : ''}
             </p>
+            <p className="search-hint">
+              {genrePreference
+                ? `Topic: ${genrePreference} (players who want anything count too)`
+                : 'Topic: anything'}
+            </p>
+            {botFillMs && (
+              <p className="search-hint">
+                Computer opponents take any empty seats after {Math.round(botFillMs / 1000)}s
+              </p>
+            )}
 
             <button className="btn-ghost" onClick={handleLeaveQueue}>
               Cancel
@@ -232,16 +282,20 @@ export default function QuickplayPage() {
               Match Found!
             </motion.div>
 
+            {matchFound.genre && (
+              <p className="search-hint">Topic: {matchFound.genre}</p>
+            )}
+
             <div className="match-players">
               {matchFound.players.map((player, index) => (
                 <motion.div
-                  key={player.socketId}
+                  key={player.playerId || player.socketId}
                   className="match-player"
                   initial={{ opacity: 0, x: -20 }}
                   animate={{ opacity: 1, x: 0 }}
                   transition={{ delay: index * 0.1 }}
                 >
-                  <span className="player-avatar">👤</span>
+                  <span className="player-avatar">{player.isBot ? '🤖' : '👤'}</span>
                   <span className="player-name">
                     {player.signature ? (
                       <img src={player.signature} alt={player.displayName} className="player-signature" />
@@ -1,20 +1,27 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useGameStore, useUserStore, useSettingsStore } from '../stores';
 import * as aiService from '../services/api/aiService';
+import { submitSinglePlayerResult } from '../services/api/resultsService';
+import { getDailyDoubleWagerRange, getTopClueValue } from '../services/wagerRules';
+import { chooseClue, chooseDailyDoubleWager, getBotProfile } from '../services/bots';
 import { speakText, stopSpeaking } from '../services/ttsService';
 import GameBoard from '../components/game/GameBoard';
 import GenreSelector from '../components/setup/GenreSelector';
 import CategoryEditor from '../components/setup/CategoryEditor';
 import GameSettingsPanel from '../components/setup/GameSettingsPanel';
 import QuestionModal from '../components/game/QuestionModal';
+import BuzzRaceModal from '../components/game/BuzzRaceModal';
 import DailyDoubleModal from '../components/game/DailyDoubleModal';
 import FinalJeopardyModal from '../components/game/FinalJeopardyModal';
 import GameResults from '../components/game/GameResults';
 import { mockBoard, isTestModeEnabled } from '../data/mockQuestions';
 import './SinglePlayerPage.css';
 
+// Pause before an opponent picks a clue, so the board change is easy to follow
+const OPPONENT_PICK_MS = 2000;
+
 export default function SinglePlayerPage() {
   const navigate = useNavigate();
   const {
@@ -46,10 +53,27 @@ export default function SinglePlayerPage() {
     getPointValues,
     questionsAttempted,
     questionsCorrect,
+    opponents,
+    currentPickerId,
+    dailyDoubleWager,
+    setupOpponents,
+    scoreOpponent,
+    setCurrentPicker,
+    playOpponentFinalJeopardy,
   } = useGameStore();
 
-  const { updateStats, addHighscore } = useUserStore();
-  const { enableDoubleJeopardy, enableDailyDouble, enableFinalJeopardy, textToSpeechEnabled } = useSettingsStore();
+  const { updateStats, addHighscore, token } = useUserStore();
+  const {
+    enableDoubleJeopardy,
+    enableDailyDouble,
+    enableFinalJeopardy,
+    textToSpeechEnabled,
+    questionTimeLimit,
+    opponentCount,
+    difficulty,
+  } = useSettingsStore();
+
+  const opponentPicking = opponents.find(o => o.id === currentPickerId);
 
   // Final Jeopardy state
   const [finalJeopardyData, setFinalJeopardyData] = useState(null);
@@ -75,6 +99,31 @@ export default function SinglePlayerPage() {
     }
   }, [phase, finalJeopardyData, textToSpeechEnabled]);
 
+  // An opponent in control of the board picks the next clue
+  useEffect(() => {
+    if (phase !== 'playing' || !opponentPicking) return;
+    const timer = setTimeout(() => {
+      const { questions: board, selectQuestion: select } = useGameStore.getState();
+      const pick = chooseClue(getBotProfile(opponentPicking.skill), board);
+      if (!pick) return;
+      select(pick.categoryIndex, pick.pointIndex);
+      const clue = board[pick.categoryIndex][pick.pointIndex];
+      if (textToSpeechEnabled && clue?.answer) {
+        speakText(clue.answer);
+      }
+    }, OPPONENT_PICK_MS);
+    return () => clearTimeout(timer);
+  }, [phase, opponentPicking, textToSpeechEnabled]);
+
+  // An opponent who finds a Daily Double wagers straight away
+  useEffect(() => {
+    if (phase !== 'dailyDouble' || !opponentPicking) return;
+    const { questions: board, setDailyDoubleWager, confirmDailyDoubleWager } = useGameStore.getState();
+    const range = getDailyDoubleWagerRange(opponentPicking.score, getTopClueValue(board));
+    setDailyDoubleWager(chooseDailyDoubleWager(getBotProfile(opponentPicking.skill), range));
+    confirmDailyDoubleWager();
+  }, [phase, opponentPicking]);
+
   const handleGenerateCategories = async (selectedGenre) => {
     setLoading(true);
     setError(null);
@@ -113,6 +162,7 @@ export default function SinglePlayerPage() {
       });
 
       setQuestions(questionGrid, enableDailyDouble);
+      setupOpponents(opponentCount, difficulty);
       setPhase('playing');
     } catch (err) {
       console.error('Error generating questions:', err);
@@ -145,6 +195,8 @@ export default function SinglePlayerPage() {
   };
 
   const handleQuestionSelect = (categoryIndex, pointIndex) => {
+    // Wait for the opponent in control to pick
+    if (opponentPicking) return;
     selectQuestion(categoryIndex, pointIndex);
     // Read the clue aloud if TTS is enabled
     if (textToSpeechEnabled) {
@@ -163,6 +215,11 @@ export default function SinglePlayerPage() {
     }
   };
 
+  const handleOpponentResult = useCallback((opponentId, correct, points) => {
+    scoreOpponent(opponentId, correct ? points : -points);
+    if (correct) setCurrentPicker(opponentId);
+  }, [scoreOpponent, setCurrentPicker]);
+
   const handleCloseQuestion = () => {
     stopSpeaking();
     closeQuestion();
@@ -223,13 +280,16 @@ export default function SinglePlayerPage() {
   };
 
   const handleFinalJeopardyComplete = (result) => {
+    // Opponents respond against the scores going in
+    playOpponentFinalJeopardy(finalJeopardyData.category);
+
     // Update the score based on Final Jeopardy result
     const newScore = result.finalScore;
 
     // Save stats and highscore with final score
     updateStats({
       score: newScore,
-      won: true,
+      won: isWinningScore(newScore),
       questionsCorrect: questionsCorrect + (result.isCorrect ? 1 : 0),
       questionsTotal: questionsAttempted + 1,
     });
@@ -243,6 +303,12 @@ export default function SinglePlayerPage() {
       includedFinalJeopardy: true,
     });
 
+    submitResult({
+      score: newScore,
+      questionsCorrect: questionsCorrect + (result.isCorrect ? 1 : 0),
+      questionsAttempted: questionsAttempted + 1,
+    });
+
     // Update the game store score for display
     useGameStore.getState().setScore(newScore);
     setFinalJeopardyData(null);
@@ -253,7 +319,7 @@ export default function SinglePlayerPage() {
     // Save stats and highscore
     updateStats({
       score,
-      won: true, // Single player always "wins"
+      won: isWinningScore(score), // Alone, the player always "wins"
       questionsCorrect,
       questionsTotal: questionsAttempted,
     });
@@ -266,9 +332,27 @@ export default function SinglePlayerPage() {
       rounds: currentRound,
     });
 
+    submitResult({ score, questionsCorrect, questionsAttempted });
+
     setPhase('finished');
   };
 
+  // Ties with an opponent still count as a win
+  const isWinningScore = (playerScore) => useGameStore.getState().opponents
+    .every(o => playerScore >= o.score);
+
+  const getStandings = () => [
+    { name: 'You', score, isPlayer: true },
+    ...opponents.map(o => ({ name: o.name, score: o.score })),
+  ].sort((a, b) => b.score - a.score);
+
+  // Signed-in players also record the game on the server leaderboard
+  const submitResult = (result) => {
+    if (!token) return;
+    submitSinglePlayerResult(token, { ...result, genre, categories })
+      .catch(err => console.error('Failed to submit game results:', err));
+  };
+
   const handlePlayAgain = () => {
     resetGame();
     setMode('single');
@@ -285,6 +369,7 @@ export default function SinglePlayerPage() {
     setGenre(mockBoard.genre);
     setCategories(mockBoard.categories);
     setQuestions(mockBoard.questions, enableDailyDouble);
+    setupOpponents(opponentCount, difficulty);
     setPhase('playing');
   };
 
@@ -311,6 +396,11 @@ export default function SinglePlayerPage() {
         {phase === 'playing' && (
           <div className="score-display">
             Score: <span className={score >= 0 ? 'positive' : 'negative'}>${score.toLocaleString()}</span>
+            {opponents.map(o => (
+              <span key={o.id} className="opponent-score">
+                {o.name}: <span className={o.score >= 0 ? 'positive' : 'negative'}>${o.score.toLocaleString()}</span>
+              </span>
+            ))}
           </div>
         )}
       </header>
@@ -322,7 +412,7 @@ export default function SinglePlayerPage() {
             onSubmit={handleGenerateCategories}
             error={error}
           />
-          <GameSettingsPanel />
+          <GameSettingsPanel showOpponents />
           {isTestModeEnabled() && (
             <button className="btn-ghost test-board-btn" onClick={handleUseTestBoard}>
               Use Test Board (No AI)
@@ -346,6 +436,9 @@ export default function SinglePlayerPage() {
       )}
 
       {/* Game Board */}
+      {phase === 'playing' && opponentPicking && (
+        <p className="picker-banner">{opponentPicking.name} is choosing a clue...</p>
+      )}
       {phase === 'playing' && (
         <GameBoard
           categories={categories}
@@ -367,6 +460,11 @@ export default function SinglePlayerPage() {
           <p className="round-score">
             Current Score: <span>${score.toLocaleString()}</span>
           </p>
+          {opponents.map(o => (
+            <p key={o.id} className="round-score opponent">
+              {o.name}: <span>${o.score.toLocaleString()}</span>
+            </p>
+          ))}
           {currentRound === 1 && enableDoubleJeopardy ? (
             <button onClick={handleNextRound} className="btn-primary">
               Continue to Double Jeopardy
@@ -400,6 +498,7 @@ export default function SinglePlayerPage() {
           questionsCorrect={questionsCorrect}
           questionsAttempted={questionsAttempted}
           genre={genre}
+          standings={opponents.length > 0 ? getStandings() : null}
           onPlayAgain={handlePlayAgain}
           onBackToMenu={handleBackToMenu}
         />
@@ -407,7 +506,20 @@ export default function SinglePlayerPage() {
 
       {/* Question Modal */}
       <AnimatePresence>
-        {currentQuestion && phase === 'questionActive' && (
+        {currentQuestion && phase === 'questionActive' && opponents.length > 0
+          && !(dailyDoubleWager > 0 && !opponentPicking) && (
+          <BuzzRaceModal
+            question={currentQuestion}
+            opponents={opponents}
+            timeLimit={questionTimeLimit}
+            dailyDouble={dailyDoubleWager > 0 ? { opponentId: currentPickerId, wager: dailyDoubleWager } : null}
+            onPlayerResult={handleAnswerResult}
+            onOpponentResult={handleOpponentResult}
+            onClose={handleCloseQuestion}
+          />
+        )}
+        {currentQuestion && phase === 'questionActive'
+          && (opponents.length === 0 || (dailyDoubleWager > 0 && !opponentPicking)) && (
           <QuestionModal
             question={currentQuestion}
             showAnswer={showAnswer}
@@ -427,11 +539,11 @@ export default function SinglePlayerPage() {
 
       {/* Daily Double Modal */}
       <AnimatePresence>
-        {phase === 'dailyDouble' && currentQuestion && (
+        {phase === 'dailyDouble' && currentQuestion && !opponentPicking && (
           <DailyDoubleModal
             question={currentQuestion}
             currentScore={score}
-            currentRound={currentRound}
+            topClueValue={getTopClueValue(questions)}
             onWagerConfirm={(wager) => {
               useGameStore.getState().setDailyDoubleWager(wager);
               useGameStore.getState().confirmDailyDoubleWager();
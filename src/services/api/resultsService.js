@@ -0,0 +1,21 @@
+// Submits finished single-player games to the backend leaderboard/stats
+
+const API_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
+
+export async function submitSinglePlayerResult(token, { score, genre, categories, questionsCorrect, questionsAttempted }) {
+  const response = await fetch(`${API_URL}/api/games/single-player`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ score, genre, categories, questionsCorrect, questionsAttempted }),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error?.message || 'Failed to submit game results');
+  }
+
+  return response.json();
+}
@@ -0,0 +1 @@
+export * from '../../server/shared/bots.js';
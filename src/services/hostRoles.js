@@ -0,0 +1 @@
+export * from '../../server/shared/hostRoles.js';
@@ -2,11 +2,23 @@ import { io } from 'socket.io-client';
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
 
+// Clock sync: pings per handshake, and how often to re-sync while connected
+const CLOCK_SYNC_SAMPLES = 5;
+const CLOCK_RESYNC_INTERVAL = 60000;
+const CLOCK_PING_TIMEOUT = 2000;
+
+// A failed join, keeping the server's code ('PASSWORD_REQUIRED', ...) for the join form
+function accessError({ error, code, requiresPassword }) {
+  return Object.assign(new Error(error), { code, requiresPassword: !!requiresPassword });
+}
+
 class SocketClient {
   constructor() {
     this.socket = null;
     this.listeners = new Map();
     this.connectionPromise = null;
+    this.clock = { offset: 0, rtt: 0, synced: false }; // server time = local time + offset
+    this.clockSyncTimer = null;
   }
 
   // Connect to the socket server
@@ -35,9 +47,15 @@ class SocketClient {
       this.socket.on('connect', () => {
         console.log('Socket connected:', this.socket.id);
         this.connectionPromise = null;
+        this.startClockSync();
         resolve(this.socket);
       });
 
+      // Server measures its own round trip to us
+      this.socket.on('clock:probe', (ack) => {
+        if (typeof ack === 'function') ack();
+      });
+
       this.socket.on('connect_error', (error) => {
         console.error('Socket connection error:', error.message);
         this.connectionPromise = null;
@@ -62,6 +80,8 @@ class SocketClient {
 
   // Disconnect from the socket server
   disconnect() {
+    clearInterval(this.clockSyncTimer);
+    this.clockSyncTimer = null;
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
@@ -69,6 +89,55 @@ class SocketClient {
     }
   }
 
+  // Clock sync - estimate this client's offset from the server clock and its
+  // round trip, keeping the sample with the lowest round trip (least jitter)
+  startClockSync() {
+    clearInterval(this.clockSyncTimer);
+    this.syncClock();
+    this.clockSyncTimer = setInterval(() => this.syncClock(), CLOCK_RESYNC_INTERVAL);
+  }
+
+  async syncClock() {
+    let best = null;
+    for (let i = 0; i < CLOCK_SYNC_SAMPLES; i++) {
+      const sample = await this.pingClock();
+      if (sample && (!best || sample.rtt < best.rtt)) best = sample;
+    }
+    if (best) {
+      this.clock = { ...best, synced: true };
+    }
+    return this.clock;
+  }
+
+  pingClock() {
+    return new Promise((resolve) => {
+      if (!this.socket?.connected) {
+        resolve(null);
+        return;
+      }
+      const sentAt = Date.now();
+      this.socket.timeout(CLOCK_PING_TIMEOUT).emit('clock:ping', {}, (err, response) => {
+        if (err || !response) {
+          resolve(null);
+          return;
+        }
+        const receivedAt = Date.now();
+        const rtt = receivedAt - sentAt;
+        resolve({ rtt, offset: response.serverTime + rtt / 2 - receivedAt });
+      });
+    });
+  }
+
+  // Local timestamp on the server's clock
+  toServerTime(localTime = Date.now()) {
+    return Math.round(localTime + this.clock.offset);
+  }
+
+  // Server timestamp (e.g. a broadcast deadline) on the local clock
+  toLocalTime(serverTime) {
+    return Math.round(serverTime - this.clock.offset);
+  }
+
   // Check if connected
   isConnected() {
     return this.socket?.connected || false;
@@ -146,9 +215,102 @@ class SocketClient {
     });
   }
 
-  joinRoom(roomCode, displayName, signature = null) {
+  // In rooms that approve joiners, the server answers { pending: true } first;
+  // onPending fires then and the promise settles once staff decide.
+  // Protected rooms take a password or an invite token.
+  joinRoom(roomCode, displayName, signature = null, { onPending, password, invite } = {}) {
+    return new Promise((resolve, reject) => {
+      this.emit('room:join', { roomCode, displayName, signature, password, invite }, (response) => {
+        if (!response.success) {
+          reject(accessError(response));
+          return;
+        }
+        if (!response.pending) {
+          resolve(response);
+          return;
+        }
+
+        const settle = (done) => (payload) => {
+          this.off('room:join-approved', handleApproved);
+          this.off('room:join-rejected', handleRejected);
+          this.off('disconnect', handleDropped);
+          done(payload);
+        };
+        const handleApproved = settle(resolve);
+        const handleRejected = settle(({ reason }) => reject(new Error(reason)));
+        const handleDropped = settle(() => reject(new Error('Lost connection while waiting to join')));
+        this.on('room:join-approved', handleApproved);
+        this.on('room:join-rejected', handleRejected);
+        this.on('disconnect', handleDropped);
+        if (onPending) onPending(response);
+      });
+    });
+  }
+
+  // Stop waiting for approval; the server rejects the pending joinRoom
+  cancelJoin(roomCode) {
+    this.emit('room:cancel-join', { roomCode });
+  }
+
+  spectateRoom(roomCode, displayName, { password, invite } = {}) {
+    return new Promise((resolve, reject) => {
+      this.emit('room:spectate', { roomCode, displayName, password, invite }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(accessError(response));
+        }
+      });
+    });
+  }
+
+  // Lobby browser: resolves to the public rooms; 'lobbies:updated' keeps them current
+  subscribeLobbies() {
+    return new Promise((resolve, reject) => {
+      this.emit('lobbies:subscribe', {}, (response) => {
+        if (response.success) {
+          resolve(response.rooms);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  unsubscribeLobbies() {
+    this.emit('lobbies:unsubscribe', {});
+  }
+
+  // { hasPassword, inviteOnly }
+  getRoomAccess(roomCode) {
+    return new Promise((resolve, reject) => {
+      this.emit('room:get-access', { roomCode }, (response) => {
+        if (response.success) {
+          resolve(response.access);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // password: a new password, null to remove it, or undefined to keep it
+  setRoomAccess(roomCode, { password, inviteOnly } = {}) {
+    return new Promise((resolve, reject) => {
+      this.emit('host:set-room-access', { roomCode, password, inviteOnly }, (response) => {
+        if (response.success) {
+          resolve(response.access);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Resolves to { token, expiresAt }
+  createInvite(roomCode, minutes) {
     return new Promise((resolve, reject) => {
-      this.emit('room:join', { roomCode, displayName, signature }, (response) => {
+      this.emit('host:create-invite', { roomCode, minutes }, (response) => {
         if (response.success) {
           resolve(response);
         } else {
@@ -178,6 +340,119 @@ class SocketClient {
     this.emit('room:ready', { roomCode, ready });
   }
 
+  // Host adds a computer contestant ('easy' | 'medium' | 'hard')
+  addBot(roomCode, skill) {
+    return new Promise((resolve, reject) => {
+      this.emit('room:add-bot', { roomCode, skill }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Host hands the room to another player (host mode: only the co-host)
+  transferHost(roomCode, playerId) {
+    return new Promise((resolve, reject) => {
+      this.emit('host:transfer-host', { roomCode, playerId }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Host mode: give a player a staff role ('coHost' | 'judge'), or null to take it away
+  setRole(roomCode, playerId, role) {
+    return new Promise((resolve, reject) => {
+      this.emit('host:set-role', { roomCode, playerId, role }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Let a knocking player in, or turn them away (ban keeps them out for good)
+  resolveJoin(roomCode, playerId, approve, { ban = false } = {}) {
+    return new Promise((resolve, reject) => {
+      this.emit('host:resolve-join', { roomCode, playerId, approve, ban }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  unbanPlayer(roomCode, banId) {
+    return new Promise((resolve, reject) => {
+      this.emit('host:unban-player', { roomCode, banId }, (response) => {
+        if (response.success) {
+          resolve(response.bans);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Team methods (team play)
+  createTeam(roomCode, name) {
+    return new Promise((resolve, reject) => {
+      this.emit('team:create', { roomCode, name }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  removeTeam(roomCode, teamId) {
+    return new Promise((resolve, reject) => {
+      this.emit('team:remove', { roomCode, teamId }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  joinTeam(roomCode, teamId) {
+    return new Promise((resolve, reject) => {
+      this.emit('team:join', { roomCode, teamId }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  assignTeam(roomCode, playerId, teamId) {
+    return new Promise((resolve, reject) => {
+      this.emit('team:assign', { roomCode, playerId, teamId }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
   // Game methods
   startGame(roomCode) {
     this.emit('game:start', { roomCode });
@@ -195,9 +470,122 @@ class SocketClient {
     this.emit('game:answer', { roomCode, answer });
   }
 
+  revealDailyDoubleResponse(roomCode) {
+    return new Promise((resolve, reject) => {
+      this.emit('game:daily-double-reveal', { roomCode }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  startRound2(roomCode, questions, categories) {
+    return new Promise((resolve, reject) => {
+      this.emit('game:start-round-2', { roomCode, questions, categories }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  submitDailyDoubleWager(roomCode, wager) {
+    return new Promise((resolve, reject) => {
+      this.emit('game:daily-double-wager', { roomCode, wager }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  submitFinalJeopardyWager(roomCode, wager) {
+    return new Promise((resolve, reject) => {
+      this.emit('game:fj-wager', { roomCode, wager }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Host mode: the player with the floor was wrong - hand it to the next buzzer in line
+  nextInQueue(roomCode) {
+    return new Promise((resolve, reject) => {
+      this.emit('host:next-in-queue', { roomCode }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Host: freeze every timer and block play until resumeGame
+  pauseGame(roomCode) {
+    return new Promise((resolve, reject) => {
+      this.emit('host:pause', { roomCode }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  resumeGame(roomCode) {
+    return new Promise((resolve, reject) => {
+      this.emit('host:resume', { roomCode }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Every scoring event in the current game, oldest first
+  getScoreLedger(roomCode) {
+    return new Promise((resolve, reject) => {
+      this.emit('game:get-score-ledger', { roomCode }, (response) => {
+        if (response.success) {
+          resolve(response.ledger);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Host mode: reverse the last `count` scoring events
+  undoScores(roomCode, count) {
+    return new Promise((resolve, reject) => {
+      this.emit('host:undo-scores', { roomCode, count }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
   // Quickplay methods
-  joinMatchmaking(displayName, signature = null) {
-    this.emit('quickplay:join-queue', { displayName, signature });
+  // genre: preferred topic, or null for anything
+  joinMatchmaking(displayName, signature = null, genre = null) {
+    this.emit('quickplay:join-queue', { displayName, signature, genre });
   }
 
   leaveMatchmaking() {
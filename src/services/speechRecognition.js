@@ -0,0 +1,46 @@
+const SpeechRecognitionImpl = window.SpeechRecognition || window.webkitSpeechRecognition;
+let currentRecognition = null;
+
+export function isSpeechRecognitionSupported() {
+  return !!SpeechRecognitionImpl;
+}
+
+// Listen for a single spoken phrase and resolve with its transcript
+export function listenForResponse() {
+  stopListening();
+
+  return new Promise((resolve, reject) => {
+    if (!SpeechRecognitionImpl) {
+      reject(new Error('Speech recognition is not supported in this browser'));
+      return;
+    }
+
+    const recognition = new SpeechRecognitionImpl();
+    recognition.lang = 'en-US';
+    recognition.interimResults = false;
+    recognition.maxAlternatives = 1;
+
+    let transcript = '';
+    recognition.onresult = (event) => {
+      transcript = event.results[0]?.[0]?.transcript || '';
+    };
+    recognition.onerror = (event) => {
+      currentRecognition = null;
+      reject(new Error(event.error || 'Speech recognition failed'));
+    };
+    recognition.onend = () => {
+      currentRecognition = null;
+      resolve(transcript);
+    };
+
+    currentRecognition = recognition;
+    recognition.start();
+  });
+}
+
+export function stopListening() {
+  if (currentRecognition) {
+    currentRecognition.abort();
+    currentRecognition = null;
+  }
+}
@@ -0,0 +1 @@
+export * from '../../server/shared/wagerRules.js';
@@ -1,10 +1,23 @@
 import { create } from 'zustand';
+import { getDailyDoubleWagerRange, getFinalJeopardyWagerRange, getTopClueValue } from '../services/wagerRules';
+import {
+  BOT_PROFILES,
+  FJ_DIFFICULTY_ROW,
+  chooseFinalJeopardyWager,
+  getBotProfile,
+  isBotSkill,
+  pickBotName,
+  rollRecall,
+} from '../services/bots';
 
 const POINT_VALUES = {
   regular: [200, 400, 600, 800, 1000],
   double: [400, 800, 1200, 1600, 2000]
 };
 
+// The human in single player, as a picker alongside simulated opponents
+export const PLAYER_ID = 'player';
+
 const initialState = {
   // Game Mode
   mode: null, // 'single' | 'quickplay' | 'multiplayer' | 'host'
@@ -31,6 +44,10 @@ const initialState = {
   // Scoring (for single player)
   score: 0,
 
+  // Simulated opponents (single player)
+  opponents: [], // [{ id, name, skill, score }]
+  currentPickerId: PLAYER_ID,
+
   // Multiplayer Scores
   scores: {}, // { oderId: score }
 
@@ -116,6 +133,8 @@ export const useGameStore = create((set, get) => ({
       score: score + points,
       questionsAttempted: get().questionsAttempted + 1,
       questionsCorrect: get().questionsCorrect + 1,
+      // A correct response takes control of the board
+      currentPickerId: PLAYER_ID,
     });
   },
 
@@ -170,14 +189,21 @@ export const useGameStore = create((set, get) => ({
   },
 
   startRound2: (newCategories, newQuestions, enableDailyDouble = true) => {
+    const { opponents, score } = get();
     const dailyDoubles = enableDailyDouble
       ? placeDailyDoubles(newQuestions.length, 2)
       : [];
+    // Lowest score picks first in Double Jeopardy
+    const lowest = opponents.reduce(
+      (low, opponent) => (opponent.score < low.score ? opponent : low),
+      { id: PLAYER_ID, score }
+    );
     set({
       currentRound: 2,
       categories: newCategories,
       questions: newQuestions,
       dailyDoubles,
+      currentPickerId: lowest.id,
       phase: 'playing',
     });
   },
@@ -193,6 +219,48 @@ export const useGameStore = create((set, get) => ({
   // Score actions
   setScore: (score) => set({ score }),
 
+  // Seat simulated opponents for a new game. 'mixed' difficulty gives each a random skill.
+  setupOpponents: (count, difficulty) => {
+    const names = [];
+    const skills = Object.keys(BOT_PROFILES);
+    const opponents = Array.from({ length: count }, (_, i) => {
+      const name = pickBotName(names);
+      names.push(name);
+      return {
+        id: `opponent-${i + 1}`,
+        name,
+        skill: isBotSkill(difficulty) ? difficulty : skills[Math.floor(Math.random() * skills.length)],
+        score: 0,
+      };
+    });
+    set({ opponents, currentPickerId: PLAYER_ID });
+  },
+
+  scoreOpponent: (opponentId, delta) => {
+    set({
+      opponents: get().opponents.map(o => (o.id === opponentId ? { ...o, score: o.score + delta } : o)),
+    });
+  },
+
+  setCurrentPicker: (currentPickerId) => set({ currentPickerId }),
+
+  // Opponents with a non-negative score wager against the scores going in
+  // and respond. Call before the player's Final Jeopardy result is applied.
+  playOpponentFinalJeopardy: (category) => {
+    const { opponents, score } = get();
+    const updated = opponents.map((opponent) => {
+      if (opponent.score < 0) return opponent;
+
+      const profile = getBotProfile(opponent.skill);
+      const rivalScores = [score, ...opponents.filter(o => o.id !== opponent.id).map(o => o.score)];
+      const range = getFinalJeopardyWagerRange(opponent.score);
+      const wager = chooseFinalJeopardyWager(profile, opponent.score, range, rivalScores);
+      const correct = rollRecall(profile, category, FJ_DIFFICULTY_ROW);
+      return { ...opponent, score: opponent.score + (correct ? wager : -wager) };
+    });
+    set({ opponents: updated });
+  },
+
   // Multiplayer scoring
   updatePlayerScore: (playerId, points) => {
     const scores = { ...get().scores };
@@ -211,9 +279,8 @@ export const useGameStore = create((set, get) => ({
 
   // Get max wager for daily double
   getMaxWager: () => {
-    const { score, currentRound } = get();
-    const maxBoardValue = currentRound === 1 ? 1000 : 2000;
-    return Math.max(score, maxBoardValue, 5);
+    const { score, questions } = get();
+    return getDailyDoubleWagerRange(score, getTopClueValue(questions)).max;
   },
 }));
 
@@ -20,6 +20,7 @@ const initialState = {
   genre: '',
   categories: [], // Array of 6 category names
   questions: [], // 2D array: [categoryIndex][pointIndex] of question objects
+  finalJeopardy: { category: '', answer: '', question: '' }, // Optional, server falls back to AI / curated clue
 
   // Import State
   importedData: null,
@@ -81,6 +82,7 @@ export const useHostStore = create((set, get) => ({
       // Reset content when switching sources
       categories: [],
       questions: [],
+      finalJeopardy: initialState.finalJeopardy,
       importedData: null,
       importError: null,
     });
@@ -160,6 +162,10 @@ export const useHostStore = create((set, get) => ({
     set({ questions });
   },
 
+  // Final Jeopardy (same answer/question naming as board clues)
+  updateFinalJeopardy: (updates) =>
+    set((state) => ({ finalJeopardy: { ...state.finalJeopardy, ...updates } })),
+
   // Import
   setImportedData: (data) => {
     if (data) {
@@ -179,10 +185,17 @@ export const useHostStore = create((set, get) => ({
         importedData: data,
         categories,
         questions,
+        finalJeopardy: data.finalJeopardy
+          ? {
+              category: data.finalJeopardy.category,
+              answer: data.finalJeopardy.answer,
+              question: data.finalJeopardy.question,
+            }
+          : initialState.finalJeopardy,
         importError: null,
       });
     } else {
-      set({ importedData: null, categories: [], questions: [] });
+      set({ importedData: null, categories: [], questions: [], finalJeopardy: initialState.finalJeopardy });
     }
   },
 
@@ -194,6 +207,7 @@ export const useHostStore = create((set, get) => ({
       importError: null,
       categories: [],
       questions: [],
+      finalJeopardy: initialState.finalJeopardy,
     }),
 
   // Loading States
@@ -202,7 +216,7 @@ export const useHostStore = create((set, get) => ({
 
   // Validation
   validateContent: () => {
-    const { categories, questions, answerMode } = get();
+    const { categories, questions, finalJeopardy, answerMode } = get();
     const errors = [];
 
     // Check categories
@@ -246,6 +260,13 @@ export const useHostStore = create((set, get) => ({
       });
     });
 
+    // Final Jeopardy is optional, but a partial one is almost certainly a mistake
+    const fjFields = [finalJeopardy.category, finalJeopardy.answer, finalJeopardy.question];
+    const filledFields = fjFields.filter((field) => field && field.trim() !== '').length;
+    if (filledFields > 0 && filledFields < fjFields.length) {
+      errors.push('Final Jeopardy needs a category, clue and answer (or leave it all blank)');
+    }
+
     const isValid = errors.length === 0;
     set({ isValid, validationErrors: errors });
     return isValid;
@@ -253,8 +274,11 @@ export const useHostStore = create((set, get) => ({
 
   // Get questions in format for server
   getQuestionsForServer: () => {
-    const { categories, questions } = get();
+    const { categories, questions, finalJeopardy, genre } = get();
+    const hasFinalJeopardy = finalJeopardy.category.trim() && finalJeopardy.answer.trim() && finalJeopardy.question.trim();
     return {
+      genre: genre || null,
+      finalJeopardy: hasFinalJeopardy ? finalJeopardy : null,
       categories,
       questions: questions.map((categoryQuestions) =>
         categoryQuestions.map((q) => ({
@@ -279,6 +303,7 @@ export const useHostStore = create((set, get) => ({
       genre: '',
       categories: [],
       questions: [],
+      finalJeopardy: initialState.finalJeopardy,
       importedData: null,
       importError: null,
       isValid: false,
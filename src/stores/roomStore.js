@@ -6,11 +6,16 @@ const initialState = {
   roomId: null,
   hostId: null,
   isHost: false,
+  isSpectator: false, // Watching only - never buzzes, picks, suggests or wagers
   roomType: null, // 'quickplay' | 'multiplayer' | 'host'
 
   // Players
-  players: [], // [{ id, name, avatar, score, isReady, isConnected, isHost }]
+  players: [], // [{ id, name, avatar, score, isReady, isConnected, isHost, role }] - role: host mode staff ('coHost' | 'judge')
   maxPlayers: 6,
+  spectatorCount: 0,
+
+  // Teams (team play) - members are the players whose teamId matches
+  teams: [], // [{ id, name, score }]
 
   // Connection State
   connectionStatus: 'disconnected', // 'disconnected' | 'connecting' | 'connected' | 'error'
@@ -34,6 +39,9 @@ const initialState = {
     enableDoubleJeopardy: true,
     enableDailyDouble: true,
     enableFinalJeopardy: true,
+    teamMode: false,
+    earlyBuzzLockout: false,
+    buzzLockoutMs: 250,
     // Host mode specific
     answerMode: null, // 'verbal' | 'typed' | 'multiple_choice' | 'auto_grade'
   },
@@ -60,6 +68,8 @@ export const useRoomStore = create((set, get) => ({
   // Simple setters
   setRoomCode: (roomCode) => set({ roomCode }),
   setIsHost: (isHost) => set({ isHost }),
+  setIsSpectator: (isSpectator) => set({ isSpectator }),
+  setSpectatorCount: (spectatorCount) => set({ spectatorCount }),
   setRoomType: (roomType) => set({ roomType }),
 
   // Room Actions
@@ -145,6 +155,27 @@ export const useRoomStore = create((set, get) => ({
 
   setPlayers: (players) => set({ players }),
 
+  // Host migration or transfer: move the badges and work out whether this
+  // client is now the one in charge
+  setRoomHost: (hostId, roles, currentPlayerId) => {
+    set(state => ({
+      hostId,
+      isHost: hostId === currentPlayerId,
+      players: state.players.map(p => ({
+        ...p,
+        isHost: p.id === hostId,
+        role: roles?.[p.id] || null,
+      })),
+    }));
+  },
+
+  // Host mode staff roles: { playerId: 'coHost' | 'judge' }
+  setRoles: (roles) => {
+    set(state => ({
+      players: state.players.map(p => ({ ...p, role: roles?.[p.id] || null })),
+    }));
+  },
+
   // Turn Management
   setCurrentTurn: (playerId) => set({ currentTurnPlayerId: playerId }),
 
@@ -217,7 +248,13 @@ export const useRoomStore = create((set, get) => ({
   },
 
   // Score Actions (for multiplayer)
+  // In team play a score belongs to the player's whole team
   updatePlayerScore: (playerId, score) => {
+    const teamId = get().settings.teamMode && get().players.find(p => p.id === playerId)?.teamId;
+    if (teamId) {
+      get().updateTeamScore(teamId, score);
+      return;
+    }
     set(state => ({
       players: state.players.map(p =>
         p.id === playerId ? { ...p, score } : p
@@ -225,6 +262,34 @@ export const useRoomStore = create((set, get) => ({
     }));
   },
 
+  updateTeamScore: (teamId, score) => {
+    set(state => ({
+      teams: state.teams.map(t => t.id === teamId ? { ...t, score } : t),
+      players: state.players.map(p => p.teamId === teamId ? { ...p, score } : p),
+    }));
+  },
+
+  // Full score refresh from the server: { players: [{ playerId, score }], teams: [{ teamId, score }] }
+  applyScores: ({ players = [], teams = [] }) => {
+    const playerScores = new Map(players.map(p => [p.playerId, p.score]));
+    const teamScores = new Map(teams.map(t => [t.teamId, t.score]));
+    set(state => ({
+      players: state.players.map(p => (playerScores.has(p.id) ? { ...p, score: playerScores.get(p.id) } : p)),
+      teams: state.teams.map(t => (teamScores.has(t.id) ? { ...t, score: teamScores.get(t.id) } : t)),
+    }));
+  },
+
+  // Server sends teams with their memberIds; membership is kept on the players
+  setTeams: (teams = []) => {
+    set(state => ({
+      teams: teams.map(({ id, name, score }) => ({ id, name, score: score || 0 })),
+      players: state.players.map(p => ({
+        ...p,
+        teamId: teams.find(t => t.memberIds?.includes(p.id))?.id || null,
+      })),
+    }));
+  },
+
   addPlayerScore: (playerId, points) => {
     set(state => ({
       players: state.players.map(p =>
@@ -301,7 +366,7 @@ export const useRoomStore = create((set, get) => ({
   // Check if all players have answered
   allPlayersAnswered: () => {
     const { hostModeState, players } = get();
-    const nonHostPlayers = players.filter(p => !p.isHost && p.isConnected);
+    const nonHostPlayers = players.filter(p => !p.isHost && !p.role && p.isConnected);
     const answeredCount = Object.keys(hostModeState.typedAnswers).length;
     return answeredCount >= nonHostPlayers.length;
   },
@@ -25,6 +25,7 @@ const initialState = {
 
   // Game Settings
   difficulty: 'mixed', // 'easy' | 'medium' | 'hard' | 'mixed'
+  opponentCount: 0, // Simulated opponents in single player (0-2)
   categorySource: 'ai', // 'ai' | 'custom'
 };
 
@@ -86,6 +87,8 @@ export const useSettingsStore = create(
 
       setDifficulty: (difficulty) => set({ difficulty }),
 
+      setOpponentCount: (count) => set({ opponentCount: Math.max(0, Math.min(2, count)) }),
+
       setCategorySource: (source) => set({ categorySource: source }),
 
       // Reset to defaults